@@ -123,10 +123,14 @@ async function showMainMenu() {
   console.log("7. Display duplicate pages");
   console.log("8. Auto-fix duplicate page names");
   console.log("9. Clear validation state");
-  console.log("10. Exit");
+  console.log("10. Resume interrupted migration");
+  console.log("11. Sync changed pages");
+  console.log("12. Dry run (preview migration without changes)");
+  console.log("13. Roll back a migration or sync run");
+  console.log("14. Exit");
   console.log("");
 
-  const choice = await prompt("Enter your choice (1-10): ");
+  const choice = await prompt("Enter your choice (1-14): ");
 
   switch (choice) {
     case "1":
@@ -163,6 +167,18 @@ async function showMainMenu() {
       }
       break;
     case "10":
+      await resumeMigration();
+      break;
+    case "11":
+      await syncChangedPages();
+      break;
+    case "12":
+      await runDryRun();
+      break;
+    case "13":
+      await rollbackRun();
+      break;
+    case "14":
       console.log("Exiting. Goodbye!");
       console.log("OPM Team :)");
       rl.close();
@@ -198,6 +214,79 @@ async function runFullMigration() {
   runCommand("node src/index.js migrate");
 }
 
+// Resume the last interrupted migration run
+async function resumeMigration() {
+  console.log("\nResuming interrupted migration...\n");
+
+  // Check if .env file exists
+  if (!fs.existsSync(path.join(__dirname, ".env"))) {
+    console.log("Configuration not found. Please run setup first.");
+    return;
+  }
+
+  runCommand("node src/index.js migrate --resume");
+}
+
+// Push only the pages that changed since the last run
+async function syncChangedPages() {
+  console.log("\nSyncing changed pages...\n");
+
+  // Check if .env file exists
+  if (!fs.existsSync(path.join(__dirname, ".env"))) {
+    console.log("Configuration not found. Please run setup first.");
+    return;
+  }
+
+  runCommand("node src/index.js sync");
+}
+
+// Plan the migration without writing to Confluence
+async function runDryRun() {
+  console.log("\nRunning migration as a dry run...\n");
+
+  // Check if .env file exists
+  if (!fs.existsSync(path.join(__dirname, ".env"))) {
+    console.log("Configuration not found. Please run setup first.");
+    return;
+  }
+
+  runCommand("node src/index.js migrate --dry-run");
+}
+
+// Undo everything a run changed in Confluence
+async function rollbackRun() {
+  console.log("\nRolling back a run...\n");
+
+  const journalDir = path.join(process.cwd(), ".migration-runs");
+  const runIds = fs.existsSync(journalDir)
+    ? fs
+        .readdirSync(journalDir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.basename(file, ".json"))
+        .sort()
+        .reverse()
+    : [];
+  if (runIds.length === 0) {
+    console.log("No recorded runs found.");
+    return;
+  }
+  console.log(`Recent runs: ${runIds.slice(0, 5).join(", ")}`);
+
+  const runId = (await prompt("Enter the run ID to roll back: ")).trim();
+  if (!runId) {
+    console.log("A run ID is required.");
+    return;
+  }
+  // Only a recorded run ID goes into the command line
+  if (!runIds.includes(runId)) {
+    console.log(`No recorded run "${runId}" found.`);
+    return;
+  }
+
+  // The rollback command shows what will change and asks for confirmation
+  runCommand(`node src/index.js rollback "${runId}"`);
+}
+
 // Run local test
 async function runLocalTest() {
   console.log("\nRunning migration in local test mode...\n");
@@ -77,6 +77,34 @@ async function saveEnvFile(config) {
   console.log('Environment configuration saved to .env file');
 }
 
+// Function to ask for the Confluence URL and credentials for the deployment type
+async function promptConfluenceConnection(deployment) {
+  if (deployment === 'cloud') {
+    return {
+      CONFLUENCE_DEPLOYMENT: 'cloud',
+      CONFLUENCE_BASE_URL: await prompt('Confluence Base URL, without /wiki', process.env.CONFLUENCE_BASE_URL || 'https://your-domain.atlassian.net'),
+      CONFLUENCE_USERNAME: await prompt('Confluence Username (email)', process.env.CONFLUENCE_USERNAME || 'your.email@example.com'),
+      CONFLUENCE_API_TOKEN: await prompt('Confluence API Token', process.env.CONFLUENCE_API_TOKEN || '')
+    };
+  }
+
+  const connection = {
+    CONFLUENCE_DEPLOYMENT: 'server',
+    CONFLUENCE_BASE_URL: await prompt(
+      'Confluence Base URL, including the context path if there is one (e.g. https://confluence.example.com/confluence)',
+      process.env.CONFLUENCE_BASE_URL || 'https://confluence.example.com'
+    )
+  };
+  const pat = await prompt('Personal Access Token (leave empty to use username and password)', process.env.CONFLUENCE_PAT || '');
+  if (pat) {
+    connection.CONFLUENCE_PAT = pat;
+  } else {
+    connection.CONFLUENCE_USERNAME = await prompt('Confluence Username', process.env.CONFLUENCE_USERNAME || '');
+    connection.CONFLUENCE_API_TOKEN = await prompt('Confluence Password', process.env.CONFLUENCE_API_TOKEN || '');
+  }
+  return connection;
+}
+
 // Main function to run the setup
 async function runSetup() {
   try {
@@ -89,12 +117,18 @@ async function runSetup() {
     const detectedProject = await detectProjectName();
     const projectName = await prompt('Enter the name of your project', detectedProject || 'Your-Project');
     
+    // Confluence Cloud and Server/Data Center differ in URL layout and authentication
+    const deploymentAnswer = await prompt(
+      'Which Confluence are you migrating to: cloud or server (Server/Data Center)?',
+      process.env.CONFLUENCE_DEPLOYMENT || 'cloud'
+    );
+    const deployment = deploymentAnswer.trim().toLowerCase().startsWith('s') ? 'server' : 'cloud';
+    const confluenceConfig = await promptConfluenceConnection(deployment);
+
     // Create config object with defaults from existing env or new defaults
     const config = {
       // Confluence API Configuration
-      CONFLUENCE_BASE_URL: await prompt('Confluence Base URL', process.env.CONFLUENCE_BASE_URL || 'https://your-domain.atlassian.net'),
-      CONFLUENCE_USERNAME: await prompt('Confluence Username (email)', process.env.CONFLUENCE_USERNAME || 'your.email@example.com'),
-      CONFLUENCE_API_TOKEN: await prompt('Confluence API Token', process.env.CONFLUENCE_API_TOKEN || ''),
+      ...confluenceConfig,
       
       // Confluence Space Configuration
       CONFLUENCE_SPACE_KEY: await prompt('Confluence Space Key', process.env.CONFLUENCE_SPACE_KEY || 'SPACE'),
@@ -125,6 +159,7 @@ async function runSetup() {
     await saveEnvFile(config);
 
     console.log('\nSetup complete! You can now run the migration tool.');
+    console.log('To check the Confluence connection, run: node src/index.js auth-test');
     console.log('To start the migration, run: node src/index.js');
     console.log('For local testing, run: node src/index.js --local');
     console.log('For debug mode, add: --debug');
@@ -4,6 +4,7 @@ const path = require('path');
 const { getMimeType } = require('../utils');
 const { getConfig } = require('./config');
 const { logger } = require('../utils');
+const { hashContent } = require('./runJournal');
 
 
 /**
@@ -44,8 +45,8 @@ async function getBlobUrl(confluenceClient, pageId, attachmentName) {
             return null;
         }
         
-        // Get the base URL from the Confluence client
-        const baseUrl = confluenceClient.getBaseUrl();
+        // Download links are relative to the URL Confluence is served under
+        const baseUrl = confluenceClient.getWebUrl();
         if (!baseUrl) {
             logger.error('Failed to get base URL from Confluence client');
             return null;
@@ -66,14 +67,32 @@ async function getBlobUrl(confluenceClient, pageId, attachmentName) {
 
 /**
  * Upload attachments for a page
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - Page ID
+ * @param {string} pagePath - Path to the page's markdown file
+ * @param {Object} attachmentMappings - Mapping of attachments
+ * @param {Object} [previousHashes] - Attachment content hashes from the last push. When given, unchanged
+ *   attachments are skipped and changed ones are uploaded as a new version.
+ * @returns {Promise<{uploaded: Array<string>, unchanged: Array<string>, failed: Array<string|Object>, added: Object, hashes: Object}>}
+ *   - Names of uploaded, unchanged and failed attachments, the IDs of newly created attachments by name,
+ *   and the content hash of each attachment found. When the page itself cannot be processed, failed
+ *   holds {page, error}.
  */
-async function uploadAttachments(confluenceClient, pageId, pagePath, attachmentMappings) {
+async function uploadAttachments(confluenceClient, pageId, pagePath, attachmentMappings, previousHashes = null) {
     try {
         logger.info(`Processing attachments for page: ${pagePath}`);
         const content = await fs.readFile(pagePath, 'utf8');
         
         // Track processed files to avoid duplicates
         const processedFiles = new Set();
+        const uploadState = {
+            uploaded: new Set(),
+            unchanged: new Set(),
+            failed: new Set(),
+            added: {},
+            hashes: {},
+            previousHashes
+        };
         
         // Get the root .attachments folder path from config
         const config = getConfig();
@@ -101,20 +120,29 @@ async function uploadAttachments(confluenceClient, pageId, pagePath, attachmentM
         logger.debug(`Looking for attachments in root folder: ${rootAttachmentsDir}`);
         
         // Process each type of image reference
-        await processStandardImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
-        await processWikiStyleImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
-        await processHtmlImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await processStandardImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await processWikiStyleImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await processHtmlImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
         
         logger.info(`Completed processing ${processedFiles.size} attachments for page: ${pagePath}`);
+        return {
+            uploaded: [...uploadState.uploaded],
+            unchanged: [...uploadState.unchanged],
+            failed: [...uploadState.failed],
+            added: uploadState.added,
+            hashes: uploadState.hashes
+        };
     } catch (error) {
         logger.error(`Error processing attachments for page ${pagePath}:`, error);
+        // Reported as failed, so the page is not journaled as done
+        return { uploaded: [], unchanged: [], failed: [{ page: pagePath, error: error.message }], added: {}, hashes: {} };
     }
 }
 
 /**
  * Process standard Markdown image references: ![alt](path/to/image.png)
  */
-async function processStandardImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
+async function processStandardImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
     logger.debug(`Processing standard Markdown image references`);
     
     // Enhanced regex to capture standard Markdown image references
@@ -138,14 +166,14 @@ async function processStandardImageReferences(content, processedFiles, rootAttac
             attachmentName = decodeURIComponent(normalizedSrc);
         }
         
-        await uploadAttachmentFile(attachmentName, normalizedSrc, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await uploadAttachmentFile(attachmentName, normalizedSrc, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
     }
 }
 
 /**
  * Process wiki-style image references: ![[image.png]]
  */
-async function processWikiStyleImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
+async function processWikiStyleImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
     console.log(`Processing wiki-style image references`);
     
     // Improved regex to capture wiki-style image references with possible parameters
@@ -183,14 +211,14 @@ async function processWikiStyleImageReferences(content, processedFiles, rootAtta
             attachmentName = decodeURIComponent(cleanName);
         }
         
-        await uploadAttachmentFile(attachmentName, normalizedPath, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await uploadAttachmentFile(attachmentName, normalizedPath, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
     }
 }
 
 /**
  * Process HTML img tag references: <img src="path/to/image.png" alt="alt text" />
  */
-async function processHtmlImageReferences(content, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
+async function processHtmlImageReferences(content, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
     console.log(`Processing HTML img tag references`);
     
     // Improved regex to better capture HTML img tags with various attributes
@@ -223,14 +251,14 @@ async function processHtmlImageReferences(content, processedFiles, rootAttachmen
             attachmentName = decodeURIComponent(normalizedPath);
         }
         
-        await uploadAttachmentFile(attachmentName, normalizedPath, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
+        await uploadAttachmentFile(attachmentName, normalizedPath, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings);
     }
 }
 
 /**
  * Helper function to upload a single attachment file
  */
-async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
+async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles, uploadState, rootAttachmentsDir, confluenceClient, pageId, attachmentMappings) {
     try {
         console.log(`Processing image reference: ${attachmentName} (from ${sourcePath})`);
         
@@ -266,6 +294,16 @@ async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles,
             const stats = await fs.stat(attachmentPath);
             const mimeType = getMimeType(attachmentPath);
             
+            // Skip attachments whose content matches the last push
+            const fileHash = hashContent(await fs.readFile(attachmentPath));
+            uploadState.hashes[cleanAttachmentName] = fileHash;
+            if (uploadState.previousHashes?.[cleanAttachmentName] === fileHash) {
+                console.log(`Attachment ${cleanAttachmentName} unchanged since last push, skipping upload`);
+                processedFiles.add(attachmentName);
+                uploadState.unchanged.add(cleanAttachmentName);
+                return;
+            }
+            
             console.log(`Uploading ${cleanAttachmentName} from ${attachmentPath} (${mimeType}, ${stats.size} bytes)`);
             
             try {
@@ -274,11 +312,19 @@ async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles,
                     fileName: cleanAttachmentName,
                     mimeType: mimeType,
                     comment: `Updated: ${new Date().toISOString()}`,
-                    minorEdit: true
+                    minorEdit: true,
+                    replaceExisting: Boolean(uploadState.previousHashes)
                 });
                 
                 console.log(`Successfully uploaded: ${cleanAttachmentName} (ID: ${result.results?.[0]?.id || 'unknown'})`);
                 processedFiles.add(attachmentName); // Use original name to avoid reprocessing
+                uploadState.uploaded.add(cleanAttachmentName);
+                
+                // Remember attachments this upload created, rather than a new version of, for rollbacks
+                const uploaded = result.results?.[0];
+                if (!result.existing && uploaded?.id && uploaded.id !== 'unknown' && (uploaded.version?.number ?? 1) === 1) {
+                    uploadState.added[cleanAttachmentName] = uploaded.id;
+                }
                 
                 // Update attachmentMappings with the new reference
                 if (attachmentMappings) {
@@ -296,6 +342,7 @@ async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles,
                 if (uploadError.results && uploadError.results.length > 0) {
                     console.log(`Attachment ${cleanAttachmentName} already exists on page ${pageId}`);
                     processedFiles.add(attachmentName); // Use original name to avoid reprocessing
+                    uploadState.uploaded.add(cleanAttachmentName);
                     
                     // Still update attachmentMappings with the reference info
                     if (attachmentMappings) {
@@ -319,6 +366,7 @@ async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles,
             console.error(`Full path attempted: ${attachmentPath}`);
             console.error(`Original reference: ${sourcePath}`);
             console.error(`Error details:`, error);
+            uploadState.failed.add(cleanAttachmentName);
             
             // Even if the file upload failed, we should still add an entry to attachmentMappings
             // This allows the link conversion to still work with the attachment name
@@ -336,7 +384,33 @@ async function uploadAttachmentFile(attachmentName, sourcePath, processedFiles,
     }
 }
 
+/**
+ * Create an empty attachment result, in the shape uploadAttachments returns
+ * @returns {{uploaded: Array<string>, unchanged: Array<string>, failed: Array<string>, added: Object, hashes: Object}}
+ */
+function createAttachmentResult() {
+    return { uploaded: [], unchanged: [], failed: [], added: {}, hashes: {} };
+}
+
+/**
+ * Add the attachments of one result to another, e.g. the rendered mermaid
+ * diagrams of a page to its uploaded attachments
+ * @param {Object} target - Attachment result to add to
+ * @param {Object} result - Attachment result to add
+ * @returns {Object} - The target result
+ */
+function addAttachmentResult(target, result) {
+    target.uploaded.push(...result.uploaded);
+    target.unchanged.push(...result.unchanged);
+    target.failed.push(...result.failed);
+    Object.assign(target.added, result.added);
+    Object.assign(target.hashes, result.hashes);
+    return target;
+}
+
 module.exports = {
     uploadAttachments,
+    createAttachmentResult,
+    addAttachmentResult,
     getBlobUrl
 };
\ No newline at end of file
@@ -1,28 +1,99 @@
-const  Confluence = require('../utils/Confluence-API.js');
+const { logger } = require("../utils");
 
-async function testAuthentication(config) {
-  try {
-    const confluenceClient = new Confluence();
-
-    // Make a simple API request to test authentication
-    await confluenceClient.getSpaceByKey(
-      config.confluence.spaceKey,
-    
-      (error, response) => {
-        if (error) {
-          throw new Error(`Authentication failed: ${error.message}`);
-        }else{
-          console.log('Authentication successful!',response);
-          return true;
-        }
+/**
+ * Get the HTTP status of a failed client call. Client methods wrap errors,
+ * so the status is read from the message when it is not on the error.
+ * @param {Error} error - Error thrown by the Confluence client
+ * @returns {number|null} - HTTP status, or null when no response was received
+ */
+function getErrorStatus(error) {
+  const status = error.status || /status code (\d+)/.exec(error.message)?.[1];
+  return status ? Number(status) : null;
+}
+
+/**
+ * Explain a failed authentication test, with what to check for the kind of
+ * Confluence and authentication in use
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {number|null} status - HTTP status of the failed request
+ * @returns {Array<string>} - Hints for the user
+ */
+function getFailureHints(confluenceClient, status) {
+  const isServer = confluenceClient.deployment === "server";
+  const usesToken = Boolean(confluenceClient.personalAccessToken);
+
+  switch (status) {
+    case 401:
+      if (usesToken) {
+        return [
+          "The personal access token was rejected. Check that CONFLUENCE_PAT is complete and has not expired or been revoked.",
+        ];
       }
-    );
+      return isServer
+        ? [
+            "Invalid credentials. Check CONFLUENCE_USERNAME and CONFLUENCE_API_TOKEN (your password),",
+            "or create a personal access token in your Confluence profile and set CONFLUENCE_PAT.",
+          ]
+        : [
+            "Invalid credentials. Check that CONFLUENCE_USERNAME is your Atlassian account email",
+            "and CONFLUENCE_API_TOKEN is an API token from https://id.atlassian.com/manage-profile/security/api-tokens.",
+          ];
+    case 403:
+      return [
+        "The user has no access to this space, or API access is restricted on this instance.",
+      ];
+    case 404:
+      return isServer
+        ? [
+            "Space not found. Check CONFLUENCE_SPACE_KEY, and that CONFLUENCE_BASE_URL includes the",
+            "context path Confluence runs under, e.g. https://confluence.example.com/confluence.",
+          ]
+        : [
+            "Space not found. Check CONFLUENCE_SPACE_KEY, and that CONFLUENCE_BASE_URL is the site URL",
+            "without /wiki, e.g. https://your-domain.atlassian.net. For Server/Data Center set CONFLUENCE_DEPLOYMENT=server.",
+          ];
+    case null:
+      return [
+        "No response from Confluence. Check CONFLUENCE_BASE_URL and your network or proxy settings.",
+      ];
+    default:
+      return [`Unexpected response from Confluence (HTTP ${status}).`];
+  }
+}
+
+/**
+ * Check that the client can reach Confluence and read the migration's space,
+ * logging what to fix when it cannot
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} spaceKey - Space the migration writes to
+ * @returns {Promise<boolean>} - True if authentication succeeded
+ */
+async function testAuthentication(confluenceClient, spaceKey) {
+  logger.info(`Connecting to ${confluenceClient.describeConnection()}`);
+
+  try {
+    const space = await confluenceClient.getSpaceByKey(spaceKey);
+
+    // A login or SSO page instead of JSON means the request never reached the API
+    if (!space || typeof space !== "object" || !space.key) {
+      logger.error(
+        "Authentication failed: Confluence answered with a web page instead of the REST API."
+      );
+      logger.error(
+        "Check CONFLUENCE_BASE_URL and CONFLUENCE_DEPLOYMENT, and whether single sign-on intercepts API requests."
+      );
+      return false;
+    }
 
-    
+    logger.info(`Authentication successful, found space ${space.key} (${space.name})`);
+    return true;
   } catch (error) {
-    console.error('Authentication failed:', error.message);
+    logger.error("Authentication failed:", error);
+    getFailureHints(confluenceClient, getErrorStatus(error)).forEach((hint) =>
+      logger.error(hint)
+    );
     return false;
   }
 }
 
-module.exports = { testAuthentication };
\ No newline at end of file
+module.exports = { testAuthentication };
@@ -0,0 +1,61 @@
+const path = require("path");
+const { toLabel } = require("./frontMatter");
+
+/**
+ * Get the labels a migrated page is tagged with automatically: one per
+ * folder it sits in below the wiki root, the project name, and the run label
+ * @param {Object} page - Parsed wiki page
+ * @param {string} wikiRoot - Path to the wiki root
+ * @param {Object} options - Auto label options
+ * @param {string} [options.projectName] - Project name, left out when empty
+ * @param {string} [options.runLabel] - Label shared by everything the tool migrated
+ * @returns {Array<string>} - Labels, without duplicates
+ */
+function getAutoLabels(page, wikiRoot, options) {
+  const folders = path
+    .relative(wikiRoot, path.dirname(page.path))
+    .split(path.sep)
+    .filter((folder) => folder && folder !== "..");
+
+  const labels = [
+    ...folders.map((folder) => {
+      // Wiki folder names use "-" for spaces and %2D for dashes
+      try {
+        return decodeURIComponent(folder.replace(/-/g, " "));
+      } catch (error) {
+        return folder;
+      }
+    }),
+    options.projectName,
+    options.runLabel,
+  ]
+    .filter(Boolean)
+    .map(toLabel)
+    .filter(Boolean);
+
+  return [...new Set(labels)];
+}
+
+/**
+ * Add the automatic labels to every page, next to any from its front matter
+ * @param {Array} pages - Parsed wiki pages
+ * @param {string} wikiRoot - Path to the wiki root
+ * @param {Object} options - Auto label options, see getAutoLabels
+ */
+function applyAutoLabels(pages, wikiRoot, options) {
+  for (const page of pages) {
+    const labels = new Set([
+      ...(page.labels || []),
+      ...getAutoLabels(page, wikiRoot, options),
+    ]);
+    page.labels = [...labels];
+    if (page.children && page.children.length > 0) {
+      applyAutoLabels(page.children, wikiRoot, options);
+    }
+  }
+}
+
+module.exports = {
+  getAutoLabels,
+  applyAutoLabels,
+};
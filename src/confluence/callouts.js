@@ -0,0 +1,151 @@
+const { escapeXml } = require("./storageFormat");
+
+// Callout keywords, from `> [!NOTE]` blocks and `::: note` containers, and
+// the Confluence panel macro each one becomes
+const CALLOUT_MACROS = {
+  note: "info",
+  info: "info",
+  tip: "tip",
+  hint: "tip",
+  success: "tip",
+  important: "note",
+  attention: "note",
+  warning: "warning",
+  caution: "warning",
+  danger: "warning",
+  error: "warning",
+};
+
+const QUOTE_CALLOUT = /^ {0,3}>[ \t]?\[!(\w+)\][ \t]*(.*?)\s*$/;
+const QUOTE_LINE = /^ {0,3}>/;
+const CONTAINER_OPEN = /^[ \t]*:::+[ \t]*(\w+)[ \t]*(.*?)\s*$/;
+const CONTAINER_CLOSE = /^[ \t]*:::+\s*$/;
+const FENCE = /^[ \t]*(```|~~~)/;
+
+/**
+ * Read the callout block starting at a line, if there is one: a `> [!NOTE]`
+ * blockquote or a `::: note` container, with the text after the keyword as
+ * its title. Blocks with an unknown keyword are not callouts.
+ * @param {Array<string>} lines - Markdown lines
+ * @param {number} index - Line the block would start at
+ * @returns {{callout: {macro: string, title: string}, body: string, end: number}|null} - The callout, its markdown content and the index of its last line
+ */
+function readCallout(lines, index) {
+  const createCallout = (keyword, title) => ({
+    macro: CALLOUT_MACROS[keyword.toLowerCase()],
+    title: title || keyword.charAt(0).toUpperCase() + keyword.slice(1).toLowerCase(),
+  });
+
+  const quote = lines[index].match(QUOTE_CALLOUT);
+  if (quote && CALLOUT_MACROS[quote[1].toLowerCase()]) {
+    const body = [];
+    let i = index;
+    while (i + 1 < lines.length && QUOTE_LINE.test(lines[i + 1])) {
+      body.push(lines[++i].replace(/^ {0,3}>[ \t]?/, ""));
+    }
+    return { callout: createCallout(quote[1], quote[2]), body: body.join("\n"), end: i };
+  }
+
+  const container = lines[index].match(CONTAINER_OPEN);
+  if (container && CALLOUT_MACROS[container[1].toLowerCase()]) {
+    // Containers nest, so the closing ::: is the one that balances
+    const body = [];
+    let depth = 1;
+    let inBodyFence = false;
+    let i = index;
+    while (++i < lines.length) {
+      if (FENCE.test(lines[i])) {
+        inBodyFence = !inBodyFence;
+      } else if (!inBodyFence && CONTAINER_CLOSE.test(lines[i])) {
+        if (--depth === 0) break;
+      } else if (!inBodyFence && CONTAINER_OPEN.test(lines[i])) {
+        depth++;
+      }
+      body.push(lines[i]);
+    }
+    return {
+      callout: createCallout(container[1], container[2]),
+      body: body.join("\n"),
+      end: Math.min(i, lines.length - 1),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Replace callout blocks with placeholders around their content, so the
+ * markdown inside them goes through the rest of the conversion like any
+ * other. Nested callouts are replaced too; anything in fenced code is left
+ * alone.
+ * @param {string} content - Markdown content
+ * @returns {{content: string, callouts: Array<{macro: string, title: string}>}} - Content with placeholders and the callouts found
+ */
+function extractCallouts(content) {
+  const callouts = [];
+
+  const convert = (text) => {
+    const lines = text.split("\n");
+    const output = [];
+
+    let inFence = false;
+    for (let i = 0; i < lines.length; i++) {
+      if (inFence || FENCE.test(lines[i])) {
+        if (FENCE.test(lines[i])) inFence = !inFence;
+        output.push(lines[i]);
+        continue;
+      }
+
+      const block = readCallout(lines, i);
+      if (!block) {
+        output.push(lines[i]);
+        continue;
+      }
+
+      const index = callouts.length;
+      callouts.push(block.callout);
+      // Blank lines keep each placeholder in a paragraph of its own
+      output.push("", `%%CALLOUT_${index}%%`, "", convert(block.body), "", `%%CALLOUT_END_${index}%%`, "");
+      i = block.end;
+    }
+
+    return output.join("\n");
+  };
+
+  return { content: convert(content), callouts };
+}
+
+/**
+ * Create the opening and closing markup of the Confluence panel macro for a
+ * callout
+ * @param {Object} callout - Callout found by extractCallouts
+ * @returns {Array<string>} - Markup before and after the callout's content
+ */
+function createCalloutMacro(callout) {
+  return [
+    `<ac:structured-macro ac:name="${callout.macro}" ac:schema-version="1"><ac:parameter ac:name="title">${escapeXml(callout.title)}</ac:parameter><ac:rich-text-body>`,
+    "</ac:rich-text-body></ac:structured-macro>",
+  ];
+}
+
+/**
+ * Replace the placeholders from extractCallouts, once the content between
+ * them is converted
+ * @param {string} html - Converted HTML
+ * @param {Array} callouts - Callouts returned by extractCallouts
+ * @param {Function} [render] - Returns the markup before and after a callout's content, the Confluence macro by default
+ * @returns {string} - HTML with the callouts
+ */
+function restoreCallouts(html, callouts, render = createCalloutMacro) {
+  return html.replace(
+    /(?:<p>)?%%CALLOUT_(END_)?(\d+)%%(?:<\/p>)?/g,
+    (match, end, index) => render(callouts[index])[end ? 1 : 0]
+  );
+}
+
+module.exports = {
+  readCallout,
+  extractCallouts,
+  createCalloutMacro,
+  restoreCallouts,
+};
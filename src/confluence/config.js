@@ -3,6 +3,7 @@ const path = require("path");
 const fs = require("fs-extra");
 const { validateConfig } = require("../utils/configValidator");
 const { logger } = require("../utils");
+const { parseFrontMatterMapping } = require("./frontMatter");
 
 dotenv.config();
 
@@ -102,13 +103,29 @@ function getAttachmentsDir() {
   return "";
 }
 
+// Against the local mock server no credentials are needed, and the base URL is
+// only known once the server has started
+const useMock = process.env.CONFLUENCE_MOCK === "true";
+
 const config = {
   confluence: {
-    username: process.env.CONFLUENCE_USERNAME,
-    password: process.env.CONFLUENCE_API_TOKEN,
-    baseUrl: process.env.CONFLUENCE_BASE_URL,
-    spaceKey: process.env.CONFLUENCE_SPACE_KEY,
-    parentPageId: process.env.CONFLUENCE_PARENT_PAGE_ID,
+    username: process.env.CONFLUENCE_USERNAME || (useMock ? "mock" : undefined),
+    password: process.env.CONFLUENCE_API_TOKEN || (useMock ? "mock" : undefined),
+    personalAccessToken: process.env.CONFLUENCE_PAT,
+    deployment:
+      (process.env.CONFLUENCE_DEPLOYMENT || "cloud").toLowerCase() === "server"
+        ? "server"
+        : "cloud",
+    baseUrl: useMock ? "http://127.0.0.1" : process.env.CONFLUENCE_BASE_URL,
+    spaceKey: process.env.CONFLUENCE_SPACE_KEY || (useMock ? "MOCK" : undefined),
+    parentPageId:
+      process.env.CONFLUENCE_PARENT_PAGE_ID || (useMock ? "1" : undefined),
+    apiVersion: process.env.CONFLUENCE_API_VERSION === "2" ? "2" : "1",
+    concurrency: parseInt(process.env.MIGRATION_CONCURRENCY, 10) || 1,
+    mock: useMock,
+    mockDataDir: resolvePath(
+      process.env.CONFLUENCE_MOCK_DATA || "./.confluence-mock"
+    ),
   },
   paths: {
     wikiRoot: getWikiRootDir(),
@@ -116,10 +133,23 @@ const config = {
     outputPath: resolvePath(process.env.OUTPUT_PATH || "./output"),
     attachmentsDir: getAttachmentsDir(),
   },
+  // Front matter keys that become labels, and the keys and titles shown in
+  // the Page Properties macro ("*" for all other keys)
+  frontMatter: parseFrontMatterMapping(
+    process.env.FRONT_MATTER_LABELS,
+    process.env.FRONT_MATTER_PROPERTIES
+  ),
   project: {
     name: process.env.PROJECT_NAME || "Unknown",
     passValidation: process.env.PASS_VALIDATION || 0,
   },
+  // Labels added to every migrated page: its folders, the project name and
+  // a label shared by the whole migration
+  autoLabels: {
+    enabled: process.env.AUTO_LABELS === "true",
+    projectName: process.env.PROJECT_NAME,
+    runLabel: process.env.RUN_LABEL || "migrated-from-ado",
+  },
 };
 
 function getConfig() {
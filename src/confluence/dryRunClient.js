@@ -0,0 +1,396 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { logger } = require("../utils");
+
+const PLANNED_ID_PREFIX = "dry-run-";
+
+/**
+ * Read-only stand-in for ConfluenceClient used by `migrate --dry-run`.
+ *
+ * Read calls go to the real client so the plan reflects what is actually in
+ * the space. Write calls never reach Confluence; they are recorded in a plan
+ * and answered with responses shaped like the real API's, so the regular
+ * migration pipeline runs unchanged.
+ * @class DryRunClient
+ */
+class DryRunClient {
+  /**
+   * Create a dry-run client
+   * @param {Object} confluenceClient - Real Confluence API client used for reads
+   */
+  constructor(confluenceClient) {
+    this.client = confluenceClient;
+    this.nextPlannedId = 1;
+    // Planned page state keyed by page ID, in the order pages were first written
+    this.pages = new Map();
+    // Planned page moves, in the order they were requested
+    this.moves = [];
+  }
+
+  /**
+   * Check whether a page ID was made up by this client
+   * @param {string} pageId - Page ID
+   * @returns {boolean} - True if the page only exists in the plan
+   */
+  isPlannedId(pageId) {
+    return String(pageId).startsWith(PLANNED_ID_PREFIX);
+  }
+
+  getBaseUrl() {
+    return this.client.getBaseUrl();
+  }
+
+  getWebUrl() {
+    return this.client.getWebUrl();
+  }
+
+  async getSpaceByKey(spaceKey) {
+    return this.client.getSpaceByKey(spaceKey);
+  }
+
+  async getPageByTitle(spaceKey, title, expand = {}) {
+    // Pages planned for creation are visible to later lookups in the same run
+    for (const page of this.pages.values()) {
+      if (page.action === "create" && page.title === title) {
+        return { id: page.id, title: page.title };
+      }
+    }
+    return this.client.getPageByTitle(spaceKey, title, expand);
+  }
+
+  async getPageById(pageId, expand) {
+    const planned = this.pages.get(String(pageId));
+    if (planned) {
+      return {
+        id: planned.id,
+        title: planned.title,
+        version: { number: planned.version },
+        body: { storage: { value: planned.body, representation: "storage" } },
+      };
+    }
+    return this.client.getPageById(pageId, expand);
+  }
+
+  async getChildPages(parentPageId) {
+    const planned = [...this.pages.values()]
+      .filter((page) => page.action === "create" && page.parentId === String(parentPageId))
+      .map((page) => ({ id: page.id, title: page.title }));
+    if (this.isPlannedId(parentPageId)) {
+      return planned;
+    }
+    return [...(await this.client.getChildPages(parentPageId)), ...planned];
+  }
+
+  async *iterateChildPages(parentPageId) {
+    yield* await this.getChildPages(parentPageId);
+  }
+
+  async *iterateAttachments(pageId) {
+    yield* (await this.getAttachments(pageId)).results;
+  }
+
+  async getAttachments(pageId) {
+    const existing = this.isPlannedId(pageId)
+      ? { results: [] }
+      : await this.client.getAttachments(pageId);
+
+    // Planned uploads have no download link, so converted pages fall back to
+    // attachment references, exactly as they would on the first real run
+    const planned = (this.pages.get(String(pageId))?.attachments || []).map(
+      (attachment) => ({ id: attachment.id, title: attachment.fileName })
+    );
+    return { ...existing, results: [...existing.results, ...planned] };
+  }
+
+  async createPage(pageData) {
+    const id = `${PLANNED_ID_PREFIX}${this.nextPlannedId++}`;
+    const parentId = pageData.ancestors?.[0]?.id;
+    this.pages.set(id, {
+      id,
+      action: "create",
+      title: pageData.title,
+      parentId: parentId ? String(parentId) : null,
+      version: 1,
+      body: pageData.body?.storage?.value || "",
+      attachments: [],
+      labels: [],
+      removedLabels: [],
+    });
+    logger.info(`[dry-run] Would create page "${pageData.title}"`);
+    return { id, title: pageData.title };
+  }
+
+  async updatePage(pageId, pageData) {
+    const id = String(pageId);
+    let planned = this.pages.get(id);
+    if (!planned) {
+      const currentPage = await this.client.getPageById(pageId, {
+        expand: "version,ancestors",
+      });
+      const ancestors = currentPage.ancestors || [];
+      planned = {
+        id,
+        action: "update",
+        title: currentPage.title,
+        currentTitle: currentPage.title,
+        currentVersion: currentPage.version?.number,
+        parentId: ancestors.length > 0 ? String(ancestors[ancestors.length - 1].id) : null,
+        version: currentPage.version?.number,
+        body: "",
+        attachments: [],
+        labels: [],
+        removedLabels: [],
+      };
+      this.pages.set(id, planned);
+    }
+
+    planned.title = pageData.title;
+    planned.body = pageData.body?.storage?.value || "";
+    planned.version = pageData.version?.number || planned.version + 1;
+    logger.info(`[dry-run] Would update page "${pageData.title}" (${id})`);
+    return { id, title: pageData.title };
+  }
+
+  async movePage(pageId, position, targetId) {
+    this.moves.push({
+      pageId: String(pageId),
+      title: this.pages.get(String(pageId))?.title,
+      position,
+      targetId: String(targetId),
+    });
+    logger.info(`[dry-run] Would move page ${pageId} ${position} ${targetId}`);
+    return { pageId, position, targetId };
+  }
+
+  async deletePage(pageId) {
+    logger.info(`[dry-run] Would delete page ${pageId}`);
+  }
+
+  async purgePage(pageId) {
+    logger.info(`[dry-run] Would purge page ${pageId} from the trash`);
+  }
+
+  async uploadAttachment(pageId, filePath, fileInfo) {
+    const fileName =
+      typeof fileInfo === "string"
+        ? fileInfo
+        : fileInfo?.fileName || path.basename(filePath);
+    await fs.access(filePath);
+
+    const existing = await this.getAttachments(pageId);
+    const existingAttachment = existing.results.find(
+      (attachment) => attachment.title === fileName
+    );
+    if (existingAttachment && !fileInfo?.replaceExisting) {
+      return { results: [existingAttachment], existing: true };
+    }
+
+    const id = String(pageId);
+    // Attachments uploaded to a page that is otherwise left alone
+    await this.getPlannedPage(id);
+
+    const stats = await fs.stat(filePath);
+    const attachment = {
+      id: `${PLANNED_ID_PREFIX}att-${this.nextPlannedId++}`,
+      fileName,
+      filePath,
+      size: stats.size,
+      mimeType: fileInfo?.mimeType,
+      newVersion: Boolean(existingAttachment),
+    };
+    this.pages.get(id).attachments.push(attachment);
+    logger.info(`[dry-run] Would upload attachment "${fileName}" to page ${id}`);
+    return { results: [{ id: attachment.id, title: fileName, status: "current" }] };
+  }
+
+  async getLabels(pageId) {
+    const existing = this.isPlannedId(pageId)
+      ? []
+      : await this.client.getLabels(pageId);
+    const planned = this.pages.get(String(pageId));
+    const labels = new Set([...existing, ...(planned?.labels || [])]);
+    (planned?.removedLabels || []).forEach((label) => labels.delete(label));
+    return [...labels];
+  }
+
+  async addLabels(pageId, labels) {
+    const planned = await this.getPlannedPage(String(pageId));
+    labels.forEach((label) => {
+      if (!planned.labels.includes(label)) planned.labels.push(label);
+    });
+    logger.info(`[dry-run] Would add labels ${labels.join(", ")} to page ${pageId}`);
+    return { results: planned.labels.map((name) => ({ prefix: "global", name })) };
+  }
+
+  async removeLabels(pageId, labels) {
+    const planned = await this.getPlannedPage(String(pageId));
+    labels.forEach((label) => {
+      planned.labels = planned.labels.filter((item) => item !== label);
+      if (!planned.removedLabels.includes(label)) planned.removedLabels.push(label);
+    });
+    logger.info(`[dry-run] Would remove labels ${labels.join(", ")} from page ${pageId}`);
+  }
+
+  /**
+   * Get the planned state of a page, adding an unchanged entry for a page that
+   * is only written to through attachments or labels
+   * @param {string} id - Page ID
+   * @returns {Promise<Object>} - Planned page
+   */
+  async getPlannedPage(id) {
+    if (!this.pages.has(id)) {
+      const currentPage = await this.client.getPageById(id, {
+        expand: "version",
+      });
+      this.pages.set(id, {
+        id,
+        action: "unchanged",
+        title: currentPage.title,
+        parentId: null,
+        version: currentPage.version?.number,
+        body: null,
+        attachments: [],
+        labels: [],
+        removedLabels: [],
+      });
+    }
+    return this.pages.get(id);
+  }
+
+  /**
+   * Build the migration plan from everything recorded so far
+   * @returns {Object} - Plan with a summary and one entry per page
+   */
+  getPlan() {
+    const pages = [...this.pages.values()].map((page) => ({
+      action: page.action,
+      pageId: this.isPlannedId(page.id) ? null : page.id,
+      plannedId: page.id,
+      title: page.title,
+      ...(page.currentTitle && page.currentTitle !== page.title
+        ? { currentTitle: page.currentTitle }
+        : {}),
+      parentId: page.parentId,
+      ...(page.currentVersion ? { currentVersion: page.currentVersion } : {}),
+      body: page.body,
+      attachments: page.attachments.map(({ id, ...attachment }) => attachment),
+      labels: page.labels,
+      ...(page.removedLabels.length > 0
+        ? { removedLabels: page.removedLabels }
+        : {}),
+    }));
+
+    return {
+      summary: {
+        create: pages.filter((page) => page.action === "create").length,
+        update: pages.filter((page) => page.action === "update").length,
+        attachments: pages.reduce(
+          (count, page) => count + page.attachments.length,
+          0
+        ),
+        labels: pages.reduce((count, page) => count + page.labels.length, 0),
+        moves: this.moves.length,
+      },
+      pages,
+      moves: this.moves,
+    };
+  }
+}
+
+/**
+ * Render a migration plan as a human-readable summary
+ * @param {Object} plan - Plan returned by DryRunClient.getPlan, plus run details
+ * @returns {string} - Plain-text summary
+ */
+function formatPlanSummary(plan) {
+  const lines = [
+    "Migration dry run",
+    "=================",
+    `Generated: ${plan.generatedAt}`,
+    `Space: ${plan.spaceKey}`,
+    `Parent page ID: ${plan.parentPageId}`,
+    "",
+    `Pages to create: ${plan.summary.create}`,
+    `Pages to update: ${plan.summary.update}`,
+    `Attachments to upload: ${plan.summary.attachments}`,
+    `Labels to add: ${plan.summary.labels}`,
+    `Pages to reorder: ${plan.summary.moves}`,
+  ];
+
+  if (plan.duplicates && plan.duplicates.length > 0) {
+    lines.push(
+      "",
+      "Duplicate page names (the real migration would stop here):"
+    );
+    plan.duplicates.forEach((duplicate) => {
+      lines.push(`  - "${duplicate.title}": ${duplicate.reason}`);
+    });
+  }
+
+  // Print pages as a tree, nesting planned pages under their planned parents
+  const byParent = new Map();
+  plan.pages.forEach((page) => {
+    const key = page.parentId || "";
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(page);
+  });
+  const plannedIds = new Set(plan.pages.map((page) => page.plannedId));
+
+  const printPage = (page, depth) => {
+    const label = page.action.toUpperCase().padEnd(9);
+    const id = page.pageId ? ` (ID: ${page.pageId})` : "";
+    const rename = page.currentTitle ? ` (currently "${page.currentTitle}")` : "";
+    lines.push(`${"  ".repeat(depth)}${label} ${page.title}${id}${rename}`);
+    page.attachments.forEach((attachment) => {
+      const verb = attachment.newVersion ? "new version of" : "attach";
+      lines.push(`${"  ".repeat(depth + 1)}+ ${verb} ${attachment.fileName}`);
+    });
+    if (page.labels.length > 0) {
+      lines.push(`${"  ".repeat(depth + 1)}+ labels ${page.labels.join(", ")}`);
+    }
+    (byParent.get(page.plannedId) || []).forEach((child) =>
+      printPage(child, depth + 1)
+    );
+  };
+
+  lines.push("", "Pages:");
+  plan.pages
+    .filter((page) => !plannedIds.has(page.parentId))
+    .forEach((page) => printPage(page, 1));
+
+  if (plan.moves.length > 0) {
+    lines.push("", "Reordering:");
+    plan.moves.forEach((move) => {
+      lines.push(
+        `  MOVE      ${move.title || move.pageId} ${move.position} ${move.targetId}`
+      );
+    });
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Write a migration plan as JSON plus a human-readable summary next to it
+ * @param {Object} plan - Plan to write
+ * @param {string} planFile - Path of the JSON plan file
+ * @returns {Promise<{jsonPath: string, summaryPath: string}>} - Paths written
+ */
+async function writePlan(plan, planFile) {
+  const jsonPath = path.resolve(process.cwd(), planFile);
+  const summaryPath = jsonPath.replace(/\.json$/i, "") + ".txt";
+
+  await fs.ensureDir(path.dirname(jsonPath));
+  await fs.writeJson(jsonPath, plan, { spaces: 2 });
+  await fs.writeFile(summaryPath, formatPlanSummary(plan), "utf8");
+
+  logger.info(`Dry run plan saved to ${jsonPath}`);
+  logger.info(`Dry run summary saved to ${summaryPath}`);
+  return { jsonPath, summaryPath };
+}
+
+module.exports = {
+  DryRunClient,
+  formatPlanSummary,
+  writePlan,
+};
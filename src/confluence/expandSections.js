@@ -0,0 +1,107 @@
+const { escapeXml } = require("./storageFormat");
+
+// Code, where <details> tags are shown rather than used, and the tags
+// themselves
+const DETAILS_TOKENS = /```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]+`|<details\b[^>]*>|<\/details\s*>/gi;
+const SUMMARY = /^\s*<summary\b[^>]*>([\s\S]*?)<\/summary\s*>/i;
+
+/**
+ * Find the outermost `<details>` sections of some text, with the nested ones
+ * left inside their content. A `<details>` that is never closed is skipped.
+ * @param {string} text - Markdown content
+ * @returns {Array<{start: number, end: number, section: {title: string, open: boolean}, body: string}>} - Sections with their position and markdown content
+ */
+function findDetails(text) {
+  const found = [];
+  let depth = 0;
+  let start = null;
+
+  for (const match of text.matchAll(DETAILS_TOKENS)) {
+    const tag = match[0];
+    if (/^<details/i.test(tag)) {
+      if (depth++ === 0) start = match;
+    } else if (/^<\/details/i.test(tag) && depth > 0 && --depth === 0) {
+      const inner = text.slice(start.index + start[0].length, match.index);
+      const summary = inner.match(SUMMARY);
+      found.push({
+        start: start.index,
+        end: match.index + tag.length,
+        section: {
+          // Confluence titles are plain text
+          title: summary ? summary[1].replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim() : "",
+          open: /\sopen\b/i.test(start[0]),
+        },
+        body: summary ? inner.slice(summary[0].length) : inner,
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Replace HTML `<details>` sections with placeholders around their content,
+ * so the markdown inside them goes through the rest of the conversion like
+ * any other. The `<summary>` becomes the section title. Sections can be
+ * nested; a `<details>` that is never closed is left alone.
+ * @param {string} content - Markdown content
+ * @returns {{content: string, sections: Array<{title: string, open: boolean}>}} - Content with placeholders and the sections found
+ */
+function extractDetails(content) {
+  const sections = [];
+
+  const convert = (text) => {
+    let output = "";
+    let position = 0;
+
+    for (const { start, end, section, body } of findDetails(text)) {
+      const index = sections.length;
+      sections.push(section);
+      // Blank lines keep each placeholder in a paragraph of its own
+      output += `${text.slice(position, start)}\n\n%%EXPAND_${index}%%\n\n${convert(body)}\n\n%%EXPAND_END_${index}%%\n\n`;
+      position = end;
+    }
+
+    return output + text.slice(position);
+  };
+
+  return { content: convert(content), sections };
+}
+
+/**
+ * Create the opening and closing markup of the Confluence expand macro for a
+ * section. Without a summary Confluence shows its default title.
+ * @param {Object} section - Section found by extractDetails
+ * @returns {Array<string>} - Markup before and after the section's content
+ */
+function createExpandMacro(section) {
+  const title = escapeXml(section.title);
+  return [
+    `<ac:structured-macro ac:name="expand" ac:schema-version="1">${
+      title ? `<ac:parameter ac:name="title">${title}</ac:parameter>` : ""
+    }<ac:rich-text-body>`,
+    "</ac:rich-text-body></ac:structured-macro>",
+  ];
+}
+
+/**
+ * Replace the placeholders from extractDetails, once the content between them
+ * is converted
+ * @param {string} html - Converted HTML
+ * @param {Array} sections - Sections returned by extractDetails
+ * @param {Function} [render] - Returns the markup before and after a section's content, the Confluence macro by default
+ * @returns {string} - HTML with the sections
+ */
+function restoreDetails(html, sections, render = createExpandMacro) {
+  return html.replace(
+    /(?:<p>)?%%EXPAND_(END_)?(\d+)%%(?:<\/p>)?/g,
+    (match, end, index) => render(sections[index])[end ? 1 : 0]
+  );
+}
+
+module.exports = {
+  findDetails,
+  extractDetails,
+  createExpandMacro,
+  restoreDetails,
+};
@@ -0,0 +1,193 @@
+const { logger } = require("../utils");
+const { escapeXml } = require("./storageFormat");
+
+/**
+ * Remove the quotes around a YAML scalar
+ * @param {string} value - Raw scalar
+ * @returns {string} - Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  const quoted = /^(["'])(.*)\1(?:\s+#.*)?$/.exec(trimmed);
+  if (quoted) {
+    return quoted[1] === '"'
+      ? quoted[2].replace(/\\"/g, '"')
+      : quoted[2].replace(/''/g, "'");
+  }
+  // Drop a trailing comment
+  return trimmed.replace(/\s+#.*$/, "");
+}
+
+/**
+ * Parse the YAML used in wiki front matter: "key: value" pairs whose values
+ * are scalars, [inline, lists] or "- item" lists on the following lines.
+ * Nested mappings are not supported and are skipped.
+ * @param {string} yaml - Front matter without the --- lines
+ * @returns {Object<string, string|Array<string>>} - Values by key
+ */
+function parseYaml(yaml) {
+  const data = {};
+  let listKey = null;
+
+  yaml.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.trim().startsWith("#")) return;
+
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      return;
+    }
+
+    const pair = /^([^\s:#][^:]*):(?:\s+(.*))?$/.exec(line);
+    if (!pair) {
+      logger.debug(`Skipping unsupported front matter line: ${line}`);
+      return;
+    }
+
+    const key = pair[1].trim();
+    const value = (pair[2] || "").trim();
+    listKey = null;
+    if (!value) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value
+        .slice(1, -1)
+        .split(",")
+        .map(unquote)
+        .filter(Boolean);
+    } else {
+      data[key] = unquote(value);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Split YAML front matter from the start of a Markdown page
+ * @param {string} content - Markdown content
+ * @returns {{data: Object, body: string}} - Front matter values, empty when there is none, and the content without it
+ */
+function parseFrontMatter(content) {
+  const match = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(
+    content || ""
+  );
+  if (!match) {
+    return { data: {}, body: content };
+  }
+  return { data: parseYaml(match[1]), body: content.slice(match[0].length) };
+}
+
+/**
+ * Parse the front matter mapping from configuration
+ * @param {string} [labelKeys] - Comma-separated keys whose values become labels
+ * @param {string} [propertyKeys] - Comma-separated "key" or "key=Title" entries shown as page properties, or "*" for every key not used for labels
+ * @returns {{labels: Array<string>, properties: Array<{key: string, title: string}>|string}} - Front matter mapping
+ */
+function parseFrontMatterMapping(labelKeys = "tags", propertyKeys = "*") {
+  const list = (spec) =>
+    spec
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+
+  return {
+    labels: list(labelKeys),
+    properties:
+      propertyKeys.trim() === "*"
+        ? "*"
+        : list(propertyKeys).map((entry) => {
+            const [key, title] = entry.split("=").map((part) => part.trim());
+            return { key, title: title || key };
+          }),
+  };
+}
+
+/**
+ * Turn a front matter value into a valid Confluence label: lower case, with
+ * no spaces or reserved characters
+ * @param {string} value - Front matter value
+ * @returns {string} - Label, empty if nothing is left
+ */
+function toLabel(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[:;,.?&[\]()#^*@!"'<>|/\\]/g, "")
+    .slice(0, 255);
+}
+
+/**
+ * Get the labels and page properties of a page from its front matter
+ * @param {Object} data - Front matter values
+ * @param {Object} mapping - Mapping from parseFrontMatterMapping
+ * @returns {{labels: Array<string>, properties: Array<{title: string, value: string}>}} - Labels and properties
+ */
+function mapFrontMatter(data, mapping) {
+  const labels = new Set();
+  mapping.labels.forEach((key) => {
+    [].concat(data[key] ?? []).forEach((value) => {
+      const label = toLabel(value);
+      if (label) labels.add(label);
+    });
+  });
+
+  const propertyKeys =
+    mapping.properties === "*"
+      ? Object.keys(data)
+          .filter((key) => !mapping.labels.includes(key))
+          .map((key) => ({ key, title: key.charAt(0).toUpperCase() + key.slice(1) }))
+      : mapping.properties;
+  const properties = propertyKeys
+    .filter(({ key }) => data[key] !== undefined)
+    .map(({ key, title }) => ({
+      title,
+      value: [].concat(data[key]).join(", "),
+    }));
+
+  return { labels: [...labels], properties };
+}
+
+/**
+ * Set the labels and page properties of every page from its front matter
+ * @param {Array} pages - Parsed wiki pages with frontMatter
+ * @param {Object} mapping - Mapping from parseFrontMatterMapping
+ */
+function applyFrontMatter(pages, mapping) {
+  for (const page of pages) {
+    if (page.frontMatter && Object.keys(page.frontMatter).length > 0) {
+      Object.assign(page, mapFrontMatter(page.frontMatter, mapping));
+    }
+    if (page.children && page.children.length > 0) {
+      applyFrontMatter(page.children, mapping);
+    }
+  }
+}
+
+/**
+ * Create the Page Properties (details) macro for the top of a page
+ * @param {Array<{title: string, value: string}>} [properties] - Page properties
+ * @returns {string} - Storage format, empty when there are no properties
+ */
+function createPagePropertiesMacro(properties) {
+  if (!properties || properties.length === 0) return "";
+
+  const rows = properties
+    .map(
+      ({ title, value }) =>
+        `<tr><th>${escapeXml(title)}</th><td>${escapeXml(value)}</td></tr>`
+    )
+    .join("");
+  return `<ac:structured-macro ac:name="details" ac:schema-version="1"><ac:rich-text-body><table><tbody>${rows}</tbody></table></ac:rich-text-body></ac:structured-macro>\n`;
+}
+
+module.exports = {
+  parseFrontMatter,
+  parseFrontMatterMapping,
+  mapFrontMatter,
+  applyFrontMatter,
+  createPagePropertiesMacro,
+  toLabel,
+};
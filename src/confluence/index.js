@@ -1,5 +1,7 @@
 const { parseWiki } = require("./wikiParser");
 const { createConfluencePages } = require("./pageCreator");
+const { syncConfluencePages } = require("./syncOperations");
+const { DryRunClient, formatPlanSummary, writePlan } = require("./dryRunClient");
 const { getMimeType, logger } = require("../utils");
 const { getConfig } = require("./config");
 const {
@@ -9,27 +11,115 @@ const {
   clearValidationState,
 } = require("./pageValidator");
 const { applyNameFixes, saveFixes, loadFixes } = require("./pageNameFixer");
+const {
+  createJournal,
+  saveJournal,
+  getResumableJournal,
+  getLastPushedPages,
+  finishJournal,
+  loadJournal,
+  listJournals,
+} = require("./runJournal");
+const { writeUnmappedMentionsReport } = require("./userMentions");
+const { writeStorageFixesReport } = require("./storageFormat");
+const { applyFrontMatter } = require("./frontMatter");
+const { applyAutoLabels } = require("./autoLabels");
+const {
+  planRollback,
+  formatRollbackPlan,
+  executeRollback,
+} = require("./rollback");
 const path = require("path");
 const fs = require("fs-extra");
 
 // Initialize config
 const config = getConfig();
 
+/**
+ * Mark a migration run as failed, so it can be continued with --resume
+ * @param {Object} [journal] - Run journal, none for dry runs
+ * @returns {Promise<void>}
+ */
+async function failJournal(journal) {
+  if (!journal) return;
+  await finishJournal(journal, "failed");
+  logger.info(
+    `Run the migration with --resume to continue run ${journal.runId}`
+  );
+}
+
 /**
  * The starting point for migration to confluence
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.resume] - Resume the last interrupted run instead of starting a new one
+ * @param {boolean} [options.dryRun] - Plan the migration without writing anything to Confluence
+ * @param {string} [options.planFile] - Where to write the dry run plan
+ * @param {number} [options.concurrency] - Number of pages to process at the same time
+ * @param {boolean} [options.autoLabels] - Label pages with their folders, the project name and the run label
+ * @param {string} [options.runLabel] - Run label to use instead of the configured one
+ * @returns {Promise<Object|void>} - The migration plan when running a dry run
  */
-async function startConfluenceProcess(confluenceClient) {
+async function startConfluenceProcess(confluenceClient, options = {}) {
   if (!confluenceClient) {
     throw new Error("Confluence client is required");
   }
 
+  // A dry run goes through the same pipeline with writes recorded instead of sent
+  let dryRunClient = null;
+  if (options.dryRun) {
+    logger.info("Dry run: no changes will be made to Confluence");
+    dryRunClient = new DryRunClient(confluenceClient);
+    confluenceClient = dryRunClient;
+  }
+
+  let journal = null;
+  if (options.resume) {
+    journal = await getResumableJournal();
+    if (!journal) {
+      throw new Error(
+        "No interrupted migration run found to resume. Run the migration without --resume."
+      );
+    }
+    const completedPages = Object.values(journal.pages).filter(
+      (entry) => entry.stage === "complete"
+    ).length;
+    logger.info(
+      `Resuming run ${journal.runId} started at ${journal.startedAt} (${completedPages} pages already completed)`
+    );
+    if (journal.parentPageId !== config.confluence.parentPageId) {
+      logger.warn(
+        `Using parent page ID ${journal.parentPageId} from run ${journal.runId} instead of ${config.confluence.parentPageId}`
+      );
+    }
+    journal.status = "in-progress";
+  } else if (!dryRunClient) {
+    journal = createJournal({
+      spaceKey: config.confluence.spaceKey,
+      parentPageId: config.confluence.parentPageId,
+    });
+  }
+  const spaceKey = journal ? journal.spaceKey : config.confluence.spaceKey;
+  const parentPageId = journal
+    ? journal.parentPageId
+    : config.confluence.parentPageId;
+  let duplicates = [];
+
   let wikiStructure = await retryWithBackoff(() =>
     parseAndProcessWiki(config.paths.wikiRoot)
   );
 
   logger.info("Wiki structure parsed successfully.");
 
-  if (config.project.passValidation == 0) {
+  if (options.autoLabels || options.runLabel || config.autoLabels.enabled) {
+    applyAutoLabels(wikiStructure.pages, config.paths.wikiRoot, {
+      ...config.autoLabels,
+      runLabel: options.runLabel || config.autoLabels.runLabel,
+    });
+  }
+
+  // Pages created by the run being resumed would show up as duplicates
+  if (config.project.passValidation == 0 && !options.resume) {
     logger.info("Validation passed. Proceeding with migration.");
 
     // Load any existing page fixes
@@ -43,20 +133,25 @@ async function startConfluenceProcess(confluenceClient) {
 
     // Check for existing validation state
     const existingValidation = await getValidationState();
-    if (existingValidation.length > 0) {
+    if (existingValidation.length > 0 && !dryRunClient) {
       throw new Error(
         "Found existing duplicate page names. Please review and fix the duplicates before proceeding with migration."
       );
     }
 
     // Validate all pages for duplicates, considering existing fixes
-    const duplicates = await validatePages(
+    duplicates = await validatePages(
       confluenceClient,
       config.confluence.spaceKey,
       wikiStructure.pages
     );
 
-    if (duplicates.length > 0) {
+    if (duplicates.length > 0 && dryRunClient) {
+      // Report the duplicates in the plan instead of stopping
+      logger.warn(
+        `Found ${duplicates.length} duplicate page names. The real migration would stop here.`
+      );
+    } else if (duplicates.length > 0) {
       // Save validation state
       await saveValidationState(duplicates);
       throw new Error(
@@ -71,43 +166,252 @@ async function startConfluenceProcess(confluenceClient) {
   );
 
   // Create a mappings object for attachments
-  const attachmentMappings = {};
+  const attachmentMappings = buildAttachmentMappings(wikiStructure);
 
-  // Log attachment info
-  if (wikiStructure.attachments && wikiStructure.attachments.length > 0) {
+  // Only persist the journal once validation has passed, so a run rejected
+  // for duplicates never shows up as resumable
+  if (journal) {
     logger.info(
-      `Found ${wikiStructure.attachments.length} attachments in wiki structure`
+      `${options.resume ? "Resuming" : "Starting"} run ${journal.runId}`
     );
+    await saveJournal(journal);
+  }
 
-    // Initialize attachment mappings
-    wikiStructure.attachments.forEach((attachment) => {
-      const attachmentKey = attachment.path;
-      attachmentMappings[attachmentKey] = {
-        path: attachment.path,
-        name: attachment.name,
-        size: attachment.size,
-        mimeType: getMimeType(attachment.path),
-        processed: false,
-      };
-    });
-  } else {
-    logger.info("No attachments found in wiki structure");
+  // Create all pages with their attachments, passing the page fixes.
+  // Throttled requests are retried by the Confluence client itself, so a
+  // failure here is not worth repeating the whole tree for.
+  let failures;
+  try {
+    failures = await createConfluencePages(
+      wikiStructure,
+      confluenceClient,
+      spaceKey,
+      parentPageId,
+      attachmentMappings,
+      config,
+      (pageFixes = {}),
+      journal,
+      options.concurrency || config.confluence.concurrency
+    );
+  } catch (error) {
+    await failJournal(journal);
+    throw error;
   }
 
-  // Create all pages with their attachments, passing the page fixes
-  await retryWithBackoff(() =>
-    createConfluencePages(
+  await writeUnmappedMentionsReport();
+  await writeStorageFixesReport();
+
+  if (dryRunClient) {
+    const plan = {
+      generatedAt: new Date().toISOString(),
+      spaceKey,
+      parentPageId,
+      duplicates,
+      ...dryRunClient.getPlan(),
+    };
+    await writePlan(plan, options.planFile || "migration-plan.json");
+    console.log(`\n${formatPlanSummary(plan)}`);
+    return plan;
+  }
+
+  // Pages that failed are not completed, so the run stays resumable
+  if (failures.length > 0) {
+    await failJournal(journal);
+    throw new Error(
+      `${failures.length} pages failed to migrate: ${failures
+        .map((failure) => `"${failure.title}" (${failure.error})`)
+        .join(", ")}`
+    );
+  }
+
+  await finishJournal(journal, "completed");
+
+  console.log("Wiki conversion completed successfully!");
+}
+
+/**
+ * Sync the wiki to Confluence, only pushing pages and attachments that changed
+ * since the last migration or sync
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.concurrency] - Number of pages to process at the same time
+ * @returns {Promise<Object>} - Sync report
+ */
+async function startSyncProcess(confluenceClient, options = {}) {
+  if (!confluenceClient) {
+    throw new Error("Confluence client is required");
+  }
+
+  let wikiStructure = await retryWithBackoff(() =>
+    parseAndProcessWiki(config.paths.wikiRoot)
+  );
+  // Pages added since the migration get the same labels as the rest
+  if (config.autoLabels.enabled) {
+    applyAutoLabels(
+      wikiStructure.pages,
+      config.paths.wikiRoot,
+      config.autoLabels
+    );
+  }
+  wikiStructure.pages = filterOutProjectDir(wikiStructure.pages);
+
+  const attachmentMappings = buildAttachmentMappings(wikiStructure);
+  const pageFixes = await loadFixes();
+  const pushedPages = await getLastPushedPages(config.confluence.spaceKey);
+  logger.info(
+    `Found ${Object.keys(pushedPages).length} previously pushed pages`
+  );
+
+  const journal = createJournal({
+    spaceKey: config.confluence.spaceKey,
+    parentPageId: config.confluence.parentPageId,
+    mode: "sync",
+  });
+  logger.info(`Starting sync run ${journal.runId}`);
+  await saveJournal(journal);
+
+  let report;
+  try {
+    report = await syncConfluencePages(
       wikiStructure,
       confluenceClient,
       config.confluence.spaceKey,
       config.confluence.parentPageId,
       attachmentMappings,
-      config,
-      (pageFixes = {})
-    )
+      pageFixes,
+      pushedPages,
+      journal,
+      options.concurrency || config.confluence.concurrency
+    );
+  } catch (error) {
+    await finishJournal(journal, "failed");
+    throw error;
+  }
+
+  await writeUnmappedMentionsReport();
+  await writeStorageFixesReport();
+
+  journal.report = {
+    created: report.created.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged.length,
+    orphaned: report.orphaned.length,
+    failed: report.failed.length,
+    attachments: report.attachments,
+  };
+  await finishJournal(
+    journal,
+    report.failed.length > 0 ? "failed" : "completed"
   );
 
-  console.log("Wiki conversion completed successfully!");
+  logSyncReport(report);
+  return report;
+}
+
+/**
+ * Log a summary of a sync run
+ * @param {Object} report - Sync report
+ */
+function logSyncReport(report) {
+  logger.info("Sync summary:");
+  logger.info(`- Created: ${report.created.length}`);
+  logger.info(`- Updated: ${report.updated.length}`);
+  logger.info(`- Unchanged: ${report.unchanged.length}`);
+  logger.info(`- Orphaned: ${report.orphaned.length}`);
+  logger.info(`- Failed: ${report.failed.length}`);
+  logger.info(
+    `- Attachments: ${report.attachments.uploaded} uploaded, ${report.attachments.unchanged} unchanged, ${report.attachments.failed} failed`
+  );
+
+  report.orphaned.forEach((page) => {
+    logger.warn(
+      `Orphaned page "${page.title}" (ID: ${page.pageId}) - no longer in the wiki at ${page.path}`
+    );
+  });
+  report.failed.forEach((page) => {
+    logger.error(`Failed to sync page "${page.title}": ${page.error}`);
+  });
+}
+
+/**
+ * Roll back a migration or sync run: delete the pages it created, restore
+ * the pages it updated to their previous version and remove the attachments
+ * it added, after showing what will change
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} runId - ID of the run to roll back
+ * @param {Object} [options] - Rollback options
+ * @param {Function} [options.confirm] - Called with the preview; the rollback only goes ahead if it resolves to true
+ * @returns {Promise<Object|null>} - Rollback report, or null if not confirmed
+ */
+async function startRollbackProcess(confluenceClient, runId, options = {}) {
+  if (!confluenceClient) {
+    throw new Error("Confluence client is required");
+  }
+
+  const journal = await loadJournal(runId);
+  if (!journal) {
+    const recent = (await listJournals())
+      .slice(0, 5)
+      .map((run) => `${run.runId} (${run.mode || "migrate"}, ${run.status})`);
+    throw new Error(
+      `No run ${runId} found. Recent runs: ${recent.join(", ") || "none"}`
+    );
+  }
+  if (journal.status === "rolled-back") {
+    throw new Error(
+      `Run ${runId} was already rolled back at ${journal.rolledBackAt}`
+    );
+  }
+
+  const plan = await planRollback(confluenceClient, journal);
+  let preview = formatRollbackPlan(plan);
+
+  // Later runs may have built on what this run did
+  const pageIds = new Set(
+    Object.values(journal.pages).map((entry) => String(entry.pageId))
+  );
+  const laterRuns = (await listJournals()).filter(
+    (run) =>
+      run.startedAt > journal.startedAt &&
+      run.spaceKey === journal.spaceKey &&
+      run.status !== "rolled-back" &&
+      Object.values(run.pages).some((entry) => pageIds.has(String(entry.pageId)))
+  );
+  if (laterRuns.length > 0) {
+    const runIds = laterRuns.map((run) => run.runId).join(", ");
+    preview += `\nWarning: later runs changed the same pages and are not rolled back: ${runIds}\n`;
+  }
+  console.log(`\n${preview}`);
+
+  if (options.confirm && !(await options.confirm(preview))) {
+    logger.info("Rollback cancelled - no changes were made to Confluence");
+    return null;
+  }
+
+  const report = await executeRollback(
+    confluenceClient,
+    plan,
+    journal.spaceKey
+  );
+
+  journal.status = "rolled-back";
+  journal.rolledBackAt = new Date().toISOString();
+  journal.rollback = {
+    deleted: report.deleted.length,
+    restored: report.restored.length,
+    removedAttachments: report.removedAttachments.length,
+    skipped: report.skipped.length,
+    failed: report.failed,
+  };
+  await saveJournal(journal);
+
+  logger.info("Rollback summary:");
+  logger.info(`- Pages deleted: ${report.deleted.length}`);
+  logger.info(`- Pages restored: ${report.restored.length}`);
+  logger.info(`- Attachments removed: ${report.removedAttachments.length}`);
+  logger.info(`- Skipped (already gone): ${report.skipped.length}`);
+  logger.info(`- Failed: ${report.failed.length}`);
+  return report;
 }
 
 /**
@@ -180,6 +484,9 @@ async function parseAndProcessWiki(wikiPath, projectDir) {
     // Validate content
     validatePageContent(wikiStructure.pages);
 
+    // Labels and page properties from the pages' front matter
+    applyFrontMatter(wikiStructure.pages, config.frontMatter);
+
     // Find and process all attachment directories
     wikiStructure.pages = await findAttachmentDirectories(
       wikiStructure.pages,
@@ -200,6 +507,38 @@ async function parseAndProcessWiki(wikiPath, projectDir) {
   }
 }
 
+/**
+ * Build attachment mappings for the attachments found in the wiki
+ * @param {Object} wikiStructure - Wiki structure
+ * @returns {Object} - Attachment mappings keyed by attachment path
+ */
+function buildAttachmentMappings(wikiStructure) {
+  const attachmentMappings = {};
+
+  // Log attachment info
+  if (wikiStructure.attachments && wikiStructure.attachments.length > 0) {
+    logger.info(
+      `Found ${wikiStructure.attachments.length} attachments in wiki structure`
+    );
+
+    // Initialize attachment mappings
+    wikiStructure.attachments.forEach((attachment) => {
+      const attachmentKey = attachment.path;
+      attachmentMappings[attachmentKey] = {
+        path: attachment.path,
+        name: attachment.name,
+        size: attachment.size,
+        mimeType: getMimeType(attachment.path),
+        processed: false,
+      };
+    });
+  } else {
+    logger.info("No attachments found in wiki structure");
+  }
+
+  return attachmentMappings;
+}
+
 // Helper function to count total pages including nested ones
 function countTotalPages(pages) {
   return pages.reduce((count, page) => {
@@ -384,5 +723,7 @@ function countPagesWithTitle(pages, title) {
 
 module.exports = {
   startConfluenceProcess,
+  startSyncProcess,
+  startRollbackProcess,
   fixPageNames,
 };
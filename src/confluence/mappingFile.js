@@ -0,0 +1,58 @@
+const path = require("path");
+const fs = require("fs-extra");
+const { logger } = require("../utils");
+
+// Mapping files are read once per path
+const mappingCache = new Map();
+
+/**
+ * Split a CSV line into cells. Quoted cells may contain commas, and "" in a
+ * quoted cell is a quote.
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Trimmed cells
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  const cell = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(,|$)/g;
+  let match;
+  while ((match = cell.exec(line)) !== null) {
+    cells.push(
+      match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim()
+    );
+    if (!match[3]) break;
+  }
+  return cells;
+}
+
+/**
+ * Load a mapping file. JSON files hold an object of values by key; CSV files
+ * have the key in the first column and the value in the second.
+ * @param {string} filePath - Path to a .json or .csv file
+ * @param {Function} [isEntry] - Called with the key and value of each CSV row; rows it rejects, such as a header, are skipped
+ * @returns {Promise<Object<string, string>>} - Values by key
+ */
+async function loadMappingFile(filePath, isEntry = () => true) {
+  const resolvedPath = path.resolve(filePath);
+  if (mappingCache.has(resolvedPath)) {
+    return mappingCache.get(resolvedPath);
+  }
+
+  const content = await fs.readFile(resolvedPath, "utf8");
+  let mapping = {};
+  if (path.extname(resolvedPath).toLowerCase() === ".json") {
+    mapping = JSON.parse(content);
+  } else {
+    content.split(/\r?\n/).forEach((line) => {
+      const [key, value] = parseCsvLine(line);
+      if (key && value && isEntry(key, value)) {
+        mapping[key] = value;
+      }
+    });
+  }
+
+  logger.info(`Loaded ${Object.keys(mapping).length} mappings from ${resolvedPath}`);
+  mappingCache.set(resolvedPath, mapping);
+  return mapping;
+}
+
+module.exports = { loadMappingFile };
@@ -1,24 +1,40 @@
+const { Marked } = require("marked");
 const { logger } = require("../utils");
-const { getBlobUrl } = require("./attachmentOperations");
-const marked = require("marked");
+const { addAttachmentResult } = require("./attachmentOperations");
+const {
+  readMermaidContainer,
+  createMermaidMarkup,
+  attachMermaidDiagrams,
+} = require("./mermaid");
+const {
+  getReferenceLinkOptions,
+  createReferenceLink,
+} = require("./workItemLinks");
+const { getUserMapping, createUserMention } = require("./userMentions");
+const { readCallout, createCalloutMacro } = require("./callouts");
+const { findDetails, createExpandMacro } = require("./expandSections");
+const { createTableMarkup } = require("./tables");
+const {
+  escapeXml,
+  prepareStorageFormat,
+  createFallbackContent,
+} = require("./storageFormat");
+
+// Attachments shown on the page with the view-file macro
+const VIEW_FILE_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+];
+const IMAGE_FILE = /\.(png|jpe?g|gif|svg)$/i;
 
 /**
- * Creates a standardized Confluence image macro with proper blob URL support
+ * Creates a standardized Confluence image macro
  * @param {string} attachmentName - Name of the attachment file
  * @param {string} [altText] - Alternative text for the image
- * @param {Object} [options] - Additional options
- * @param {string} [options.pageId] - Page ID for blob URL retrieval
- * @param {Object} [options.confluenceClient] - Confluence client for API calls
- * @param {boolean} [options.preferBlobUrl=true] - Whether to prefer blob URLs over attachment references
- * @returns {Promise<string>} - Confluence image macro markup
+ * @returns {string} - Confluence image macro markup
  */
-async function createConfluenceImageMacro(
-  attachmentName,
-  altText = "",
-  options = {}
-) {
-  const { pageId, confluenceClient, preferBlobUrl = true } = options;
-
+function createConfluenceImageMacroSync(attachmentName, altText = "") {
   // Check if the attachment name has a size parameter
   const hasWidthParameter =
     attachmentName.includes("=") && attachmentName.split("=")[1].includes("x");
@@ -36,36 +52,13 @@ async function createConfluenceImageMacro(
     }
   }
 
-  if (preferBlobUrl && pageId && confluenceClient) {
-    try {
-      const blobUrl = await getBlobUrl(
-        confluenceClient,
-        pageId,
-        cleanAttachmentName
-      );
-      if (blobUrl) {
-        // Include width parameter if present
-        if (width) {
-          return `<ac:image${
-            altText ? ` ac:alt="${altText}"` : ""
-          }><ri:url ri:value="${blobUrl}" /><ac:parameter ac:name="width">${width}</ac:parameter></ac:image>`;
-        } else {
-          return `<ac:image${
-            altText ? ` ac:alt="${altText}"` : ""
-          }><ri:url ri:value="${blobUrl}" /></ac:image>`;
-        }
-      }
-    } catch (error) {
-      logger.warn(`Error getting blob URL for ${cleanAttachmentName}:`, error);
-    }
-  }
-
-  //Fallback to standard attachment reference with width if specified
+  // Add width parameter to the image macro if present in the original reference
   if (width) {
     return `<ac:image${
       altText ? ` ac:alt="${altText}"` : ""
     }><ri:attachment ri:filename="${cleanAttachmentName}" /><ac:parameter ac:name="width">${width}</ac:parameter></ac:image>`;
   } else {
+    // Standard attachment reference without width
     return `<ac:image${
       altText ? ` ac:alt="${altText}"` : ""
     }><ri:attachment ri:filename="${cleanAttachmentName}" /></ac:image>`;
@@ -73,529 +66,554 @@ async function createConfluenceImageMacro(
 }
 
 /**
- * Creates a standardized Confluence image macro (synchronous version)
- * @param {string} attachmentName - Name of the attachment file
- * @param {string} [altText] - Alternative text for the image
- * @returns {string} - Confluence image macro markup
+ * Build the URL of a Confluence page. Cloud serves pages under /wiki; Server
+ * and Data Center serve them under the context path in the base URL.
+ * @param {string} baseUrl - Confluence base URL
+ * @param {string} spaceKey - Space key
+ * @param {string} pageId - Page ID
+ * @param {string} [deployment] - "server" for Server/Data Center, otherwise Cloud
+ * @returns {string} - Page URL
  */
-function createConfluenceImageMacroSync(attachmentName, altText = "") {
-  // Check if the attachment name has a size parameter
-  const hasWidthParameter =
-    attachmentName.includes("=") && attachmentName.split("=")[1].includes("x");
-  let width = "";
-
-  // Extract attachment name without size parameter if present
-  let cleanAttachmentName = attachmentName;
-  if (hasWidthParameter) {
-    const parts = attachmentName.split("=");
-    cleanAttachmentName = parts[0].trim();
-    // Extract width number from format like "750x"
-    const sizeStr = parts[1].trim();
-    if (sizeStr.includes("x")) {
-      width = sizeStr.split("x")[0];
-    }
-  }
-
-  // Add width parameter to the image macro if present in the original reference
-  if (width) {
-    return `<ac:image${
-      altText ? ` ac:alt="${altText}"` : ""
-    }><ri:attachment ri:filename="${cleanAttachmentName}" /><ac:parameter ac:name="width">${width}</ac:parameter></ac:image>`;
-  } else {
-    // Standard attachment reference without width
-    return `<ac:image${
-      altText ? ` ac:alt="${altText}"` : ""
-    }><ri:attachment ri:filename="${cleanAttachmentName}" /></ac:image>`;
+function getPageUrl(baseUrl, spaceKey, pageId, deployment) {
+  if (deployment === "server") {
+    return `${baseUrl}/pages/viewpage.action?pageId=${pageId}`;
   }
+  return `${baseUrl}/wiki/spaces/${spaceKey}/pages/${pageId}`;
 }
 
 /**
- * Converts Markdown images and documents to Confluence HTML.
+ * Maps wiki page titles to their Confluence equivalents
+ * @param {string} wikiTitle - The wiki page title
+ * @returns {string} - The Confluence page title
  */
-async function convertImages(
-  content,
-  attachmentMappings,
-  confluenceClient,
-  pageId
-) {
-  // We need to process each image replacement sequentially due to async operations
-  let processedContent = content;
-
-  // Handle simple image references like !image.png (without the square brackets)
-  processedContent = processedContent.replace(
-    /!([\w.-]+\.(png|jpg|jpeg|gif|svg))/gi,
-    (match, filename) => {
-      logger.info(`Processing simple image reference: ${match}`);
-      return `[${filename}](/.attachments/${filename})`;
-    }
-  );
+function mapWikiTitleToConfluence(wikiTitle) {
+  if (!wikiTitle) return "";
 
-  // Helper function to process a single image match
-  async function processImageMatch(match, alt, src) {
-    logger.info(`Processing standard Markdown image: ${match}`);
-
-    // Preserve original source path for sizing information
-    const originalSrc = src;
-
-    // Extract sizing information if present (e.g., =750x)
-    let sizeInfo = "";
-    if (originalSrc.includes(" =")) {
-      // Format: path/to/image.png =750x
-      const parts = originalSrc.split(" =");
-      src = parts[0];
-      sizeInfo = parts[1].trim();
-    } else if (originalSrc.includes("=")) {
-      // Format: path/to/image.png=750x
-      const parts = originalSrc.split("=");
-      src = parts[0];
-      sizeInfo = parts[1].trim();
-    }
+  // Remove any URL encoding
+  let decodedTitle = wikiTitle;
+  try {
+    decodedTitle = decodeURIComponent(wikiTitle);
+  } catch (e) {
+    logger.warn(`Could not decode title "${wikiTitle}": ${e.message}`);
+  }
 
-    if (
-      src.startsWith("/.attachments/") ||
-      src.startsWith("../") ||
-      src.includes("/attachments/")
-    ) {
-      const attachmentName = decodeURIComponent(src.split("/").pop());
-      logger.info(`Extracted attachment name: ${attachmentName}`);
-
-      // Add the size info if present
-      const attachmentNameWithSize = sizeInfo
-        ? `${attachmentName}=${sizeInfo}`
-        : attachmentName;
-
-      const attachmentKey = Object.keys(attachmentMappings).find((key) =>
-        key.endsWith(attachmentName)
-      );
+  // Replace special characters and spaces
+  return decodedTitle
+    .replace(/[\\/]/g, "-") // Replace slashes with hyphens
+    .replace(/[<>:"|?*]/g, "_") // Replace problematic characters with underscores
+    .replace(/%/g, "-") // Replace percent signs with hyphens
+    .replace(/&/g, "and") // Replace ampersands with 'and'
+    .replace(/\+/g, " ") // Replace plus signs with spaces
+    .trim();
+}
 
-      if (attachmentKey && attachmentMappings[attachmentKey]) {
-        const attachment = attachmentMappings[attachmentKey];
-        const mimeType = attachment.mimeType;
+/**
+ * Escape a URL for an attribute. Entities already in it are kept, so a
+ * query string written as &amp; is not escaped twice.
+ * @param {string} url - URL to escape
+ * @returns {string} - Escaped URL
+ */
+function escapeUrl(url) {
+  return url
+    .replace(/&(?!(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-        // Use Confluence's native image/attachment handling for all types
-        if (
-          mimeType === "application/pdf" ||
-          mimeType === "application/msword" ||
-          mimeType ===
-            "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
-        ) {
-          // For PDF and Word documents, create a proper Confluence attachment macro
-          return `<ac:structured-macro ac:name="view-file" ac:schema-version="1">
-                        <ac:parameter ac:name="name">${attachmentName}</ac:parameter>
-                        <ac:parameter ac:name="height">250</ac:parameter>
-                    </ac:structured-macro>`;
-        } else if (mimeType.startsWith("image/")) {
-          // For images, use the utility function with size info
-          return await createConfluenceImageMacro(
-            attachmentNameWithSize,
-            alt || attachmentName,
-            { confluenceClient, pageId }
-          );
-        } else {
-          // For other file types, use a download link macro
-          return `<ac:link><ri:attachment ri:filename="${attachmentName}" /><ac:plain-text-link-body><![CDATA[${
-            alt || attachmentName
-          }]]></ac:plain-text-link-body></ac:link>`;
-        }
-      } else {
-        // If attachmentKey is not found, try to get a blob URL with size info
-        return await createConfluenceImageMacro(
-          attachmentNameWithSize,
-          alt || attachmentName,
-          { confluenceClient, pageId }
-        );
-      }
-    } else if (src.startsWith("http://") || src.startsWith("https://")) {
-      // For external URLs, use the Confluence URL image macro
-      return `<ac:image><ri:url ri:value="${src}" /></ac:image>`;
-    } else {
-      // For any other relative path, assume it's an attachment
-      const attachmentName = decodeURIComponent(src.split("/").pop());
-
-      // Add the size info if present
-      const attachmentNameWithSize = sizeInfo
-        ? `${attachmentName}=${sizeInfo}`
-        : attachmentName;
+/**
+ * Get the index a marked extension could start at, for its start function
+ * @param {string} src - Remaining markdown
+ * @param {RegExp} pattern - Start of the syntax
+ * @returns {number|undefined} - Index of the first match
+ */
+function findStart(src, pattern) {
+  const match = src.match(pattern);
+  return match ? match.index : undefined;
+}
 
-      logger.info(
-        `Converting relative attachment path: ${src} -> ${attachmentNameWithSize}`
-      );
-      return await createConfluenceImageMacro(
-        attachmentNameWithSize,
-        alt || attachmentName,
-        { confluenceClient, pageId }
-      );
-    }
+/**
+ * Get the file name at the end of an attachment path
+ * @param {string} src - Attachment path
+ * @returns {string} - Decoded file name
+ */
+function getFileName(src) {
+  const fileName = src.split("/").pop();
+  try {
+    return decodeURIComponent(fileName);
+  } catch (error) {
+    return fileName;
   }
+}
 
-  // Find all markdown image references
-  const imgRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-  let match;
-  while ((match = imgRegex.exec(content)) !== null) {
-    const [fullMatch, alt, src] = match;
-    const replacement = await processImageMatch(fullMatch, alt, src);
-    processedContent = processedContent.replace(fullMatch, replacement);
-  }
+/**
+ * Split the Azure DevOps size suffix off an image path, as in
+ * "diagram.png =750x" or "diagram.png=750x"
+ * @param {string} src - Image path
+ * @returns {{src: string, size: string}} - The path, and the size or ""
+ */
+function splitImageSize(src) {
+  const match = src.match(/^(.*?)\s*=(\d*x\d*)$/);
+  return match ? { src: match[1], size: match[2] } : { src, size: "" };
+}
 
-  // Handle wiki-style image links: ![[image.png]]
-  const wikiImageRegex = /!\[\[([^|\]]+)(?:\|[^\]]*)?]]/g;
-  let wikiMatch;
-  while ((wikiMatch = wikiImageRegex.exec(processedContent)) !== null) {
-    const [fullMatch, imagePath] = wikiMatch;
-    logger.info(`Processing wiki-style image reference: ${fullMatch}`);
+/**
+ * Check whether a path points at a wiki attachment
+ * @param {string} src - Path from a link or image
+ * @returns {boolean} - True for attachments
+ */
+function isAttachmentPath(src) {
+  return src.includes(".attachments/") || src.includes("/attachments/");
+}
 
-    if (!imagePath) continue;
+/**
+ * Create the storage format for an attachment shown on the page: the
+ * view-file macro for PDF and Word documents, a download link for other
+ * known files that are not images, and an image macro otherwise
+ * @param {string} src - Attachment path, with an optional size suffix
+ * @param {string} alt - Alternative text
+ * @param {Object} attachmentMappings - Attachments of the wiki by path
+ * @returns {string} - Storage format markup
+ */
+function createAttachmentMarkup(src, alt, attachmentMappings) {
+  const { src: attachmentPath, size } = splitImageSize(src);
+  const attachmentName = getFileName(attachmentPath);
+  const fileName = escapeXml(attachmentName);
 
-    // Extract filename from path
-    const attachmentName = decodeURIComponent(imagePath.split("/").pop());
-    logger.info(`Extracted wiki-style attachment name: ${attachmentName}`);
+  const attachmentKey = Object.keys(attachmentMappings).find((key) =>
+    key.endsWith(attachmentName)
+  );
+  const mimeType = attachmentKey
+    ? attachmentMappings[attachmentKey].mimeType || ""
+    : "";
 
-    // Use the utility function
-    const replacement = await createConfluenceImageMacro(
-      attachmentName,
-      attachmentName,
-      { confluenceClient, pageId }
-    );
-    processedContent = processedContent.replace(fullMatch, replacement);
+  if (VIEW_FILE_TYPES.includes(mimeType)) {
+    return `<ac:structured-macro ac:name="view-file" ac:schema-version="1"><ac:parameter ac:name="name">${fileName}</ac:parameter><ac:parameter ac:name="height">250</ac:parameter></ac:structured-macro>`;
   }
-
-  // Handle HTML img tags
-  const htmlImgRegex = /<img[^>]*src=["']([^"']*)["'][^>]*>/g;
-  let htmlMatch;
-  while ((htmlMatch = htmlImgRegex.exec(processedContent)) !== null) {
-    const [fullMatch, src] = htmlMatch;
-    logger.info(`Processing HTML img tag: ${fullMatch.substring(0, 50)}...`);
-
-    if (src.startsWith("http://") || src.startsWith("https://")) {
-      // For external URLs, use Confluence URL image macro
-      processedContent = processedContent.replace(
-        fullMatch,
-        `<ac:image><ri:url ri:value="${src}" /></ac:image>`
-      );
-    } else if (
-      src.includes(".attachments/") ||
-      src.includes("/attachments/") ||
-      src.startsWith("../")
-    ) {
-      // Handle relative paths to attachments
-      const attachmentName = decodeURIComponent(src.split("/").pop());
-      logger.info(
-        `Converting HTML img src to attachment: ${src} -> ${attachmentName}`
-      );
-
-      // Extract alt text if present
-      const altMatch = fullMatch.match(/alt=["']([^"']*)["']/);
-      const altText = altMatch ? altMatch[1] : attachmentName;
-
-      // Use the utility function
-      const replacement = await createConfluenceImageMacro(
-        attachmentName,
-        altText,
-        { confluenceClient, pageId }
-      );
-      processedContent = processedContent.replace(fullMatch, replacement);
-    }
+  if (mimeType && !mimeType.startsWith("image/")) {
+    return `<ac:link><ri:attachment ri:filename="${fileName}" /><ac:plain-text-link-body><![CDATA[${(
+      alt || attachmentName
+    ).replace(/]]>/g, "]]]]><![CDATA[>")}]]></ac:plain-text-link-body></ac:link>`;
   }
+  return createConfluenceImageMacroSync(
+    size ? `${fileName}=${size}` : fileName,
+    escapeXml(alt || attachmentName)
+  );
+}
 
-  return processedContent;
+/**
+ * Create the storage format for an image. External images are referenced
+ * by URL; any other path is taken to be an attachment.
+ * @param {string} src - Image URL or path, with an optional size suffix
+ * @param {string} alt - Alternative text
+ * @param {Object} attachmentMappings - Attachments of the wiki by path
+ * @returns {string} - Storage format markup
+ */
+function createImageMarkup(src, alt, attachmentMappings) {
+  if (src.startsWith("http://") || src.startsWith("https://")) {
+    return `<ac:image><ri:url ri:value="${escapeUrl(src)}" /></ac:image>`;
+  }
+  return createAttachmentMarkup(src, alt, attachmentMappings);
 }
 
 /**
- * Converts Markdown links to Confluence HTML.
- * @param {string} content - The Markdown content.
- * @returns {string} - The converted content.
+ * Replace <img> tags in raw HTML with image macros, for external images and
+ * attachments, and self-close the void elements, since storage format has
+ * to be well-formed XHTML
+ * @param {string} html - Raw HTML from the markdown
+ * @param {Object} attachmentMappings - Attachments of the wiki by path
+ * @returns {string} - HTML for storage format
  */
-function convertLinks(content) {
-  return content.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, url) => {
-    return `<a href="${url}" target="_blank">${text}</a>`;
-  });
+function convertRawHtml(html, attachmentMappings) {
+  return html
+    .replace(/<img\b[^>]*?\bsrc=["']([^"']*)["'][^>]*>/gi, (tag, src) => {
+      if (!/^https?:\/\//.test(src) && !isAttachmentPath(src) && !src.startsWith("../")) {
+        return tag;
+      }
+      const alt = tag.match(/\balt=["']([^"']*)["']/i);
+      return createImageMarkup(src, alt ? alt[1] : "", attachmentMappings);
+    })
+    .replace(/<(br|hr|img|input|col|wbr)\b([^>]*?)\s*\/?>/gi, "<$1$2 />");
 }
 
 /**
- * Converts Markdown code blocks to Confluence HTML.
- * @param {string} content - The Markdown content.
- * @param {Map<string, {language: string, code: string}>} codeBlocks - The map of code blocks.
- * @returns {string} - The converted content.
+ * Get the URL of the Confluence page a wiki page was migrated to. Pages
+ * that are not migrated get an anchor with their title.
+ * @param {string} pageName - Wiki page name, from a link
+ * @param {Object} pageIdMap - Map of page titles to their Confluence IDs
+ * @param {string} [deployment] - "server" for Server/Data Center, otherwise Cloud
+ * @returns {string} - Page URL
  */
-function restoreCodeBlocks(content, codeBlocks) {
-  // Input validation
-  if (typeof content !== "string") {
-    logger.warn(
-      `restoreCodeBlocks received non-string content: ${typeof content}`
-    );
-    try {
-      content = String(content || "");
-    } catch (error) {
-      console.error(
-        "Failed to convert content to string in restoreCodeBlocks:",
-        error
-      );
-      return "";
-    }
-  }
+function getWikiPageUrl(pageName, pageIdMap, deployment) {
+  const confluenceTitle = mapWikiTitleToConfluence(pageName);
+  const targetPageId = pageIdMap[confluenceTitle];
 
-  // Validate codeBlocks is a Map
-  if (!codeBlocks || typeof codeBlocks.forEach !== "function") {
+  if (!targetPageId) {
     logger.warn(
-      `restoreCodeBlocks received invalid codeBlocks: ${typeof codeBlocks}`
+      `No page ID found for "${confluenceTitle}". Link will be broken.`
     );
-    return content; // Return original content if codeBlocks is invalid
-  }
-
-  try {
-    let restoredContent = content;
-    codeBlocks.forEach((block, id) => {
-      if (!block || typeof block !== "object") {
-        logger.warn(`Invalid code block found for ID ${id}`);
-        return; // Skip this block
-      }
-
-      // Extract with safe defaults
-      const code = block.code || "";
-      const language = block.language || "none";
-
-      try {
-        const escapedCode = code
-          .replace(/&/g, "&amp;") // Escape special characters
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;");
-
-        restoredContent = restoredContent.replace(
-          id,
-          `
-                  <ac:structured-macro ac:name="code" ac:schema-version="1">
-                    <ac:parameter ac:name="theme">DarkStyle</ac:parameter>
-                    <ac:parameter ac:name="linenumbers">true</ac:parameter>
-                    <ac:parameter ac:name="language">${language}</ac:parameter>
-                    <ac:plain-text-body><![CDATA[${escapedCode}]]></ac:plain-text-body>
-                  </ac:structured-macro>
-                `
-        );
-      } catch (blockError) {
-        console.error(`Error processing code block ${id}:`, blockError);
-        // Replace with an error message in the code block to help with debugging
-        restoredContent = restoredContent.replace(
-          id,
-          `
-                  <ac:structured-macro ac:name="code" ac:schema-version="1">
-                    <ac:parameter ac:name="theme">DarkStyle</ac:parameter>
-                    <ac:parameter ac:name="linenumbers">true</ac:parameter>
-                    <ac:parameter ac:name="language">none</ac:parameter>
-                    <ac:plain-text-body><![CDATA[Error processing code block: ${blockError.message}]]></ac:plain-text-body>
-                  </ac:structured-macro>
-                `
-        );
-      }
-    });
-    return restoredContent;
-  } catch (error) {
-    console.error("Error in restoreCodeBlocks:", error);
-    // Return the original content if we hit an error
-    return content;
+    return `#${confluenceTitle}`;
   }
+  return getPageUrl(
+    process.env.CONFLUENCE_BASE_URL,
+    process.env.CONFLUENCE_SPACE_KEY,
+    targetPageId,
+    deployment
+  );
 }
 
 /**
- * Processes and extracts code blocks from the content.
- * @param {string} content - The Markdown content.
- * @returns {{content: string, codeBlocks: Map<string, {language: string, code: string}>}} - The processed content and code blocks.
+ * Resolve the target of a markdown link. Links to wiki pages, relative or
+ * as Azure DevOps wiki URLs, go to the migrated Confluence page.
+ * @param {string} href - Link target
+ * @param {Object} pageIdMap - Map of page titles to their Confluence IDs
+ * @param {string} [deployment] - "server" for Server/Data Center, otherwise Cloud
+ * @returns {string} - URL to link to
  */
-function processCodeBlocks(content) {
-  // Input validation
-  if (typeof content !== "string") {
-    logger.warn(
-      `processCodeBlocks received non-string content: ${typeof content}`
-    );
-    // Attempt to convert to string or use empty string
-    try {
-      content = String(content || "");
-    } catch (error) {
-      console.error("Failed to convert content to string:", error);
-      // Return a safe default that won't break downstream processing
-      return {
-        content: "",
-        codeBlocks: new Map(),
-      };
+function resolveLink(href, pageIdMap, deployment) {
+  if (href.startsWith("http://") || href.startsWith("https://")) {
+    if (href.includes("_wiki")) {
+      const confluenceTitle = mapWikiTitleToConfluence(href.split("/").pop());
+      if (pageIdMap[confluenceTitle]) {
+        return getWikiPageUrl(confluenceTitle, pageIdMap, deployment);
+      }
     }
+    return href;
   }
 
-  try {
-    const codeBlocks = new Map();
-    let codeBlockId = 0;
-
-    const processedContent = content.replace(
-      /```([\w-]*)\n([\s\S]*?)```/gm,
-      (match, lang, code) => {
-        const id = `__CODE_BLOCK_${codeBlockId++}__`;
-        codeBlocks.set(id, {
-          language: lang.trim() || "none",
-          code: code.trim(),
-        });
-        return id;
-      }
-    );
-
-    return { content: processedContent, codeBlocks };
-  } catch (error) {
-    console.error("Error processing code blocks:", error);
-    // Return a safe result that won't break downstream processing
-    return {
-      content: content || "",
-      codeBlocks: new Map(),
-    };
+  if (href.startsWith("/")) {
+    return getWikiPageUrl(href.split("/").pop(), pageIdMap, deployment);
   }
+  return href;
 }
 
 /**
- * Cleans up nested lists and extra whitespace in the content.
- * @param {string} content - The Markdown content.
- * @returns {string} - The cleaned content.
+ * Create a link that opens in a new tab
+ * @param {string} href - Link target
+ * @param {string} title - Link title, or ""
+ * @param {string} body - Link content, as storage format
+ * @returns {string} - HTML link
  */
-function cleanupContent(content) {
-  // Ensure content is a string to prevent TypeError: content.replace is not a function
-  if (typeof content !== "string") {
-    logger.warn(
-      `cleanupContent received non-string content: ${typeof content}`
-    );
-    // Return a safe default if content is not a string
-    return typeof content === "undefined"
-      ? "<p>No content</p>"
-      : String(content);
-  }
-
-  try {
-    return content
-      .replace(/<\/ul>\n<ul>/g, "")
-      .replace(/<\/ol>\n<ol>/g, "")
-      .replace(/\n\n+/g, "\n")
-      .trim();
-  } catch (error) {
-    console.error("Error in cleanupContent:", error);
-    // Return original content if any error occurs during replacement
-    return content;
-  }
+function createAnchor(href, title, body) {
+  const titleAttribute = title ? ` title="${escapeXml(title)}"` : "";
+  return `<a href="${escapeUrl(href)}"${titleAttribute} target="_blank">${body}</a>`;
 }
 
 /**
- * Processes Confluence specific links in the markdown content.
- * @param {string} content - The markdown content.
- * @param {Object} attachmentMappings - Mappings of attachments.
- * @param {string} pageId - The Confluence page ID.
- * @param {Object} pageIdMap - Map of page titles to their Confluence IDs.
- * @param {Object} pageFixes - Map of original titles to fixed titles
- * @returns {string} - The processed content with Confluence links.
+ * Get the language of a code token, the first word of its info string
+ * @param {Object} token - marked code token
+ * @returns {string} - Language, or ""
  */
-function processConfluenceLinks(
-  content,
-  attachmentMappings,
-  pageId,
-  pageIdMap = {},
-  pageFixes = {}
-) {
-  // Input validation
-  if (typeof content !== "string") {
-    logger.warn(
-      `processConfluenceLinks received non-string content: ${typeof content}`
-    );
-    try {
-      content = String(content || "");
-    } catch (error) {
-      console.error("Failed to convert content to string:", error);
-      return "";
-    }
-  }
+function getCodeLanguage(token) {
+  return (token.lang || "").trim().split(/\s/)[0];
+}
 
-  try {
-    // Get the Confluence space name from environment variables
-    const confluenceSpace = process.env.CONFLUENCE_SPACE_KEY;
-    const baseUrl = process.env.CONFLUENCE_BASE_URL;
-
-    let processedContent = content;
-
-    // Process wiki-style links with display text: [[Page Name|Display Text]]
-    processedContent = processedContent.replace(
-      /\[\[([^|\]]+)\|([^\]]+)\]\]/g,
-      (match, pageName, displayText) => {
-        logger.info(`Processing wiki-style link with display text: ${match}`);
-        const confluenceTitle = mapWikiTitleToConfluence(pageName);
-        const targetPageId = pageIdMap[confluenceTitle];
-
-        if (targetPageId) {
-          return `[${displayText}](${baseUrl}/wiki/spaces/${confluenceSpace}/pages/${targetPageId})`;
-        } else {
-          logger.warn(
-            `No page ID found for "${confluenceTitle}". Link will be broken.`
-          );
-          return `[${displayText}](#${confluenceTitle})`;
+/**
+ * Create the marked instance that converts one page to storage format.
+ * The renderer emits Confluence macros for code, images, attachments and
+ * tables, and the extensions handle the Azure DevOps wiki syntax: wiki
+ * links and images, [[_TOC_]], ::: mermaid blocks, callouts, <details>
+ * sections, and user, work item and pull request mentions. Being tokens,
+ * none of them are converted inside code.
+ * @param {Object} context - The page being converted
+ * @param {Object} context.attachmentMappings - Attachments of the wiki by path
+ * @param {Object} context.pageIdMap - Map of page titles to their Confluence IDs
+ * @param {string} context.pagePath - Path to the page
+ * @param {Object<string, string>} context.userMapping - Confluence users by identity
+ * @param {Object} context.referenceOptions - Work item and pull request link options
+ * @param {string} [context.deployment] - "server" for Server/Data Center page URLs and user links
+ * @returns {Marked} - marked instance
+ */
+function createStorageFormatMarked(context) {
+  const {
+    attachmentMappings,
+    pageIdMap,
+    pagePath,
+    userMapping,
+    referenceOptions,
+    deployment,
+  } = context;
+
+  const extensions = [
+    {
+      name: "tableOfContents",
+      level: "block",
+      start: (src) => findStart(src, /^ {0,3}\[\[_TO(?:C|SP)_\]\][ \t]*$/im),
+      tokenizer(src) {
+        const match = src.match(/^ {0,3}\[\[_(TOC|TOSP)_\]\][ \t]*(?:\n+|$)/i);
+        if (match) {
+          return {
+            type: "tableOfContents",
+            raw: match[0],
+            subpages: match[1].toUpperCase() === "TOSP",
+          };
         }
-      }
-    );
-
-    // Process simple wiki-style links: [[Page Name]]
-    processedContent = processedContent.replace(
-      /\[\[([^\]|]+)\]\]/g,
-      (match, pageName) => {
-        logger.info(`Processing simple wiki-style link: ${match}`);
-        const confluenceTitle = mapWikiTitleToConfluence(pageName);
-        const targetPageId = pageIdMap[confluenceTitle];
-
-        if (targetPageId) {
-          return `[${pageName}](${baseUrl}/wiki/spaces/${confluenceSpace}/pages/${targetPageId})`;
-        } else {
-          logger.warn(
-            `No page ID found for "${confluenceTitle}". Link will be broken.`
-          );
-          return `[${pageName}](#${confluenceTitle})`;
+      },
+      renderer(token) {
+        // The table of subpages is the children macro
+        return token.subpages
+          ? '<ac:structured-macro ac:name="children" ac:schema-version="2"><ac:parameter ac:name="all">true</ac:parameter></ac:structured-macro>\n'
+          : '<ac:structured-macro ac:name="toc" ac:schema-version="1" />\n';
+      },
+    },
+    {
+      name: "mermaid",
+      level: "block",
+      start: (src) => findStart(src, /^[ \t]*:::[ \t]*mermaid/im),
+      tokenizer(src) {
+        const container = readMermaidContainer(src);
+        if (container) {
+          return {
+            type: "mermaid",
+            raw: container.raw,
+            diagram: { language: "mermaid", code: container.code },
+          };
         }
-      }
-    );
-
-    // Process standard markdown links targeting internal pages
-    processedContent = processedContent.replace(
-      /\[([^\]]+)\]\(([^)]+)\)/g,
-      (match, text, url) => {
-        // Skip external URLs
-        if (url.startsWith("http://") || url.startsWith("https://")) {
-          // Special handling for Azure DevOps wiki links
-          if (url.includes("_wiki")) {
-            const pageName = url.split("/").pop();
-            const confluenceTitle = mapWikiTitleToConfluence(pageName);
-            const targetPageId = pageIdMap[confluenceTitle];
-
-            if (targetPageId) {
-              logger.info(`Converting Azure DevOps wiki link: ${pageName}`);
-              return `[${text}](${baseUrl}/wiki/spaces/${confluenceSpace}/pages/${targetPageId})`;
-            }
-          }
-          return match;
+      },
+      renderer(token) {
+        return `${createMermaidMarkup(token.diagram)}\n`;
+      },
+    },
+    {
+      name: "callout",
+      level: "block",
+      start: (src) => findStart(src, /^ {0,3}>[ \t]?\[!\w+\]|^[ \t]*:::+[ \t]*\w+/m),
+      tokenizer(src) {
+        if (!/^(?: {0,3}>[ \t]?\[!\w+\]|[ \t]*:::+[ \t]*\w+)/.test(src)) return;
+
+        const lines = src.split("\n");
+        const block = readCallout(lines, 0);
+        if (block) {
+          const raw = lines.slice(0, block.end + 1).join("\n");
+          return {
+            type: "callout",
+            raw: block.end + 1 < lines.length ? `${raw}\n` : raw,
+            callout: block.callout,
+            tokens: this.lexer.blockTokens(block.body, []),
+          };
+        }
+      },
+      renderer(token) {
+        const [open, close] = createCalloutMacro(token.callout);
+        return `${open}${this.parser.parse(token.tokens)}${close}\n`;
+      },
+    },
+    {
+      name: "details",
+      level: "block",
+      start: (src) => findStart(src, /^ {0,3}<details\b/im),
+      tokenizer(src) {
+        const indent = src.match(/^ {0,3}(?=<details\b)/i);
+        if (!indent) return;
+
+        const [first] = findDetails(src);
+        // Text after the closing tag on its line leaves it to the HTML block
+        const rest = first && src.slice(first.end).match(/^[ \t]*(?:\n+|$)/);
+        if (first && first.start === indent[0].length && rest) {
+          return {
+            type: "details",
+            raw: src.slice(0, first.end) + rest[0],
+            section: first.section,
+            tokens: this.lexer.blockTokens(first.body.trim(), []),
+          };
+        }
+      },
+      renderer(token) {
+        const [open, close] = createExpandMacro(token.section);
+        return `${open}${this.parser.parse(token.tokens)}${close}\n`;
+      },
+    },
+    {
+      name: "sizedImage",
+      level: "inline",
+      start: (src) => findStart(src, /!\[[^\]]*\]\([^)\s]+\s+=\d*x\d*\)/),
+      tokenizer(src) {
+        // Azure DevOps sizes images with ![alt](path =750x), which is not
+        // a link to marked
+        const match = src.match(/^!\[([^\]]*)\]\(([^)\s]+)\s+=(\d*x\d*)\)/);
+        if (match) {
+          return {
+            type: "sizedImage",
+            raw: match[0],
+            text: match[1],
+            href: match[2],
+            size: match[3],
+          };
+        }
+      },
+      renderer(token) {
+        return createImageMarkup(
+          `${token.href}=${token.size}`,
+          token.text,
+          attachmentMappings
+        );
+      },
+    },
+    {
+      name: "wikiImage",
+      level: "inline",
+      start: (src) => findStart(src, /!\[\[/),
+      tokenizer(src) {
+        const match = src.match(/^!\[\[([^|\]]+)(?:\|[^\]]*)?\]\]/);
+        if (match) {
+          return { type: "wikiImage", raw: match[0], fileName: getFileName(match[1].trim()) };
+        }
+      },
+      renderer(token) {
+        const fileName = escapeXml(token.fileName);
+        return createConfluenceImageMacroSync(fileName, fileName);
+      },
+    },
+    {
+      name: "attachmentImage",
+      level: "inline",
+      start: (src) => findStart(src, /![\w.-]+\.(?:png|jpe?g|gif|svg)\b/i),
+      tokenizer(src) {
+        // A bare !image.png shows that attachment
+        const match = src.match(/^!([\w.-]+\.(?:png|jpe?g|gif|svg))\b/i);
+        if (match) {
+          return { type: "attachmentImage", raw: match[0], fileName: match[1] };
+        }
+      },
+      renderer(token) {
+        return createConfluenceImageMacroSync(token.fileName, token.fileName);
+      },
+    },
+    {
+      name: "wikiLink",
+      level: "inline",
+      start: (src) => findStart(src, /\[\[(?!_TO(?:C|SP)_\]\])/i),
+      tokenizer(src) {
+        const match = src.match(/^\[\[(?!_TO(?:C|SP)_\]\])([^|\]]+)(?:\|([^\]]+))?\]\]/i);
+        if (!match) return;
+
+        // Nothing in the link text is linked again
+        const { inLink } = this.lexer.state;
+        this.lexer.state.inLink = true;
+        const tokens = this.lexer.inlineTokens(match[2] || match[1]);
+        this.lexer.state.inLink = inLink;
+
+        return { type: "wikiLink", raw: match[0], page: match[1], tokens };
+      },
+      renderer(token) {
+        return createAnchor(
+          getWikiPageUrl(token.page, pageIdMap, deployment),
+          "",
+          this.parser.parseInline(token.tokens)
+        );
+      },
+    },
+    {
+      name: "userMention",
+      level: "inline",
+      start: (src) => findStart(src, /@</),
+      tokenizer(src) {
+        if (this.lexer.state.inLink) return;
+        const match = src.match(/^@<([^<>\r\n]+)>/);
+        if (match) {
+          return { type: "userMention", raw: match[0], identity: match[1] };
+        }
+      },
+      renderer(token) {
+        return createUserMention(
+          token.identity,
+          userMapping,
+          pagePath,
+          deployment
+        );
+      },
+    },
+    {
+      name: "workItemReference",
+      level: "inline",
+      start: (src) => findStart(src, /[#!]\d/),
+      tokenizer(src, tokens) {
+        if (this.lexer.state.inLink) return;
+        const match = src.match(/^([#!])(\d+)\b/);
+        if (!match) return;
+
+        // Only mentions that start a word, as in "see #12" or "(#12)"
+        const previous = tokens[tokens.length - 1];
+        if (
+          previous &&
+          previous.type !== "br" &&
+          !(previous.type === "text" && /[\s([{,;:]$/.test(previous.raw))
+        ) {
+          return;
         }
 
-        // Handle relative links to wiki pages
-        if (url.startsWith("/") && !url.includes(".attachments")) {
-          // Extract the page name from the URL
-          const pageName = url.split("/").pop();
-          const confluenceTitle = mapWikiTitleToConfluence(pageName);
-          const targetPageId = pageIdMap[confluenceTitle];
-
-          if (targetPageId) {
-            return `[${text}](${baseUrl}/wiki/spaces/${confluenceSpace}/pages/${targetPageId})`;
-          } else {
-            logger.warn(
-              `No page ID found for "${confluenceTitle}". Link will be broken.`
-            );
-            return `[${text}](#${confluenceTitle})`;
-          }
+        const link = createReferenceLink(match[1], match[2], referenceOptions);
+        if (link) {
+          return { type: "workItemReference", raw: match[0], link };
         }
+      },
+      renderer(token) {
+        return token.link;
+      },
+    },
+  ];
+
+  const renderer = {
+    code(token) {
+      if (getCodeLanguage(token) === "mermaid") {
+        return `${createMermaidMarkup(
+          token.diagram || { language: "mermaid", code: token.text }
+        )}\n`;
+      }
 
-        return match;
+      // CDATA is taken literally, so only its terminator needs splitting
+      const code = token.text.replace(/]]>/g, "]]]]><![CDATA[>");
+      const language = escapeXml(getCodeLanguage(token) || "none");
+      return `<ac:structured-macro ac:name="code" ac:schema-version="1"><ac:parameter ac:name="theme">DarkStyle</ac:parameter><ac:parameter ac:name="linenumbers">true</ac:parameter><ac:parameter ac:name="language">${language}</ac:parameter><ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body></ac:structured-macro>\n`;
+    },
+
+    link(token) {
+      const body = this.parser.parseInline(token.tokens);
+      if (!isAttachmentPath(token.href)) {
+        return createAnchor(
+          resolveLink(token.href, pageIdMap, deployment),
+          token.title,
+          body
+        );
       }
-    );
-    processedContent = convertLinks(processedContent);
-    return processedContent;
-  } catch (error) {
-    console.error("Error processing Confluence links:", error);
-    return content;
-  }
+
+      // Links to attachments show images, and link to other files
+      if (IMAGE_FILE.test(splitImageSize(token.href).src)) {
+        return createImageMarkup(token.href, token.text, attachmentMappings);
+      }
+      return `<ac:link><ri:attachment ri:filename="${escapeXml(
+        getFileName(token.href)
+      )}" /><ac:link-body>${body}</ac:link-body></ac:link>`;
+    },
+
+    image(token) {
+      return createImageMarkup(token.href, token.text, attachmentMappings);
+    },
+
+    html(token) {
+      const html = convertRawHtml(token.text, attachmentMappings);
+      // HTML blocks run up to a blank line, which is not kept
+      return token.block ? `${html.trimEnd()}\n` : html;
+    },
+
+    table(token) {
+      return createTableMarkup(token, (tokens) => this.parser.parseInline(tokens));
+    },
+
+    checkbox(token) {
+      return token.checked ? "&#9745;" : "&#9744;";
+    },
+
+    br() {
+      return "<br />";
+    },
+
+    hr() {
+      return "<hr />\n";
+    },
+  };
+
+  return new Marked({ gfm: true, breaks: true, renderer, extensions });
 }
 
 /**
@@ -606,7 +624,10 @@ function processConfluenceLinks(
  * @param {Object} confluenceClient - Confluence API client
  * @param {string} pageId - Page ID
  * @param {Object} pagesIdMap - Map of page titles to their Confluence IDs
- * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.deployment] - "server" to link pages and users the Server/Data Center way, otherwise Cloud
+ * @param {Object} [options.previousHashes] - Attachment hashes from the last push, so unchanged diagrams are not uploaded again
+ * @param {Object} [options.attachments] - Attachment result, as from uploadAttachments, that rendered diagrams are added to
  * @returns {Promise<string>} - Converted HTML
  */
 async function convertMarkdownToConfluenceHtml(
@@ -616,7 +637,7 @@ async function convertMarkdownToConfluenceHtml(
   confluenceClient,
   pageId,
   pagesIdMap = {},
-  pageFixes = {}
+  options = {}
 ) {
   try {
     logger.info(
@@ -659,36 +680,38 @@ async function convertMarkdownToConfluenceHtml(
 
     // Process the content with error handling
     try {
-      // Extract code blocks from the content
-      const { content, codeBlocks } = processCodeBlocks(markdownContent);
-
-      // Process various types of links with page fixes
-      let processedContent = processConfluenceLinks(
-        content,
-        attachmentMappings,
-        pageId,
-        pagesIdMap,
-        pageFixes
-      );
-      // Process images - this was missing!
-      processedContent = await convertImages(
-        processedContent,
-        attachmentMappings,
+      const storageFormat = createStorageFormatMarked({
+        attachmentMappings: attachmentMappings || {},
+        pageIdMap: pagesIdMap || {},
+        pagePath,
+        userMapping: await getUserMapping(),
+        referenceOptions: await getReferenceLinkOptions(),
+        deployment: options.deployment,
+      });
+      const tokens = storageFormat.lexer(markdownContent);
+
+      // Render mermaid diagrams to attachments when configured to
+      const diagrams = [];
+      storageFormat.walkTokens(tokens, (token) => {
+        if (token.type === "code" && getCodeLanguage(token) === "mermaid") {
+          token.diagram = { language: "mermaid", code: token.text };
+        }
+        if (token.diagram) diagrams.push(token.diagram);
+      });
+      const diagramResult = await attachMermaidDiagrams(
+        diagrams,
         confluenceClient,
-        pageId
+        pageId,
+        options.previousHashes
       );
+      if (options.attachments) {
+        addAttachmentResult(options.attachments, diagramResult);
+      }
 
-      // Convert the processed markdown to HTML
-      let html = convertMarkdown(processedContent);
-
-      // Restore code blocks
-      html = restoreCodeBlocks(html, codeBlocks);
-
-      // Clean up Confluence-specific issues like nested lists
-      html = cleanupContent(html);
+      let html = storageFormat.parser(tokens).trim();
 
-      // Additional step to convert any remaining attachment links to image macros
-      html = convertAttachmentLinksToImageMacros(html);
+      // Fix up anything Confluence would reject the whole page for
+      html = prepareStorageFormat(html, markdownContent, pagePath);
 
       logger.info(
         `Successfully converted markdown to HTML for page at ${pagePath}`
@@ -699,139 +722,24 @@ async function convertMarkdownToConfluenceHtml(
         `Error converting markdown to HTML for page at ${pagePath}:`,
         error
       );
-      return `<p>Error converting content: ${error.message}</p>
-                  <pre>${
-                    markdownContent
-                      ? markdownContent.substring(0, 1000) + "..."
-                      : "No content"
-                  }</pre>`;
+      return createFallbackContent(
+        markdownContent,
+        `Error converting content: ${error.message}`
+      );
     }
   } catch (error) {
     console.error(
       `Error in convertMarkdownToConfluenceHtml for page at ${pagePath}:`,
       error
     );
-    return `<p>Error processing content: ${error.message}</p>`;
-  }
-}
-
-/**
- * Converts markdown content to HTML using the marked library.
- * @param {string} content - The markdown content to convert.
- * @returns {string} - The converted HTML content.
- */
-function convertMarkdown(content) {
-  // Input validation
-  if (typeof content !== "string") {
-    logger.warn(
-      `convertMarkdown received non-string content: ${typeof content}`
+    return createFallbackContent(
+      typeof markdown === "string" ? markdown : "",
+      `Error processing content: ${error.message}`
     );
-    try {
-      content = String(content || "");
-    } catch (error) {
-      console.error("Failed to convert content to string:", error);
-      return "<p>No content available</p>";
-    }
-  }
-
-  try {
-    return marked.parse(content, {
-      gfm: true,
-      breaks: true,
-      sanitize: false,
-    });
-  } catch (error) {
-    console.error("Error converting markdown to HTML:", error);
-    return `<p>Error rendering markdown: ${error.message}</p>
-                <pre>${
-                  content
-                    ? content.replace(/</g, "&lt;").replace(/>/g, "&gt;")
-                    : "No content"
-                }</pre>`;
   }
 }
 
-// Add a new function to convert attachment links to image macros after HTML processing
-function convertAttachmentLinksToImageMacros(html) {
-  if (typeof html !== "string") {
-    logger.warn(
-      `convertAttachmentLinksToImageMacros received non-string content: ${typeof html}`
-    );
-    return html || "";
-  }
-
-  try {
-    // Convert links to attachments that look like images into proper image macros
-    // Updated regex to also capture potential size specifications after the filename
-    return html.replace(
-      /<a[^>]*href=["'](\/\.attachments\/[^"']+\.(png|jpg|jpeg|gif|svg)[^"']*)["'][^>]*>(.*?)<\/a>/gi,
-      (match, path, ext, text) => {
-        logger.info(`Converting attachment link to image macro: ${path}`);
-
-        // Get the filename without URL encoding
-        const filename = decodeURIComponent(path.split("/").pop());
-
-        // Look for size parameter in the text or URL
-        let sizeParameter = "";
-
-        // Check if there's a size parameter in the URL (e.g., image.png=750x)
-        if (path.includes("=")) {
-          sizeParameter = path.split("=")[1];
-        }
-
-        // Or check if the link text contains a size parameter
-        if (!sizeParameter && text.includes("=")) {
-          sizeParameter = text.split("=")[1].trim();
-        }
-
-        // If we found a size parameter, include it with the filename
-        const filenameWithSize = sizeParameter
-          ? `${filename}=${sizeParameter}`
-          : filename;
-
-        // Using the sync version with the potentially size-enhanced filename
-        return createConfluenceImageMacroSync(filenameWithSize, text);
-      }
-    );
-  } catch (error) {
-    console.error("Error converting attachment links to image macros:", error);
-    return html;
-  }
-}
-
-/**
- * Maps wiki page titles to their Confluence equivalents
- * @param {string} wikiTitle - The wiki page title
- * @returns {string} - The Confluence page title
- */
-function mapWikiTitleToConfluence(wikiTitle) {
-  if (!wikiTitle) return "";
-
-  // Remove any URL encoding
-  let decodedTitle = wikiTitle;
-  try {
-    decodedTitle = decodeURIComponent(wikiTitle);
-  } catch (e) {
-    logger.warn(`Could not decode title "${wikiTitle}": ${e.message}`);
-  }
-
-  // Replace special characters and spaces
-  return decodedTitle
-    .replace(/[\\/]/g, "-") // Replace slashes with hyphens
-    .replace(/[<>:"|?*]/g, "_") // Replace problematic characters with underscores
-    .replace(/%/g, "-") // Replace percent signs with hyphens
-    .replace(/&/g, "and") // Replace ampersands with 'and'
-    .replace(/\+/g, " ") // Replace plus signs with spaces
-    .trim();
-}
 module.exports = {
   convertMarkdownToConfluenceHtml,
-  cleanupContent,
-  processCodeBlocks,
-  restoreCodeBlocks,
-  convertMarkdown,
-  processConfluenceLinks,
-  convertAttachmentLinksToImageMacros,
-  createConfluenceImageMacro,
   createConfluenceImageMacroSync,
 };
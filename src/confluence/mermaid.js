@@ -0,0 +1,188 @@
+const { execFile } = require("child_process");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const { logger } = require("../utils");
+const { hashContent } = require("./runJournal");
+const { createAttachmentResult } = require("./attachmentOperations");
+
+const MERMAID_MODES = ["macro", "code", "svg", "png"];
+
+/**
+ * Get how mermaid diagrams are written to Confluence, from MERMAID_MODE:
+ * "macro" for the mermaid macro of a Confluence app, "code" for a code macro
+ * with the diagram source, or "svg"/"png" for an image rendered locally and
+ * uploaded as an attachment
+ * @returns {string} - One of macro, code, svg or png
+ */
+function getMermaidMode() {
+  const mode = (process.env.MERMAID_MODE || "code").toLowerCase();
+  if (!MERMAID_MODES.includes(mode)) {
+    logger.warn(`Unknown MERMAID_MODE "${mode}", using code`);
+    return "code";
+  }
+  return mode;
+}
+
+/**
+ * Read the Azure DevOps `::: mermaid` block at the start of some markdown, if
+ * there is one. Fenced ```mermaid blocks are ordinary code blocks.
+ * @param {string} src - Markdown, starting where the block would
+ * @returns {{raw: string, code: string}|null} - The markdown of the block and the diagram source
+ */
+function readMermaidContainer(src) {
+  const match = src.match(
+    /^[ \t]*:::[ \t]*mermaid[ \t]*\n((?:(?![ \t]*:::[ \t]*(?:\n|$)).*(?:\n|$))*?)[ \t]*:::[ \t]*(?:\n+|$)/
+  );
+  return match ? { raw: match[0], code: match[1].trim() } : null;
+}
+
+/**
+ * Wrap text in CDATA, splitting any CDATA terminator it contains
+ * @param {string} text - Text to wrap
+ * @returns {string} - CDATA section
+ */
+function toCdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * Create the storage format for a mermaid diagram in the configured mode.
+ * Diagrams without a rendered attachment fall back to a code macro.
+ * @param {Object} block - Mermaid code block
+ * @param {string} block.code - Diagram source
+ * @param {string} [block.attachment] - File name of the rendered diagram
+ * @returns {string} - Storage format markup
+ */
+function createMermaidMarkup(block) {
+  const mode = getMermaidMode();
+
+  if (mode === "macro") {
+    const macroName = process.env.MERMAID_MACRO_NAME || "mermaid-cloud";
+    return `<ac:structured-macro ac:name="${macroName}" ac:schema-version="1"><ac:plain-text-body>${toCdata(block.code)}</ac:plain-text-body></ac:structured-macro>`;
+  }
+
+  if (block.attachment) {
+    return `<ac:image ac:alt="Mermaid diagram"><ri:attachment ri:filename="${block.attachment}" /></ac:image>`;
+  }
+
+  return `<ac:structured-macro ac:name="code" ac:schema-version="1"><ac:parameter ac:name="title">Mermaid diagram</ac:parameter><ac:parameter ac:name="language">none</ac:parameter><ac:plain-text-body>${toCdata(block.code)}</ac:plain-text-body></ac:structured-macro>`;
+}
+
+/**
+ * Render a diagram with the mermaid CLI (mmdc, from @mermaid-js/mermaid-cli).
+ * Set MERMAID_CLI when it is not on the PATH.
+ * @param {string} code - Diagram source
+ * @param {string} outputPath - Image file to write; the extension sets the format
+ * @returns {Promise<void>}
+ */
+async function renderMermaidDiagram(code, outputPath) {
+  const inputPath = outputPath.replace(/\.\w+$/, ".mmd");
+  const cli = process.env.MERMAID_CLI || "mmdc";
+  await fs.writeFile(inputPath, code, "utf8");
+
+  await new Promise((resolve, reject) => {
+    execFile(
+      cli,
+      ["-i", inputPath, "-o", outputPath, "-b", "transparent"],
+      { timeout: 60000 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`${cli} failed: ${(stderr || "").trim() || error.message}`));
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Render the mermaid diagrams of a page and upload them as attachments, when
+ * MERMAID_MODE is svg or png. Each rendered block gets the attachment name,
+ * which is derived from the diagram source. Diagrams whose source hash
+ * matches the last push are neither rendered nor uploaded again. Diagrams
+ * that cannot be rendered stay code macros.
+ * @param {Array<{language: string, code: string}>} codeBlocks - Code blocks of the page
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - Page the diagrams belong to
+ * @param {Object} [previousHashes] - Attachment hashes from the last push
+ * @returns {Promise<{uploaded: Array<string>, unchanged: Array<string>, failed: Array<string>, added: Object, hashes: Object}>}
+ *   - The same result as uploadAttachments, for the diagram attachments
+ */
+async function attachMermaidDiagrams(
+  codeBlocks,
+  confluenceClient,
+  pageId,
+  previousHashes = null
+) {
+  const result = createAttachmentResult();
+  const format = getMermaidMode();
+  if (format !== "svg" && format !== "png") return result;
+
+  const diagrams = codeBlocks.filter(
+    (block) => block.language === "mermaid"
+  );
+  if (diagrams.length === 0) return result;
+
+  if (!confluenceClient || !pageId) {
+    logger.warn("No page to attach mermaid diagrams to, keeping them as code");
+    return result;
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "mermaid-"));
+  try {
+    for (const block of diagrams) {
+      const hash = hashContent(block.code);
+      const fileName = `mermaid-${hash.slice(0, 12)}.${format}`;
+      const filePath = path.join(workDir, fileName);
+      result.hashes[fileName] = hash;
+      if (previousHashes?.[fileName] === hash) {
+        block.attachment = fileName;
+        result.unchanged.push(fileName);
+        continue;
+      }
+
+      try {
+        await renderMermaidDiagram(block.code, filePath);
+        const uploaded = await confluenceClient.uploadAttachment(
+          pageId,
+          filePath,
+          {
+            fileName,
+            mimeType: format === "svg" ? "image/svg+xml" : "image/png",
+            replaceExisting: Boolean(previousHashes),
+          }
+        );
+        block.attachment = fileName;
+        result.uploaded.push(fileName);
+
+        // Attachments this upload created, rather than a new version of, for rollbacks
+        const attachment = uploaded?.results?.[0];
+        if (
+          !uploaded?.existing &&
+          attachment?.id &&
+          (attachment.version?.number ?? 1) === 1
+        ) {
+          result.added[fileName] = attachment.id;
+        }
+      } catch (error) {
+        delete result.hashes[fileName];
+        result.failed.push(fileName);
+        logger.warn(
+          `Could not attach mermaid diagram ${fileName}, keeping it as code: ${error.message}`
+        );
+      }
+    }
+  } finally {
+    await fs.remove(workDir);
+  }
+  return result;
+}
+
+module.exports = {
+  getMermaidMode,
+  readMermaidContainer,
+  createMermaidMarkup,
+  attachMermaidDiagrams,
+};
@@ -2,7 +2,15 @@ const { countPages, logger } = require("../utils");
 const {
   createOrUpdatePage,
   deletePagesUnderParent,
+  reorderSiblings,
 } = require("./pageOperations");
+const {
+  hashContent,
+  getPageEntry,
+  recordPageStub,
+  recordPageComplete,
+} = require("./runJournal");
+const { createWorkerPool } = require("./workerPool");
 
 /**
  * Create Confluence pages from wiki structure
@@ -13,7 +21,9 @@ const {
  * @param {Object} attachmentMappings - Attachment mappings
  * @param {Object} confluenceConfig - Confluence configuration
  * @param {Object} pageFixes - Map of original titles to fixed titles
- * @returns {Promise<void>}
+ * @param {Object} [journal] - Run journal to record progress in and resume from
+ * @param {number} [concurrency] - Number of pages to process at the same time
+ * @returns {Promise<Array<{title: string, path: string, error: string}>>} - Pages that failed
  */
 async function createConfluencePages(
   wikiStructure,
@@ -22,7 +32,9 @@ async function createConfluencePages(
   parentPageId,
   attachmentMappings,
   confluenceConfig,
-  pageFixes = {}
+  pageFixes = {},
+  journal = null,
+  concurrency = 1
 ) {
   try {
     logger.info("Creating Confluence pages...");
@@ -31,7 +43,11 @@ async function createConfluencePages(
     logger.info(`Total pages to create: ${countPages(wikiStructure.pages)}`);
 
     const pageIdMap = {};
-    logger.info("Starting page creation process...");
+    const failures = [];
+    const pool = createWorkerPool(concurrency);
+    logger.info(
+      `Starting page creation process with ${pool.concurrency} workers...`
+    );
 
     // Create initial pages
     await processAllPages(
@@ -42,7 +58,10 @@ async function createConfluencePages(
       parentPageId,
       attachmentMappings,
       pageIdMap,
-      pageFixes
+      pageFixes,
+      journal,
+      pool,
+      failures
     );
 
     // Process pages with full content in hierarchical order
@@ -54,10 +73,22 @@ async function createConfluencePages(
       parentPageId,
       attachmentMappings,
       pageIdMap,
-      pageFixes
+      pageFixes,
+      journal,
+      pool,
+      failures
     );
 
-    logger.info("All pages created successfully!");
+    // A page that failed as a stub usually fails again with its content
+    const failed = [
+      ...new Map(failures.map((failure) => [failure.path, failure])).values(),
+    ];
+    if (failed.length > 0) {
+      logger.warn(`${failed.length} pages could not be migrated`);
+    } else {
+      logger.info("All pages created successfully!");
+    }
+    return failed;
   } catch (error) {
     console.error("Error creating Confluence pages:", error);
     throw error;
@@ -65,7 +96,8 @@ async function createConfluencePages(
 }
 
 /**
- * Process a list of pages using the custom ConfluenceClient
+ * Process a list of pages using the custom ConfluenceClient. Siblings are
+ * processed in parallel, and each page's children once the page is done.
  * @param {Array} pages - List of pages to process
  * @param {Object} confluenceClient - Confluence API client
  * @param {Object} confluenceConfig - Confluence configuration
@@ -74,6 +106,9 @@ async function createConfluencePages(
  * @param {Object} attachmentMappings - Mapping of attachments
  * @param {Object} pageIdMap - Map of page titles to their IDs
  * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} [journal] - Run journal to record progress in and resume from
+ * @param {Object} [pool] - Worker pool limiting how many pages are processed at once
+ * @param {Array} [failures] - Pages that failed are added to this list
  * @returns {Promise<void>}
  */
 async function processPages(
@@ -84,51 +119,90 @@ async function processPages(
   parentPageId,
   attachmentMappings,
   pageIdMap,
-  pageFixes
+  pageFixes,
+  journal = null,
+  pool = createWorkerPool(),
+  failures = []
 ) {
-  for (const page of pages) {
-    try {
-      const pageTitle = pageFixes[page.title] || page.title;
-      logger.info(`Processing page: ${pageTitle}`);
-
-      // Create or update the page
-      const pageId = await createOrUpdatePage(
-        page,
-        confluenceClient,
-        confluenceConfig,
-        spaceKey,
-        parentPageId,
-        attachmentMappings,
-        pageIdMap,
-        false,
-        pageFixes
-      );
-
-      if (pageId) {
-        pageIdMap[pageTitle] = pageId;
-      }
+  await Promise.all(
+    pages.map(async (page) => {
+      try {
+        const pageTitle = pageFixes[page.title] || page.title;
+        const contentHash = hashContent(page.content);
+        const entry = getPageEntry(journal, page.path);
+        let pageId;
+
+        if (entry?.stage === "complete" && entry.contentHash === contentHash) {
+          // Already written by the run being resumed and unchanged since
+          logger.info(
+            `Skipping page "${pageTitle}" - already completed in run ${journal.runId}`
+          );
+          pageId = entry.pageId;
+        } else {
+          pageId = await pool.run(async () => {
+            logger.info(`Processing page: ${pageTitle}`);
 
-      // Process child pages if any
-      if (page.children && page.children.length > 0) {
-        await processPages(
-          page.children,
-          confluenceClient,
-          confluenceConfig,
-          spaceKey,
-          pageId,
-          attachmentMappings,
-          pageIdMap,
-          pageFixes
-        );
+            // Create or update the page
+            const updatedPageId = await createOrUpdatePage(
+              page,
+              confluenceClient,
+              confluenceConfig,
+              spaceKey,
+              parentPageId,
+              attachmentMappings,
+              pageIdMap,
+              false,
+              pageFixes,
+              journal
+            );
+
+            if (updatedPageId) {
+              await recordPageComplete(journal, page.path, {
+                title: pageTitle,
+                pageId: updatedPageId,
+                contentHash,
+              });
+            }
+            return updatedPageId;
+          });
+        }
+
+        if (pageId) {
+          pageIdMap[pageTitle] = pageId;
+        }
+
+        // Process child pages if any
+        if (page.children && page.children.length > 0) {
+          await processPages(
+            page.children,
+            confluenceClient,
+            confluenceConfig,
+            spaceKey,
+            pageId,
+            attachmentMappings,
+            pageIdMap,
+            pageFixes,
+            journal,
+            pool,
+            failures
+          );
+        }
+      } catch (error) {
+        console.error(`Error processing page ${page.title}:`, error);
+        failures.push({
+          title: page.title,
+          path: page.path,
+          error: error.message,
+        });
       }
-    } catch (error) {
-      console.error(`Error processing page ${page.title}:`, error);
-    }
-  }
+    })
+  );
 }
 
 /**
- * Process all pages initially to create page stubs
+ * Process all pages initially to create page stubs. Siblings are created in
+ * parallel, so a page always exists before its children are created, and are
+ * put in wiki order afterwards.
  * @param {Array} pages - List of pages to process
  * @param {Object} confluenceClient - Confluence API client
  * @param {Object} confluenceConfig - Confluence configuration
@@ -137,6 +211,9 @@ async function processPages(
  * @param {Object} attachmentMappings - Mapping of attachments
  * @param {Object} pageIdMap - Map of page titles to their IDs
  * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} [journal] - Run journal to record progress in and resume from
+ * @param {Object} [pool] - Worker pool limiting how many pages are processed at once
+ * @param {Array} [failures] - Pages that failed are added to this list
  * @returns {Promise<void>}
  */
 async function processAllPages(
@@ -147,54 +224,97 @@ async function processAllPages(
   parentPageId,
   attachmentMappings,
   pageIdMap,
-  pageFixes
+  pageFixes,
+  journal = null,
+  pool = createWorkerPool(),
+  failures = []
 ) {
-  for (const page of pages) {
-    try {
-      const pageTitle = pageFixes[page.title] || page.title;
-      const placeholderHtml = `<p>This page is being migrated from Azure DevOps Wiki.</p>`;
-
-      logger.info(`Creating initial page: ${pageTitle}`);
-
-      // Create or update the page with placeholder content
-      const pageId = await createOrUpdatePage(
-        {
-          title: pageTitle,
-          content: placeholderHtml,
-          parentId: parentPageId,
+  const siblingIds = await Promise.all(
+    pages.map(async (page) => {
+      let pageId;
+
+      try {
+        const pageTitle = pageFixes[page.title] || page.title;
+        const placeholderHtml = `<p>This page is being migrated from Azure DevOps Wiki.</p>`;
+        const entry = getPageEntry(journal, page.path);
+
+        if (entry?.pageId) {
+          // Created by the run being resumed, no need to look it up again
+          logger.info(
+            `Skipping initial page "${pageTitle}" - recorded as ${entry.pageId} in run ${journal.runId}`
+          );
+          pageId = entry.pageId;
+        } else {
+          pageId = await pool.run(async () => {
+            logger.info(`Creating initial page: ${pageTitle}`);
+
+            // Create or update the page with placeholder content
+            const stubPageId = await createOrUpdatePage(
+              {
+                title: pageTitle,
+                content: placeholderHtml,
+                parentId: parentPageId,
+                path: page.path,
+              },
+              confluenceClient,
+              confluenceConfig,
+              spaceKey,
+              parentPageId,
+              attachmentMappings,
+              pageIdMap,
+              true,
+              pageFixes,
+              journal
+            );
+
+            if (stubPageId) {
+              await recordPageStub(journal, page.path, {
+                title: pageTitle,
+                pageId: stubPageId,
+                parentId: parentPageId,
+              });
+            }
+            return stubPageId;
+          });
+        }
+
+        if (pageId) {
+          pageIdMap[pageTitle] = pageId;
+        }
+
+        // Process child pages if any
+        if (page.children && page.children.length > 0) {
+          await processAllPages(
+            page.children,
+            confluenceClient,
+            confluenceConfig,
+            spaceKey,
+            pageId,
+            attachmentMappings,
+            pageIdMap,
+            pageFixes,
+            journal,
+            pool,
+            failures
+          );
+        }
+      } catch (error) {
+        console.error(`Error processing page ${page.title}:`, error);
+        failures.push({
+          title: page.title,
           path: page.path,
-        },
-        confluenceClient,
-        confluenceConfig,
-        spaceKey,
-        parentPageId,
-        attachmentMappings,
-        pageIdMap,
-        true,
-        pageFixes
-      );
-
-      if (pageId) {
-        pageIdMap[pageTitle] = pageId;
+          error: error.message,
+        });
       }
 
-      // Process child pages if any
-      if (page.children && page.children.length > 0) {
-        await processAllPages(
-          page.children,
-          confluenceClient,
-          confluenceConfig,
-          spaceKey,
-          pageId,
-          attachmentMappings,
-          pageIdMap,
-          pageFixes
-        );
-      }
-    } catch (error) {
-      console.error(`Error processing page ${page.title}:`, error);
-    }
-  }
+      return pageId;
+    })
+  );
+
+  // Pages created in parallel can end up in any order, so put them in wiki order
+  await pool.run(() =>
+    reorderSiblings(confluenceClient, parentPageId, siblingIds)
+  );
 }
 
 module.exports = {
@@ -1,7 +1,19 @@
 const { convertMarkdownToConfluenceHtml } = require("./markdownConverter");
-const { uploadAttachments } = require("./attachmentOperations");
+const {
+  uploadAttachments,
+  createAttachmentResult,
+  addAttachmentResult,
+} = require("./attachmentOperations");
 const { logger } = require("../utils");
 const { sanitizeTitle } = require("./wikiParser");
+const { createPagePropertiesMacro } = require("./frontMatter");
+const {
+  hashContent,
+  getPageEntry,
+  recordAttachments,
+  recordPageOrigin,
+  recordPageBody,
+} = require("./runJournal");
 
 /**
  * Create or update a Confluence page
@@ -14,6 +26,7 @@ const { sanitizeTitle } = require("./wikiParser");
  * @param {Object} pagesIdMap - Map of page titles to their IDs
  * @param {boolean} InitializingallPages - Whether this is an initial page creation
  * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} [journal] - Run journal to look up page IDs and record attachment and body hashes in
  * @returns {Promise<string>} Created page ID
  */
 async function createOrUpdatePage(
@@ -25,7 +38,8 @@ async function createOrUpdatePage(
   attachmentMappings,
   pagesIdMap,
   InitializingallPages,
-  pageFixes = {}
+  pageFixes = {},
+  journal = null
 ) {
   try {
     // Ensure we have a readable title - decode it if necessary for display
@@ -77,25 +91,34 @@ async function createOrUpdatePage(
     console.log(`spaceKey: ${spaceKey}`);
     console.log(`parentPageId: ${parentPageId}`);
 
-    // Check if page exists by its current title (possibly fixed)
-    console.log(`Checking if page "${pageTitle}" exists...`);
-    try {
-      existingPage = await getPageByTitle(
-        confluenceClient,
-        spaceKey,
-        pageTitle
+    // Reuse the page ID recorded by this run, if any, to avoid a title lookup
+    const journalEntry = getPageEntry(journal, page.path);
+    if (journalEntry?.pageId) {
+      console.log(
+        `Using page ID ${journalEntry.pageId} from run journal for "${pageTitle}"`
       );
-
-      // If not found by fixed title, try original title
-      if (!existingPage && pageTitle !== originalTitle) {
+      existingPage = { id: journalEntry.pageId };
+    } else {
+      // Check if page exists by its current title (possibly fixed)
+      console.log(`Checking if page "${pageTitle}" exists...`);
+      try {
         existingPage = await getPageByTitle(
           confluenceClient,
           spaceKey,
-          originalTitle
+          pageTitle
         );
+
+        // If not found by fixed title, try original title
+        if (!existingPage && pageTitle !== originalTitle) {
+          existingPage = await getPageByTitle(
+            confluenceClient,
+            spaceKey,
+            originalTitle
+          );
+        }
+      } catch (e) {
+        console.error(`Error checking page "${pageTitle}":`, e);
       }
-    } catch (e) {
-      console.error(`Error checking page "${pageTitle}":`, e);
     }
 
     console.log(`Existing page: ${existingPage ? "Yes" : "No"}`);
@@ -108,13 +131,17 @@ async function createOrUpdatePage(
         return pageId;
       }
       // First upload attachments using the new function
+      const attachmentResult = createAttachmentResult();
       if (attachmentMappings && Object.keys(attachmentMappings).length > 0) {
         try {
-          await uploadAttachments(
-            confluenceClient,
-            pageId,
-            page.path,
-            attachmentMappings
+          addAttachmentResult(
+            attachmentResult,
+            await uploadAttachments(
+              confluenceClient,
+              pageId,
+              page.path,
+              attachmentMappings
+            )
           );
         } catch (uploadError) {
           console.error("Error uploading attachments:", uploadError);
@@ -122,15 +149,24 @@ async function createOrUpdatePage(
       }
 
       // Then convert content with updated attachment references
-      const htmlContent = await convertMarkdownToConfluenceHtml(
+      const convertedContent = await convertMarkdownToConfluenceHtml(
         pageContent,
         attachmentMappings,
         page.path,
         confluenceClient,
         pageId,
         pagesIdMap,
-        pageFixes
+        {
+          deployment: confluenceConfig.confluence.deployment,
+          attachments: attachmentResult,
+        }
       );
+      // Including the mermaid diagrams rendered while converting
+      recordAttachments(journal, page.path, attachmentResult);
+      // Page properties from the front matter go at the top
+      const htmlContent =
+        createPagePropertiesMacro(page.properties) + convertedContent;
+      recordPageBody(journal, page.path, hashContent(htmlContent));
 
       // Update page with processed content and current title
       await updatePage(
@@ -138,8 +174,11 @@ async function createOrUpdatePage(
         pageId,
         pageTitle,
         htmlContent,
-        spaceKey
+        spaceKey,
+        journal,
+        page.path
       );
+      await addPageLabels(confluenceClient, pageId, page.labels);
     } else {
       // Create new page with temporary content
       pageId = await createPage(
@@ -149,15 +188,20 @@ async function createOrUpdatePage(
         "<p>Initializing page...</p>",
         spaceKey
       );
+      recordPageOrigin(journal, page.path, { created: true });
 
       // Upload attachments using the new function
+      const attachmentResult = createAttachmentResult();
       if (attachmentMappings && Object.keys(attachmentMappings).length > 0) {
         try {
-          await uploadAttachments(
-            confluenceClient,
-            pageId,
-            page.path,
-            attachmentMappings
+          addAttachmentResult(
+            attachmentResult,
+            await uploadAttachments(
+              confluenceClient,
+              pageId,
+              page.path,
+              attachmentMappings
+            )
           );
         } catch (uploadError) {
           console.error("Error uploading attachments:", uploadError);
@@ -165,15 +209,24 @@ async function createOrUpdatePage(
       }
 
       // Update with full content including attachment references
-      const htmlContent = await convertMarkdownToConfluenceHtml(
+      const convertedContent = await convertMarkdownToConfluenceHtml(
         pageContent,
         attachmentMappings,
         page.path,
         confluenceClient,
         pageId,
         pagesIdMap,
-        pageFixes
+        {
+          deployment: confluenceConfig.confluence.deployment,
+          attachments: attachmentResult,
+        }
       );
+      // Including the mermaid diagrams rendered while converting
+      recordAttachments(journal, page.path, attachmentResult);
+      // Page properties from the front matter go at the top
+      const htmlContent =
+        createPagePropertiesMacro(page.properties) + convertedContent;
+      recordPageBody(journal, page.path, hashContent(htmlContent));
 
       await updatePage(
         confluenceClient,
@@ -182,6 +235,7 @@ async function createOrUpdatePage(
         htmlContent,
         spaceKey
       );
+      await addPageLabels(confluenceClient, pageId, page.labels);
     }
 
     return pageId;
@@ -200,7 +254,9 @@ async function createOrUpdatePage(
 async function deletePagesUnderParent(confluenceClient, parentPageId) {
   try {
     logger.info(`Deleting all pages under parent page ID: ${parentPageId}`);
-    const children = await confluenceClient.getChildren(parentPageId);
+    // Read every child before deleting, as deleting shifts later results
+    // onto pages of the listing that were already read
+    const children = await confluenceClient.getChildPages(parentPageId);
 
     for (const child of children) {
       await confluenceClient.deletePage(child.id);
@@ -214,6 +270,77 @@ async function deletePagesUnderParent(confluenceClient, parentPageId) {
   }
 }
 
+/**
+ * Reorder sibling pages in Confluence to match their wiki order. Only pages
+ * that are out of place are moved, so re-running on an already ordered tree
+ * makes no changes.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} parentPageId - Parent page ID
+ * @param {Array<string>} orderedPageIds - Sibling page IDs in wiki order
+ * @returns {Promise<number>} Number of pages moved
+ */
+async function reorderSiblings(confluenceClient, parentPageId, orderedPageIds) {
+  const pageIds = orderedPageIds.filter(Boolean).map(String);
+  if (pageIds.length < 2) {
+    return 0;
+  }
+
+  // Current relative order of these pages among the parent's children
+  let currentOrder = [];
+  try {
+    const wanted = new Set(pageIds);
+    const children = await confluenceClient.getChildPages(parentPageId);
+    currentOrder = children
+      .map((child) => String(child.id))
+      .filter((id) => wanted.has(id));
+  } catch (error) {
+    logger.warn(
+      `Could not read child order of page ${parentPageId}: ${error.message}`
+    );
+  }
+
+  let moved = 0;
+  for (let i = 0; i < pageIds.length; i++) {
+    const pageId = pageIds[i];
+    const currentIndex = currentOrder.indexOf(pageId);
+    let position;
+    let targetId;
+
+    if (i === 0) {
+      if (currentIndex === 0 || currentOrder.length === 0) continue;
+      position = "before";
+      targetId = currentOrder[0];
+    } else {
+      targetId = pageIds[i - 1];
+      if (currentIndex !== -1 && currentIndex === currentOrder.indexOf(targetId) + 1) {
+        continue;
+      }
+      position = "after";
+    }
+
+    try {
+      await confluenceClient.movePage(pageId, position, targetId);
+      moved++;
+
+      // Keep our view of the order in step with the move
+      if (currentIndex !== -1) currentOrder.splice(currentIndex, 1);
+      const targetIndex = currentOrder.indexOf(targetId);
+      currentOrder.splice(
+        position === "before" ? targetIndex : targetIndex + 1,
+        0,
+        pageId
+      );
+    } catch (error) {
+      logger.warn(`Could not reorder page ${pageId}: ${error.message}`);
+    }
+  }
+
+  if (moved > 0) {
+    logger.info(`Reordered ${moved} pages under parent page ${parentPageId}`);
+  }
+  return moved;
+}
+
 /**
  * Get a page by title using the custom ConfluenceClient
  * @param {Object} confluenceClient - Custom Confluence API client
@@ -278,15 +405,27 @@ async function createPage(
  * @param {string} title - Page title
  * @param {string} content - Page content (HTML)
  * @param {string} spaceKey - Space key
+ * @param {Object} [journal] - Run journal to record the version before the update in, for rollbacks
+ * @param {string} [pagePath] - Wiki path of the page in the journal
  * @returns {Promise<string>} Updated page ID
  */
-async function updatePage(confluenceClient, pageId, title, content, spaceKey) {
+async function updatePage(
+  confluenceClient,
+  pageId,
+  title,
+  content,
+  spaceKey,
+  journal = null,
+  pagePath = null
+) {
   try {
     // Get current page version
     const currentPage = await confluenceClient.getPageById(pageId, {
       expand: "version",
     });
-    const version = parseInt(currentPage.version.number, 10) + 1;
+    const currentVersion = parseInt(currentPage.version.number, 10);
+    const version = currentVersion + 1;
+    recordPageOrigin(journal, pagePath, { previousVersion: currentVersion });
 
     const pageData = {
       id: pageId,
@@ -311,7 +450,30 @@ async function updatePage(confluenceClient, pageId, title, content, spaceKey) {
   }
 }
 
+/**
+ * Add labels to a page. A failure is logged rather than failing the page,
+ * since the content is already in place.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - Page ID
+ * @param {Array<string>} [labels] - Labels to add
+ * @returns {Promise<void>}
+ */
+async function addPageLabels(confluenceClient, pageId, labels) {
+  if (!labels || labels.length === 0) return;
+  try {
+    await confluenceClient.addLabels(pageId, labels);
+    logger.info(`Labelled page ${pageId}: ${labels.join(", ")}`);
+  } catch (error) {
+    logger.warn(`Could not add labels to page ${pageId}: ${error.message}`);
+  }
+}
+
 module.exports = {
   createOrUpdatePage,
+  addPageLabels,
   deletePagesUnderParent,
+  reorderSiblings,
+  getPageByTitle,
+  createPage,
+  updatePage,
 };
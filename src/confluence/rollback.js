@@ -0,0 +1,205 @@
+const { logger } = require("../utils");
+const { updatePage } = require("./pageOperations");
+
+/**
+ * Check whether a page still exists
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Object|null>} - The page with its version, or null if it is gone
+ */
+async function findPage(confluenceClient, pageId) {
+  try {
+    return await confluenceClient.getPageById(pageId, { expand: "version" });
+  } catch (error) {
+    logger.debug(`Page ${pageId} could not be read: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Work out what rolling back a run involves, from the pages it recorded as
+ * created, the versions of the pages it updated and the attachments it added
+ * to pages it did not create
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Object} journal - Journal of the run to roll back
+ * @returns {Promise<Object>} - Rollback plan: {runId, deletePages, restorePages, removeAttachments}
+ */
+async function planRollback(confluenceClient, journal) {
+  const entries = Object.entries(journal.pages)
+    .map(([path, entry]) => ({ path, ...entry }))
+    .filter((entry) => entry.pageId);
+
+  // Created pages are deleted children first, so none of them is left behind
+  // under the run's parent when its own parent goes
+  const created = entries.filter((entry) => entry.created);
+  const createdById = new Map(created.map((entry) => [String(entry.pageId), entry]));
+  const depth = (entry) => {
+    let level = 0;
+    let parent = createdById.get(String(entry.parentId));
+    while (parent && level < createdById.size) {
+      level++;
+      parent = createdById.get(String(parent.parentId));
+    }
+    return level;
+  };
+
+  const deletePages = [];
+  for (const entry of [...created].sort((a, b) => depth(b) - depth(a))) {
+    const page = await findPage(confluenceClient, entry.pageId);
+    deletePages.push({
+      path: entry.path,
+      pageId: String(entry.pageId),
+      title: entry.title,
+      missing: !page,
+    });
+  }
+
+  const restorePages = [];
+  const removeAttachments = [];
+  for (const entry of entries.filter((item) => !item.created)) {
+    const added = Object.entries(entry.attachments?.added || {});
+    if (!entry.previousVersion && added.length === 0) continue;
+
+    const page = await findPage(confluenceClient, entry.pageId);
+    if (entry.previousVersion) {
+      restorePages.push({
+        path: entry.path,
+        pageId: String(entry.pageId),
+        title: entry.title,
+        previousVersion: entry.previousVersion,
+        currentVersion: page?.version?.number ?? null,
+        missing: !page,
+      });
+    }
+    added.forEach(([fileName, attachmentId]) => {
+      removeAttachments.push({
+        pageId: String(entry.pageId),
+        pageTitle: entry.title,
+        attachmentId,
+        fileName,
+        missing: !page,
+      });
+    });
+  }
+
+  return { runId: journal.runId, deletePages, restorePages, removeAttachments };
+}
+
+/**
+ * Render a rollback plan for the confirmation prompt
+ * @param {Object} plan - Plan returned by planRollback
+ * @returns {string} - Plain-text preview
+ */
+function formatRollbackPlan(plan) {
+  const gone = (item) => (item.missing ? " - already gone, skipped" : "");
+  const lines = [`Rollback of run ${plan.runId}`, ""];
+
+  lines.push(`Pages to delete: ${plan.deletePages.length}`);
+  plan.deletePages.forEach((page) => {
+    lines.push(`  DELETE    ${page.title} (ID: ${page.pageId})${gone(page)}`);
+  });
+
+  lines.push("", `Pages to restore: ${plan.restorePages.length}`);
+  plan.restorePages.forEach((page) => {
+    const versions = page.missing
+      ? ""
+      : ` v${page.currentVersion} -> content of v${page.previousVersion}`;
+    lines.push(
+      `  RESTORE   ${page.title} (ID: ${page.pageId})${versions}${gone(page)}`
+    );
+  });
+
+  lines.push("", `Attachments to remove: ${plan.removeAttachments.length}`);
+  plan.removeAttachments.forEach((attachment) => {
+    lines.push(
+      `  REMOVE    ${attachment.fileName} from ${attachment.pageTitle}${gone(attachment)}`
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Carry out a rollback plan. Attachments are removed and updated pages
+ * restored before created pages are deleted, leaf pages first. A failure is
+ * reported and the rest of the plan still runs.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Object} plan - Plan returned by planRollback
+ * @param {string} spaceKey - Confluence space key
+ * @returns {Promise<Object>} - Report: {deleted, restored, removedAttachments, skipped, failed}
+ */
+async function executeRollback(confluenceClient, plan, spaceKey) {
+  const report = {
+    deleted: [],
+    restored: [],
+    removedAttachments: [],
+    skipped: [],
+    failed: [],
+  };
+  const attempt = async (item, description, action) => {
+    if (item.missing) {
+      report.skipped.push(description);
+      return false;
+    }
+    try {
+      await action();
+      logger.info(`Rolled back: ${description}`);
+      return true;
+    } catch (error) {
+      logger.error(`Could not roll back ${description}: ${error.message}`);
+      report.failed.push({ description, error: error.message });
+      return false;
+    }
+  };
+
+  for (const attachment of plan.removeAttachments) {
+    const description = `attachment ${attachment.fileName} on "${attachment.pageTitle}"`;
+    if (
+      await attempt(attachment, description, () =>
+        confluenceClient.deleteAttachment(attachment.attachmentId)
+      )
+    ) {
+      report.removedAttachments.push(attachment);
+    }
+  }
+
+  for (const page of plan.restorePages) {
+    const description = `page "${page.title}" (${page.pageId}) to version ${page.previousVersion}`;
+    if (
+      await attempt(page, description, async () => {
+        const previous = await confluenceClient.getPageVersion(
+          page.pageId,
+          page.previousVersion
+        );
+        await updatePage(
+          confluenceClient,
+          page.pageId,
+          previous.title,
+          previous.body?.storage?.value || "",
+          spaceKey
+        );
+      })
+    ) {
+      report.restored.push(page);
+    }
+  }
+
+  for (const page of plan.deletePages) {
+    const description = `page "${page.title}" (${page.pageId})`;
+    if (
+      await attempt(page, description, () =>
+        confluenceClient.deletePage(page.pageId)
+      )
+    ) {
+      report.deleted.push(page);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  planRollback,
+  formatRollbackPlan,
+  executeRollback,
+};
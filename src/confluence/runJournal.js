@@ -0,0 +1,312 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const { logger } = require("../utils");
+const JOURNAL_DIR = path.join(process.cwd(), ".migration-runs");
+
+/**
+ * Hash content so later runs can tell whether a page or attachment changed
+ * @param {string|Buffer} content - Page or file content
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto
+    .createHash("sha256")
+    .update(content || "", "utf8")
+    .digest("hex");
+}
+
+/**
+ * Get the journal file path for a run
+ * @param {string} runId - Run ID
+ * @returns {string} - Absolute path to the journal file
+ */
+function getJournalPath(runId) {
+  return path.join(JOURNAL_DIR, `${runId}.json`);
+}
+
+/**
+ * Create a new run journal
+ * @param {Object} details - Run details
+ * @param {string} details.spaceKey - Confluence space key
+ * @param {string} details.parentPageId - Root parent page ID
+ * @param {string} [details.mode] - Kind of run ("migrate" or "sync")
+ * @returns {Object} - Journal object
+ */
+function createJournal({ spaceKey, parentPageId, mode = "migrate" }) {
+  const startedAt = new Date().toISOString();
+  // Milliseconds and a random suffix, so runs started together from a script
+  // never share a journal file
+  const suffix = crypto.randomBytes(3).toString("hex");
+  return {
+    runId: `${startedAt.replace(/[-:.]/g, "").replace("T", "-").slice(0, 18)}-${suffix}`,
+    mode,
+    status: "in-progress",
+    startedAt,
+    updatedAt: startedAt,
+    completedAt: null,
+    spaceKey,
+    parentPageId,
+    pages: {},
+  };
+}
+
+// Saves are chained so pages finishing at the same time never write the
+// temporary file concurrently
+let pendingSave = Promise.resolve();
+
+/**
+ * Save a journal to disk. The file is written to a temporary path first so a
+ * crash mid-write never leaves a truncated journal behind.
+ * @param {Object} journal - Journal object
+ */
+async function saveJournal(journal) {
+  if (!journal) return;
+
+  pendingSave = pendingSave.then(async () => {
+    try {
+      journal.updatedAt = new Date().toISOString();
+      const journalPath = getJournalPath(journal.runId);
+      const tempPath = `${journalPath}.tmp`;
+      await fs.ensureDir(JOURNAL_DIR);
+      await fs.writeJson(tempPath, journal, { spaces: 2 });
+      await fs.move(tempPath, journalPath, { overwrite: true });
+    } catch (error) {
+      logger.error(`Error saving run journal ${journal.runId}:`, error);
+    }
+  });
+  await pendingSave;
+}
+
+/**
+ * Load a journal by run ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} - Journal object or null if not found
+ */
+async function loadJournal(runId) {
+  const journalPath = getJournalPath(runId);
+  try {
+    if (await fs.pathExists(journalPath)) {
+      return await fs.readJson(journalPath);
+    }
+  } catch (error) {
+    logger.error(`Error reading run journal ${runId}:`, error);
+  }
+  return null;
+}
+
+/**
+ * List all journals, most recent first
+ * @returns {Promise<Array>} - List of journal objects
+ */
+async function listJournals() {
+  if (!(await fs.pathExists(JOURNAL_DIR))) {
+    return [];
+  }
+
+  const files = (await fs.readdir(JOURNAL_DIR)).filter((file) =>
+    file.endsWith(".json")
+  );
+  const journals = [];
+  for (const file of files) {
+    const journal = await loadJournal(path.basename(file, ".json"));
+    if (journal) {
+      journals.push(journal);
+    }
+  }
+
+  return journals.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Find the most recent migration run that did not complete
+ * @returns {Promise<Object|null>} - Journal object or null if none
+ */
+async function getResumableJournal() {
+  const journals = await listJournals();
+  return (
+    journals.find(
+      (journal) =>
+        journal.mode !== "sync" &&
+        journal.status !== "completed" &&
+        journal.status !== "rolled-back"
+    ) || null
+  );
+}
+
+/**
+ * Build an index of what was last pushed to Confluence for each wiki page,
+ * across all recorded runs against a space
+ * @param {string} spaceKey - Confluence space key
+ * @returns {Promise<Object>} - Map of wiki paths to their latest completed journal entry
+ */
+async function getLastPushedPages(spaceKey) {
+  const journals = await listJournals();
+  const pushedPages = {};
+
+  // Walk oldest first so newer runs overwrite older entries
+  for (const journal of journals.reverse()) {
+    // Pages a rolled back run pushed are gone or back to their old content
+    if (journal.spaceKey !== spaceKey || journal.status === "rolled-back") {
+      continue;
+    }
+
+    for (const [pagePath, entry] of Object.entries(journal.pages)) {
+      if (entry.stage === "complete" && entry.bodyHash) {
+        pushedPages[pagePath] = { ...entry, runId: journal.runId };
+      }
+    }
+  }
+
+  return pushedPages;
+}
+
+/**
+ * Get the journal entry for a wiki page
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @returns {Object|null} - Journal entry or null
+ */
+function getPageEntry(journal, pagePath) {
+  if (!journal || !pagePath) return null;
+  return journal.pages[pagePath] || null;
+}
+
+/**
+ * Record that a page stub exists in Confluence
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @param {Object} details - Page details
+ * @param {string} details.title - Confluence page title
+ * @param {string} details.pageId - Confluence page ID
+ * @param {string} details.parentId - Confluence parent page ID
+ */
+async function recordPageStub(journal, pagePath, { title, pageId, parentId }) {
+  if (!journal || !pagePath) return;
+
+  journal.pages[pagePath] = {
+    ...journal.pages[pagePath],
+    title,
+    pageId,
+    parentId,
+    stage: journal.pages[pagePath]?.stage || "stub",
+  };
+  await saveJournal(journal);
+}
+
+/**
+ * Record that a page's full content has been written to Confluence
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @param {Object} details - Page details
+ * @param {string} details.title - Confluence page title
+ * @param {string} details.pageId - Confluence page ID
+ * @param {string} details.contentHash - Hash of the source content
+ */
+async function recordPageComplete(
+  journal,
+  pagePath,
+  { title, pageId, contentHash }
+) {
+  if (!journal || !pagePath) return;
+
+  journal.pages[pagePath] = {
+    ...journal.pages[pagePath],
+    title,
+    pageId,
+    contentHash,
+    stage: "complete",
+    completedAt: new Date().toISOString(),
+  };
+  await saveJournal(journal);
+}
+
+/**
+ * Record the attachment upload result for a page. Saved together with the
+ * page's completion record, so this only updates the in-memory entry.
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @param {Object} result - Result returned by uploadAttachments
+ */
+function recordAttachments(journal, pagePath, result) {
+  if (!journal || !pagePath || !result) return;
+
+  const previous = journal.pages[pagePath]?.attachments;
+  journal.pages[pagePath] = {
+    ...journal.pages[pagePath],
+    attachments: {
+      status: result.failed.length > 0 ? "failed" : "uploaded",
+      uploaded: result.uploaded,
+      unchanged: result.unchanged,
+      failed: result.failed,
+      hashes: result.hashes,
+      // Kept across resumed attempts so a rollback finds every one of them
+      added: { ...previous?.added, ...result.added },
+    },
+  };
+}
+
+/**
+ * Record how a run first changed a page, so the change can be rolled back:
+ * either the run created the page, or the version the page had before the
+ * run's first update. Later changes by the same run are not recorded. Saved
+ * together with the page's stub or completion record.
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @param {Object} origin - {created: true} or {previousVersion: number}
+ */
+function recordPageOrigin(journal, pagePath, origin) {
+  if (!journal || !pagePath) return;
+
+  const entry = journal.pages[pagePath];
+  if (entry?.created || entry?.previousVersion) return;
+  journal.pages[pagePath] = { ...entry, ...origin };
+}
+
+/**
+ * Record the hash of the storage-format body pushed for a page. Saved
+ * together with the page's completion record.
+ * @param {Object} journal - Journal object
+ * @param {string} pagePath - Wiki path of the page
+ * @param {string} bodyHash - Hash of the storage-format HTML
+ */
+function recordPageBody(journal, pagePath, bodyHash) {
+  if (!journal || !pagePath) return;
+
+  journal.pages[pagePath] = {
+    ...journal.pages[pagePath],
+    bodyHash,
+  };
+}
+
+/**
+ * Mark a run as finished
+ * @param {Object} journal - Journal object
+ * @param {string} status - Final status ("completed" or "failed")
+ */
+async function finishJournal(journal, status) {
+  if (!journal) return;
+
+  journal.status = status;
+  journal.completedAt = new Date().toISOString();
+  await saveJournal(journal);
+  logger.info(`Run ${journal.runId} marked as ${status}`);
+}
+
+module.exports = {
+  hashContent,
+  getJournalPath,
+  createJournal,
+  saveJournal,
+  loadJournal,
+  listJournals,
+  getResumableJournal,
+  getLastPushedPages,
+  getPageEntry,
+  recordPageStub,
+  recordPageComplete,
+  recordAttachments,
+  recordPageOrigin,
+  recordPageBody,
+  finishJournal,
+};
@@ -0,0 +1,514 @@
+const fs = require("fs-extra");
+const { logger } = require("../utils");
+
+// HTML elements storage format accepts
+const ALLOWED_ELEMENTS = new Set([
+  "a", "abbr", "b", "big", "blockquote", "br", "caption", "cite", "code",
+  "col", "colgroup", "dd", "del", "dfn", "div", "dl", "dt", "em", "h1", "h2",
+  "h3", "h4", "h5", "h6", "hr", "i", "ins", "kbd", "li", "ol", "p", "pre",
+  "q", "s", "samp", "small", "span", "strike", "strong", "sub", "sup",
+  "table", "tbody", "td", "tfoot", "th", "thead", "time", "tr", "tt", "u",
+  "ul", "var",
+]);
+
+// Elements that never have content or a closing tag in HTML
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "param", "source", "track", "wbr",
+]);
+
+// Elements that are removed along with everything in them
+const DROPPED_ELEMENTS = new Set([
+  "area", "audio", "base", "button", "canvas", "embed", "form", "head",
+  "iframe", "link", "map", "math", "meta", "noscript", "object", "param",
+  "script", "select", "source", "style", "svg", "template", "textarea",
+  "title", "track", "video",
+]);
+
+// HTML elements without a storage format equivalent, whose content is kept
+const UNWRAPPED_ELEMENTS = new Set([
+  "address", "article", "aside", "bdi", "bdo", "body", "center", "data",
+  "details", "fieldset", "figcaption", "figure", "font", "footer", "header",
+  "hgroup", "html", "label", "legend", "main", "mark", "nav", "nobr",
+  "output", "picture", "rp", "rt", "ruby", "section", "summary",
+]);
+
+// Attributes kept on HTML elements; storage format macros keep all of theirs
+const GLOBAL_ATTRIBUTES = new Set(["class", "dir", "id", "lang", "style", "title"]);
+const ELEMENT_ATTRIBUTES = {
+  a: ["href", "name", "target"],
+  blockquote: ["cite"],
+  col: ["span", "width"],
+  colgroup: ["span", "width"],
+  del: ["cite", "datetime"],
+  ins: ["cite", "datetime"],
+  li: ["value"],
+  ol: ["start", "type"],
+  q: ["cite"],
+  table: ["border", "data-layout", "width"],
+  td: ["align", "colspan", "rowspan", "valign", "width"],
+  th: ["align", "colspan", "rowspan", "scope", "valign", "width"],
+  time: ["datetime"],
+};
+
+// Named HTML entities, which are not defined in XML, as code points
+const NAMED_ENTITIES = {
+  nbsp: 160, iexcl: 161, cent: 162, pound: 163, curren: 164, yen: 165,
+  brvbar: 166, sect: 167, uml: 168, copy: 169, ordf: 170, laquo: 171,
+  not: 172, shy: 173, reg: 174, macr: 175, deg: 176, plusmn: 177, sup2: 178,
+  sup3: 179, acute: 180, micro: 181, para: 182, middot: 183, cedil: 184,
+  sup1: 185, ordm: 186, raquo: 187, frac14: 188, frac12: 189, frac34: 190,
+  iquest: 191, Auml: 196, Ouml: 214, times: 215, Uuml: 220, szlig: 223,
+  agrave: 224, aacute: 225, acirc: 226, auml: 228, ccedil: 231, egrave: 232,
+  eacute: 233, ecirc: 234, iacute: 237, ntilde: 241, oacute: 243, ouml: 246,
+  divide: 247, uacute: 250, uuml: 252, alpha: 945, beta: 946, gamma: 947,
+  delta: 948, lambda: 955, mu: 956, pi: 960, sigma: 963, omega: 969,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, ndash: 8211,
+  mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220,
+  rdquo: 8221, bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226,
+  hellip: 8230, permil: 8240, prime: 8242, Prime: 8243, lsaquo: 8249,
+  rsaquo: 8250, euro: 8364, trade: 8482, larr: 8592, uarr: 8593, rarr: 8594,
+  darr: 8595, harr: 8596, lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659,
+  hArr: 8660, forall: 8704, exist: 8707, isin: 8712, minus: 8722,
+  infin: 8734, ne: 8800, equiv: 8801, le: 8804, ge: 8805, loz: 9674,
+  spades: 9824, clubs: 9827, hearts: 9829, diams: 9830,
+};
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+
+// Characters XML does not allow anywhere, not even escaped
+const INVALID_CHARACTERS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/;
+
+const TOKEN =
+  /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<![^>]*>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s"'=<>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|&(?:#\d+|#[xX][0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);|\]\]>|[<&]/g;
+const ATTRIBUTE =
+  /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const STRICT_TAG =
+  /^<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>$/;
+
+// Fixes made to each page, for the storage format fixes report
+const pageFixes = new Map();
+
+/**
+ * Check whether an element is part of storage format itself, such as a macro
+ * @param {string} name - Element name
+ * @returns {boolean} - True for ac:, ri: and at: elements
+ */
+function isStorageElement(name) {
+  return /^(ac|ri|at):/i.test(name);
+}
+
+/**
+ * Check whether a code point may appear in XML
+ * @param {number} codePoint - Code point
+ * @returns {boolean} - True if it is allowed
+ */
+function isValidCodePoint(codePoint) {
+  return (
+    codePoint === 0x9 ||
+    codePoint === 0xa ||
+    codePoint === 0xd ||
+    (codePoint >= 0x20 && codePoint <= 0xd7ff) ||
+    (codePoint >= 0xe000 && codePoint <= 0xfffd) ||
+    (codePoint >= 0x10000 && codePoint <= 0x10ffff)
+  );
+}
+
+/**
+ * Escape text for use in storage format
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Rewrite entities so they are valid XML: named HTML entities become
+ * character references, and a "&" that starts no known entity is escaped
+ * @param {string} text - Text or attribute value
+ * @param {Function} fix - Called with a description of each fix made
+ * @returns {string} - Text with valid entities only
+ */
+function normalizeEntities(text, fix) {
+  return text.replace(
+    /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));|&/g,
+    (match, decimal, hex, name) => {
+      if (decimal || hex) {
+        const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+        if (isValidCodePoint(codePoint)) return match;
+        fix(`removed invalid character reference ${match}`);
+        return "";
+      }
+      if (name && XML_ENTITIES.has(name)) return match;
+      if (name && NAMED_ENTITIES[name]) return `&#${NAMED_ENTITIES[name]};`;
+
+      fix(name ? `escaped unknown entity ${match}` : 'escaped stray "&"');
+      return `&amp;${match.slice(1)}`;
+    }
+  );
+}
+
+/**
+ * Rebuild the attributes of a tag: values are quoted and escaped, and HTML
+ * elements only keep the attributes storage format knows
+ * @param {string} name - Element name, lower case for HTML elements
+ * @param {string} source - Attribute text of the tag
+ * @param {Function} fix - Called with a description of each fix made
+ * @returns {string} - Attribute text, starting with a space unless empty
+ */
+function sanitizeAttributes(name, source, fix) {
+  const allowed = new Set([...GLOBAL_ATTRIBUTES, ...(ELEMENT_ATTRIBUTES[name] || [])]);
+  let attributes = "";
+
+  for (const [text, attribute, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE)) {
+    const attributeName = isStorageElement(name) ? attribute : attribute.toLowerCase();
+    const value = doubleQuoted ?? singleQuoted ?? unquoted;
+
+    if (!isStorageElement(name) && !allowed.has(attributeName)) {
+      fix(`removed ${attributeName} attribute from <${name}>`);
+      continue;
+    }
+    if (value === undefined) {
+      fix(`removed ${attributeName} attribute without a value from <${name}>`);
+      continue;
+    }
+    if (/^\s*(javascript|vbscript|data):/i.test(value)) {
+      fix(`removed script link from <${name}>`);
+      continue;
+    }
+    if (!text.includes('"')) {
+      fix(`quoted attributes of <${name}>`);
+    }
+
+    const escaped = normalizeEntities(value, fix)
+      .replace(/</g, "&lt;")
+      .replace(/"/g, "&quot;");
+    attributes += ` ${attributeName}="${escaped}"`;
+  }
+
+  return attributes;
+}
+
+/**
+ * Turn an HTML image left after conversion into an image macro
+ * @param {string} source - Attribute text of the img tag
+ * @returns {string} - Image macro, or an empty string for an image without a source
+ */
+function convertImageTag(source) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE)) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? unquoted ?? "";
+  }
+  const src = (attributes.src || "").trim();
+  if (!src) return "";
+
+  // A literal % in a file name is not an escape
+  let fileName = src.split("/").pop();
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch (error) {
+    // Keep the name as it is written
+  }
+
+  const alt = attributes.alt ? ` ac:alt="${escapeXml(attributes.alt)}"` : "";
+  const resource = /^https?:\/\//i.test(src)
+    ? `<ri:url ri:value="${escapeXml(src)}" />`
+    : `<ri:attachment ri:filename="${escapeXml(fileName)}" />`;
+  return `<ac:image${alt}>${resource}</ac:image>`;
+}
+
+/**
+ * Rewrite converted HTML into storage format Confluence accepts: void
+ * elements are closed, tags left open are closed and stray closing tags
+ * dropped, unsupported elements and attributes are removed or escaped, and
+ * entities are made valid XML. Markup in CDATA sections is left alone.
+ * @param {string} html - Converted HTML
+ * @returns {{html: string, fixes: Object<string, number>}} - Storage format, and how often each fix was made
+ */
+function sanitizeStorageFormat(html) {
+  const fixes = {};
+  const fix = (description) => {
+    fixes[description] = (fixes[description] || 0) + 1;
+  };
+
+  let source = String(html);
+  if (INVALID_CHARACTERS.test(source)) {
+    fix("removed characters XML does not allow");
+    source = source.replace(new RegExp(INVALID_CHARACTERS.source, "g"), "");
+  }
+
+  const openElements = [];
+  const token = new RegExp(TOKEN.source, "g");
+  let output = "";
+  let position = 0;
+  let match;
+
+  while ((match = token.exec(source)) !== null) {
+    output += normalizeEntities(source.slice(position, match.index), fix);
+    position = token.lastIndex;
+
+    const [text, closing, rawName, attributeSource, selfClosing] = match;
+    if (!rawName) {
+      if (text.startsWith("<![CDATA[")) {
+        output += text;
+      } else if (text.startsWith("<!")) {
+        fix(text.startsWith("<!--") ? "removed HTML comments" : "removed declarations");
+      } else if (text === "]]>") {
+        fix('escaped stray "]]>"');
+        output += "]]&gt;";
+      } else if (text === "<") {
+        fix('escaped stray "<"');
+        output += "&lt;";
+      } else {
+        output += normalizeEntities(text, fix);
+      }
+      continue;
+    }
+
+    const name = isStorageElement(rawName) ? rawName : rawName.toLowerCase();
+
+    if (DROPPED_ELEMENTS.has(name)) {
+      if (closing) continue;
+      fix(`removed <${name}> and its content`);
+      // Skip to the end of the element, if it has one
+      const end = new RegExp(`</${name}\\s*>`, "ig");
+      end.lastIndex = token.lastIndex;
+      if (!selfClosing && !VOID_ELEMENTS.has(name) && end.test(source)) {
+        position = token.lastIndex = end.lastIndex;
+      }
+      continue;
+    }
+
+    if (UNWRAPPED_ELEMENTS.has(name)) {
+      if (!closing) fix(`removed <${name}> and kept its content`);
+      continue;
+    }
+
+    if (name === "img") {
+      if (closing) continue;
+      fix("converted <img> to an image macro");
+      output += convertImageTag(attributeSource);
+      continue;
+    }
+
+    if (name === "input") {
+      if (closing) continue;
+      // Task list items from marked start with a checkbox
+      if (/type\s*=\s*["']?checkbox/i.test(attributeSource)) {
+        fix("replaced checkboxes with symbols");
+        output += /\schecked\b/i.test(attributeSource) ? "&#9745;" : "&#9744;";
+      } else {
+        fix("removed <input>");
+      }
+      continue;
+    }
+
+    if (!ALLOWED_ELEMENTS.has(name) && !isStorageElement(name)) {
+      fix(`escaped unsupported <${name}>`);
+      output += escapeXml(text);
+      continue;
+    }
+
+    if (closing) {
+      if (VOID_ELEMENTS.has(name)) {
+        fix(`removed closing tag of <${name}>`);
+        continue;
+      }
+      const index = openElements.lastIndexOf(name);
+      if (index === -1) {
+        fix(`removed stray </${name}>`);
+        continue;
+      }
+      // Elements opened inside this one and never closed end with it
+      while (openElements.length > index) {
+        const open = openElements.pop();
+        if (open !== name) fix(`closed <${open}> left open`);
+        output += `</${open}>`;
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(name, attributeSource, fix);
+    if (VOID_ELEMENTS.has(name)) {
+      if (!selfClosing) fix(`closed <${name}>`);
+      output += `<${name}${attributes} />`;
+    } else if (selfClosing) {
+      output += `<${name}${attributes} />`;
+    } else {
+      output += `<${name}${attributes}>`;
+      openElements.push(name);
+    }
+  }
+  output += normalizeEntities(source.slice(position), fix);
+
+  while (openElements.length > 0) {
+    const open = openElements.pop();
+    fix(`closed <${open}> left open`);
+    output += `</${open}>`;
+  }
+
+  return { html: output, fixes };
+}
+
+/**
+ * Check storage format against the rules Confluence enforces: well-formed
+ * XML with quoted attributes and valid entities, using only elements storage
+ * format supports
+ * @param {string} markup - Storage format
+ * @returns {Array<string>} - Problems found, empty when the markup is valid
+ */
+function validateStorageFormat(markup) {
+  const errors = [];
+  const openElements = [];
+  const token = new RegExp(TOKEN.source, "g");
+  let match;
+
+  if (INVALID_CHARACTERS.test(markup)) {
+    errors.push("contains characters XML does not allow");
+  }
+
+  while ((match = token.exec(markup)) !== null) {
+    const [text, , rawName] = match;
+    if (text.startsWith("<!")) {
+      if (!text.startsWith("<![CDATA[")) errors.push(`unexpected ${text.slice(0, 20)}`);
+      continue;
+    }
+    if (text === "<" || text === "&" || text === "]]>") {
+      errors.push(`stray "${text}"`);
+      continue;
+    }
+    if (!rawName) {
+      const name = text.slice(1, -1);
+      const reference = name.match(/^#(\d+)$|^#[xX]([0-9a-fA-F]+)$/);
+      if (
+        reference
+          ? !isValidCodePoint(parseInt(reference[1] || reference[2], reference[1] ? 10 : 16))
+          : !XML_ENTITIES.has(name) && !NAMED_ENTITIES[name]
+      ) {
+        errors.push(`invalid entity ${text}`);
+      }
+      continue;
+    }
+
+    const strict = text.match(STRICT_TAG);
+    if (!strict) {
+      errors.push(`malformed tag ${text.slice(0, 40)}`);
+      continue;
+    }
+    const [, closing, name, attributes, selfClosing] = strict;
+    if (!ALLOWED_ELEMENTS.has(name) && !isStorageElement(name)) {
+      errors.push(`unsupported element <${name}>`);
+    }
+    if (/&(?!(?:#\d+|#[xX][0-9a-fA-F]+|[A-Za-z]\w*);)/.test(attributes)) {
+      errors.push(`unescaped "&" in <${name}> attributes`);
+    }
+    if (closing) {
+      const open = openElements.pop();
+      if (open !== name) {
+        errors.push(`</${name}> closes ${open ? `<${open}>` : "nothing"}`);
+        if (open) openElements.push(open);
+      }
+    } else if (!selfClosing) {
+      if (VOID_ELEMENTS.has(name)) errors.push(`<${name}> is not closed`);
+      openElements.push(name);
+    }
+  }
+
+  openElements.forEach((name) => errors.push(`<${name}> is never closed`));
+  return errors;
+}
+
+/**
+ * Render a page whose storage format could not be fixed as its markdown
+ * source, under a warning, so the page is still written
+ * @param {string} markdown - Markdown source of the page
+ * @param {string} reason - Why the page fell back
+ * @returns {string} - Storage format
+ */
+function createFallbackContent(markdown, reason) {
+  const source = String(markdown || "").replace(
+    new RegExp(INVALID_CHARACTERS.source, "g"),
+    ""
+  );
+  return [
+    '<ac:structured-macro ac:name="warning" ac:schema-version="1">',
+    '<ac:parameter ac:name="title">This page could not be converted</ac:parameter>',
+    `<ac:rich-text-body><p>${escapeXml(reason)}</p><p>The original markdown is shown below.</p></ac:rich-text-body>`,
+    "</ac:structured-macro>",
+    '<ac:structured-macro ac:name="noformat" ac:schema-version="1">',
+    `<ac:plain-text-body><![CDATA[${source.replace(/]]>/g, "]]]]><![CDATA[>")}]]></ac:plain-text-body>`,
+    "</ac:structured-macro>",
+  ].join("");
+}
+
+/**
+ * Sanitize and validate the storage format of a page before it is written,
+ * logging and recording the fixes made. A page that still does not validate
+ * falls back to its markdown source instead of being rejected by Confluence.
+ * @param {string} html - Converted HTML
+ * @param {string} markdown - Markdown source of the page
+ * @param {string} pagePath - Path of the page, for the log and report
+ * @returns {string} - Storage format
+ */
+function prepareStorageFormat(html, markdown, pagePath) {
+  const { html: sanitized, fixes } = sanitizeStorageFormat(html);
+  const errors = validateStorageFormat(sanitized);
+
+  const descriptions = Object.entries(fixes).map(([description, count]) =>
+    count > 1 ? `${description} (${count}x)` : description
+  );
+  if (descriptions.length > 0) {
+    logger.warn(`Fixed storage format of ${pagePath}: ${descriptions.join(", ")}`);
+  }
+  if (descriptions.length > 0 || errors.length > 0) {
+    pageFixes.set(pagePath, { fixes, errors, fallback: errors.length > 0 });
+  }
+
+  if (errors.length > 0) {
+    logger.error(
+      `Storage format of ${pagePath} is still invalid (${errors.slice(0, 3).join("; ")}), writing the markdown source instead`
+    );
+    return createFallbackContent(markdown, `Invalid storage format: ${errors[0]}`);
+  }
+  return sanitized;
+}
+
+/**
+ * Write the storage format fixes report, listing every page whose converted
+ * content had to be fixed and the pages that fell back to their markdown
+ * source. A report left by an earlier run is removed when no page needed
+ * fixing.
+ * @param {string} [filePath] - Report file
+ * @returns {Promise<void>}
+ */
+async function writeStorageFixesReport(filePath = "storage-fixes.json") {
+  if (pageFixes.size === 0) {
+    await fs.remove(filePath);
+    return;
+  }
+
+  const pages = [...pageFixes.entries()]
+    .map(([page, result]) => ({ page, ...result }))
+    .sort((a, b) => a.page.localeCompare(b.page));
+  await fs.writeJson(filePath, pages, { spaces: 2 });
+
+  const fallbacks = pages.filter((page) => page.fallback).length;
+  logger.warn(
+    `The storage format of ${pages.length} pages was fixed${
+      fallbacks > 0 ? ` and ${fallbacks} fell back to their markdown source` : ""
+    }, see ${filePath}`
+  );
+}
+
+module.exports = {
+  escapeXml,
+  sanitizeStorageFormat,
+  validateStorageFormat,
+  createFallbackContent,
+  prepareStorageFormat,
+  writeStorageFixesReport,
+};
@@ -0,0 +1,424 @@
+const { countPages, logger } = require("../utils");
+const { convertMarkdownToConfluenceHtml } = require("./markdownConverter");
+const {
+  uploadAttachments,
+  createAttachmentResult,
+  addAttachmentResult,
+} = require("./attachmentOperations");
+const {
+  getPageByTitle,
+  createPage,
+  updatePage,
+  reorderSiblings,
+  addPageLabels,
+} = require("./pageOperations");
+const { createPagePropertiesMacro } = require("./frontMatter");
+const { getConfig } = require("./config");
+const {
+  hashContent,
+  getPageEntry,
+  recordPageStub,
+  recordPageComplete,
+  recordPageOrigin,
+  recordAttachments,
+  recordPageBody,
+} = require("./runJournal");
+const { createWorkerPool } = require("./workerPool");
+
+const config = getConfig();
+
+/**
+ * Sync wiki pages to Confluence, pushing only the pages and attachments that
+ * changed since they were last pushed
+ * @param {Object} wikiStructure - Wiki structure
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} spaceKey - Confluence space key
+ * @param {string} parentPageId - Parent page ID
+ * @param {Object} attachmentMappings - Attachment mappings
+ * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} pushedPages - Last pushed journal entry for each wiki path
+ * @param {Object} journal - Run journal for this sync
+ * @param {number} [concurrency] - Number of pages to process at the same time
+ * @returns {Promise<Object>} - Sync report
+ */
+async function syncConfluencePages(
+  wikiStructure,
+  confluenceClient,
+  spaceKey,
+  parentPageId,
+  attachmentMappings,
+  pageFixes,
+  pushedPages,
+  journal,
+  concurrency = 1
+) {
+  const report = {
+    created: [],
+    updated: [],
+    unchanged: [],
+    orphaned: [],
+    failed: [],
+    attachments: { uploaded: 0, unchanged: 0, failed: 0 },
+  };
+  const pageIdMap = {};
+  const pool = createWorkerPool(concurrency);
+
+  logger.info(
+    `Syncing ${countPages(wikiStructure.pages)} pages with ${pool.concurrency} workers...`
+  );
+
+  // Resolve every page ID first so links between pages can be converted
+  await resolvePages(
+    wikiStructure.pages,
+    confluenceClient,
+    spaceKey,
+    parentPageId,
+    pageIdMap,
+    pageFixes,
+    pushedPages,
+    journal,
+    report,
+    pool
+  );
+
+  await syncPages(
+    wikiStructure.pages,
+    confluenceClient,
+    spaceKey,
+    attachmentMappings,
+    pageIdMap,
+    pushedPages,
+    journal,
+    report,
+    pool
+  );
+
+  report.orphaned = findOrphanedPages(wikiStructure.pages, pushedPages);
+
+  return report;
+}
+
+/**
+ * Find or create the Confluence page for each wiki page, keeping siblings in
+ * wiki order. Siblings are resolved in parallel, children once their parent
+ * exists.
+ * @param {Array} pages - List of pages to resolve
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} spaceKey - Confluence space key
+ * @param {string} parentPageId - Parent page ID
+ * @param {Object} pageIdMap - Map of page titles to their IDs
+ * @param {Object} pageFixes - Map of original titles to fixed titles
+ * @param {Object} pushedPages - Last pushed journal entry for each wiki path
+ * @param {Object} journal - Run journal for this sync
+ * @param {Object} report - Sync report
+ * @param {Object} pool - Worker pool limiting how many pages are processed at once
+ * @returns {Promise<void>}
+ */
+async function resolvePages(
+  pages,
+  confluenceClient,
+  spaceKey,
+  parentPageId,
+  pageIdMap,
+  pageFixes,
+  pushedPages,
+  journal,
+  report,
+  pool
+) {
+  const siblingIds = await Promise.all(
+    pages.map(async (page) => {
+      const pageTitle = pageFixes[page.title] || page.title;
+      let pageId;
+
+      try {
+        pageId = await pool.run(async () => {
+          let resolvedPageId = pushedPages[page.path]?.pageId;
+
+          if (!resolvedPageId) {
+            const existingPage = await getPageByTitle(
+              confluenceClient,
+              spaceKey,
+              pageTitle
+            );
+            resolvedPageId = existingPage?.id;
+          }
+
+          if (!resolvedPageId) {
+            resolvedPageId = await createPage(
+              confluenceClient,
+              parentPageId,
+              pageTitle,
+              "<p>This page is being migrated from Azure DevOps Wiki.</p>",
+              spaceKey
+            );
+            recordPageOrigin(journal, page.path, { created: true });
+            report.created.push({
+              path: page.path,
+              title: pageTitle,
+              pageId: resolvedPageId,
+            });
+          }
+          return resolvedPageId;
+        });
+
+        pageIdMap[pageTitle] = pageId;
+        await recordPageStub(journal, page.path, {
+          title: pageTitle,
+          pageId,
+          parentId: parentPageId,
+        });
+      } catch (error) {
+        logger.error(`Error resolving page "${pageTitle}":`, error);
+        report.failed.push({
+          path: page.path,
+          title: pageTitle,
+          error: error.message,
+        });
+        // Children cannot be placed without their parent
+        return null;
+      }
+
+      if (page.children && page.children.length > 0) {
+        await resolvePages(
+          page.children,
+          confluenceClient,
+          spaceKey,
+          pageId,
+          pageIdMap,
+          pageFixes,
+          pushedPages,
+          journal,
+          report,
+          pool
+        );
+      }
+      return pageId;
+    })
+  );
+
+  await pool.run(() =>
+    reorderSiblings(confluenceClient, parentPageId, siblingIds)
+  );
+}
+
+/**
+ * Render each page and push the pages whose storage-format body changed
+ * @param {Array} pages - List of pages to sync
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} spaceKey - Confluence space key
+ * @param {Object} attachmentMappings - Attachment mappings
+ * @param {Object} pageIdMap - Map of page titles to their IDs
+ * @param {Object} pushedPages - Last pushed journal entry for each wiki path
+ * @param {Object} journal - Run journal for this sync
+ * @param {Object} report - Sync report
+ * @param {Object} pool - Worker pool limiting how many pages are processed at once
+ * @returns {Promise<void>}
+ */
+async function syncPages(
+  pages,
+  confluenceClient,
+  spaceKey,
+  attachmentMappings,
+  pageIdMap,
+  pushedPages,
+  journal,
+  report,
+  pool
+) {
+  // Every page exists by now, so all of them can be synced in parallel
+  await Promise.all(
+    pages.map(async (page) => {
+      const entry = getPageEntry(journal, page.path);
+      if (entry?.pageId) {
+        try {
+          await pool.run(() =>
+            syncPage(
+              page,
+              entry,
+              confluenceClient,
+              spaceKey,
+              attachmentMappings,
+              pageIdMap,
+              pushedPages,
+              journal,
+              report
+            )
+          );
+        } catch (error) {
+          logger.error(`Error syncing page "${entry.title}":`, error);
+          report.failed.push({
+            path: page.path,
+            title: entry.title,
+            error: error.message,
+          });
+        }
+      }
+      // Otherwise resolving this page failed, it is already in the report
+
+      if (page.children && page.children.length > 0) {
+        await syncPages(
+          page.children,
+          confluenceClient,
+          spaceKey,
+          attachmentMappings,
+          pageIdMap,
+          pushedPages,
+          journal,
+          report,
+          pool
+        );
+      }
+    })
+  );
+}
+
+/**
+ * Push a single page if its storage-format body changed. Errors are left to
+ * the caller, so rate-limited pages can be retried by the worker pool.
+ * @param {Object} page - Wiki page
+ * @param {Object} entry - Journal entry of the page for this sync
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} spaceKey - Confluence space key
+ * @param {Object} attachmentMappings - Attachment mappings
+ * @param {Object} pageIdMap - Map of page titles to their IDs
+ * @param {Object} pushedPages - Last pushed journal entry for each wiki path
+ * @param {Object} journal - Run journal for this sync
+ * @param {Object} report - Sync report
+ * @returns {Promise<void>}
+ */
+async function syncPage(
+  page,
+  entry,
+  confluenceClient,
+  spaceKey,
+  attachmentMappings,
+  pageIdMap,
+  pushedPages,
+  journal,
+  report
+) {
+  const pageTitle = entry.title;
+  const pageId = entry.pageId;
+  const pushed = pushedPages[page.path];
+
+  // Attachments first, so the converted body can reference them
+  const previousHashes = pushed?.attachments?.hashes || {};
+  const attachmentResult = createAttachmentResult();
+  if (attachmentMappings && Object.keys(attachmentMappings).length > 0) {
+    addAttachmentResult(
+      attachmentResult,
+      await uploadAttachments(
+        confluenceClient,
+        pageId,
+        page.path,
+        attachmentMappings,
+        previousHashes
+      )
+    );
+  }
+
+  // Mermaid diagrams are rendered and attached while converting
+  const convertedContent = await convertMarkdownToConfluenceHtml(
+    page.content,
+    attachmentMappings,
+    page.path,
+    confluenceClient,
+    pageId,
+    pageIdMap,
+    {
+      deployment: config.confluence.deployment,
+      previousHashes,
+      attachments: attachmentResult,
+    }
+  );
+  recordAttachments(journal, page.path, attachmentResult);
+  report.attachments.uploaded += attachmentResult.uploaded.length;
+  report.attachments.unchanged += attachmentResult.unchanged.length;
+  report.attachments.failed += attachmentResult.failed.length;
+
+  // Page properties from the front matter go at the top
+  const htmlContent =
+    createPagePropertiesMacro(page.properties) + convertedContent;
+  const bodyHash = hashContent(htmlContent);
+  recordPageBody(journal, page.path, bodyHash);
+
+  const isCreated = report.created.some(
+    (created) => created.path === page.path
+  );
+
+  if (!isCreated && isPageUnchanged(pageTitle, bodyHash, pushed)) {
+    logger.info(`Page "${pageTitle}" is unchanged, skipping update`);
+    report.unchanged.push({ path: page.path, title: pageTitle, pageId });
+  } else {
+    await updatePage(
+      confluenceClient,
+      pageId,
+      pageTitle,
+      htmlContent,
+      spaceKey,
+      journal,
+      page.path
+    );
+    if (!isCreated) {
+      report.updated.push({ path: page.path, title: pageTitle, pageId });
+    }
+  }
+
+  // Labels are not part of the body, so they are added even when it is unchanged
+  await addPageLabels(confluenceClient, pageId, page.labels);
+
+  await recordPageComplete(journal, page.path, {
+    title: pageTitle,
+    pageId,
+    contentHash: hashContent(page.content),
+  });
+}
+
+/**
+ * Check whether a page's rendered body matches the one pushed last. Without
+ * a recorded hash the page counts as changed: Confluence normalizes storage
+ * format when it saves a page, so the live body never hashes the same.
+ * @param {string} title - Page title
+ * @param {string} bodyHash - Hash of the rendered storage-format HTML
+ * @param {Object} [pushed] - Last pushed journal entry for the page
+ * @returns {boolean} - True if the page does not need an update
+ */
+function isPageUnchanged(title, bodyHash, pushed) {
+  return (
+    Boolean(pushed?.bodyHash) &&
+    pushed.bodyHash === bodyHash &&
+    pushed.title === title
+  );
+}
+
+/**
+ * Find pages that were pushed before but no longer exist in the wiki
+ * @param {Array} pages - Current wiki pages
+ * @param {Object} pushedPages - Last pushed journal entry for each wiki path
+ * @returns {Array} - List of orphaned pages
+ */
+function findOrphanedPages(pages, pushedPages) {
+  const currentPaths = new Set();
+  const collectPaths = (list) => {
+    for (const page of list) {
+      currentPaths.add(page.path);
+      if (page.children && page.children.length > 0) {
+        collectPaths(page.children);
+      }
+    }
+  };
+  collectPaths(pages);
+
+  return Object.entries(pushedPages)
+    .filter(([pagePath]) => !currentPaths.has(pagePath))
+    .map(([pagePath, entry]) => ({
+      path: pagePath,
+      title: entry.title,
+      pageId: entry.pageId,
+    }));
+}
+
+module.exports = {
+  syncConfluencePages,
+};
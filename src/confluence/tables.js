@@ -0,0 +1,95 @@
+/**
+ * Split a row of a markdown table into its cells the way GFM does, on every
+ * pipe that is not escaped, leaving out the pipes at either end
+ * @param {string} line - Table row from the markdown source
+ * @returns {Array<string>} - Cell sources, untrimmed
+ */
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/);
+}
+
+/**
+ * Find which header cells span several columns. As in MultiMarkdown, a
+ * header cell followed by pipes with nothing between them, as in
+ * `| Q1 || Q2 ||`, takes in the columns of those empty cells.
+ * @param {Object} token - marked table token
+ * @returns {Array<{index: number, span: number}>} - Header cells to write, with the column they start at and how many they span
+ */
+function getHeaderSpans(token) {
+  const cells = splitRow(token.raw.split("\n")[0]);
+  if (cells.length !== token.header.length) {
+    return token.header.map((cell, index) => ({ index, span: 1 }));
+  }
+
+  const spans = [];
+  cells.forEach((cell, index) => {
+    if (cell === "" && spans.length > 0) {
+      spans[spans.length - 1].span++;
+    } else {
+      spans.push({ index, span: 1 });
+    }
+  });
+  return spans;
+}
+
+/**
+ * Get the layout of a table. Tables with at least FULL_WIDTH_TABLE_COLUMNS
+ * columns use the full page width on Confluence Cloud; others keep the
+ * default width.
+ * @param {number} columns - Number of columns
+ * @returns {string|null} - "full-width", or null for the default layout
+ */
+function getTableLayout(columns) {
+  const threshold = parseInt(process.env.FULL_WIDTH_TABLE_COLUMNS, 10);
+  return threshold > 0 && columns >= threshold ? "full-width" : null;
+}
+
+/**
+ * Create a table cell the way the Confluence editor writes it, with its
+ * content in a paragraph that carries the column alignment
+ * @param {string} tag - "th" or "td"
+ * @param {string} content - Cell content, as storage format
+ * @param {string|null} align - left, center, right, or null
+ * @param {number} [span] - Number of columns the cell spans
+ * @returns {string} - Storage format cell
+ */
+function createCell(tag, content, align, span = 1) {
+  const colspan = span > 1 ? ` colspan="${span}"` : "";
+  const style = align ? ` style="text-align: ${align};"` : "";
+  return `<${tag}${colspan}><p${style}>${content}</p></${tag}>`;
+}
+
+/**
+ * Create the storage format for a markdown table: a header row of <th>
+ * cells, merged where the header says so, then a row of <td> cells for each
+ * table row, all aligned like their column
+ * @param {Object} token - marked table token
+ * @param {Function} renderInline - Renders the inline tokens of a cell to storage format
+ * @returns {string} - Storage format table
+ */
+function createTableMarkup(token, renderInline) {
+  const header = getHeaderSpans(token)
+    .map(({ index, span }) =>
+      createCell("th", renderInline(token.header[index].tokens), token.align[index], span)
+    )
+    .join("");
+  const rows = token.rows.map(
+    (row) =>
+      `<tr>${row
+        .map((cell, index) => createCell("td", renderInline(cell.tokens), token.align[index]))
+        .join("")}</tr>\n`
+  );
+
+  const layout = getTableLayout(token.header.length);
+  return `<table${layout ? ` data-layout="${layout}"` : ""}>\n<tbody>\n<tr>${header}</tr>\n${rows.join("")}</tbody>\n</table>\n`;
+}
+
+module.exports = {
+  getHeaderSpans,
+  getTableLayout,
+  createTableMarkup,
+};
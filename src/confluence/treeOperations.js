@@ -0,0 +1,205 @@
+const { logger } = require("../utils");
+const { getConfig } = require("./config");
+const { listJournals } = require("./runJournal");
+
+const config = getConfig();
+
+/**
+ * Collect a page and everything below it, walking the child listings depth
+ * first. Pages come back children first, in the order they can be deleted.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - ID of the page at the top of the subtree
+ * @returns {Promise<Array>} - Pages as {id, title, parentId, depth}, the top page last
+ */
+async function collectPageTree(confluenceClient, pageId) {
+  const root = await confluenceClient.getPageById(pageId, { expand: "version" });
+  const pages = [];
+
+  const visit = async (page, parentId, depth) => {
+    for await (const child of confluenceClient.iterateChildPages(page.id)) {
+      await visit(child, String(page.id), depth + 1);
+    }
+    pages.push({ id: String(page.id), title: page.title, parentId, depth });
+  };
+  await visit(root, null, 0);
+
+  return pages;
+}
+
+/**
+ * Find the pages in a subtree that this tool did not create. A page counts as
+ * created by the tool when a run journal recorded creating it, or when it
+ * carries the run label.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Array} pages - Pages returned by collectPageTree
+ * @returns {Promise<Array>} - Pages the tool has no record of creating
+ * @throws {Error} - If the labels of a page cannot be read
+ */
+async function findForeignPages(confluenceClient, pages) {
+  const createdIds = new Set();
+  for (const journal of await listJournals()) {
+    if (journal.status === "rolled-back") continue;
+    Object.values(journal.pages)
+      .filter((entry) => entry.created && entry.pageId)
+      .forEach((entry) => createdIds.add(String(entry.pageId)));
+  }
+
+  // A failed label lookup is an error, not a page without the run label
+  const runLabel = config.autoLabels.runLabel;
+  const foreign = [];
+  for (const page of pages.filter((item) => !createdIds.has(item.id))) {
+    const labels = runLabel ? await confluenceClient.getLabels(page.id) : [];
+    if (!labels.includes(runLabel)) {
+      foreign.push(page);
+    }
+  }
+  return foreign;
+}
+
+/**
+ * Refuse to go on when a subtree holds pages the tool did not create
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {Array} pages - Pages returned by collectPageTree
+ * @param {string} action - What was about to happen, for the error message
+ * @param {boolean} force - Go on anyway
+ * @throws {Error} - If there are such pages and force is not set
+ */
+async function guardForeignPages(confluenceClient, pages, action, force) {
+  const foreign = await findForeignPages(confluenceClient, pages);
+  if (foreign.length === 0) return;
+
+  const titles = foreign
+    .slice(0, 10)
+    .map((page) => `"${page.title}" (${page.id})`)
+    .join(", ");
+  const more = foreign.length > 10 ? ` and ${foreign.length - 10} more` : "";
+  if (!force) {
+    throw new Error(
+      `Refusing to ${action} ${foreign.length} pages that were not created by this tool: ${titles}${more}. Use --force to ${action} them anyway.`
+    );
+  }
+  logger.warn(
+    `Going on with ${foreign.length} pages that were not created by this tool: ${titles}${more}`
+  );
+}
+
+/**
+ * Render a subtree as an indented list, top page first
+ * @param {Array} pages - Pages returned by collectPageTree
+ * @param {string} verb - Action shown in front of each page
+ * @returns {string} - Plain-text listing
+ */
+function formatPageTree(pages, verb) {
+  // Deletion order is children first, which reads upside down
+  const byParent = new Map();
+  pages.forEach((page) => {
+    const siblings = byParent.get(page.parentId) || [];
+    siblings.push(page);
+    byParent.set(page.parentId, siblings);
+  });
+
+  const lines = [];
+  const print = (page) => {
+    lines.push(`  ${verb}  ${"  ".repeat(page.depth)}${page.title} (ID: ${page.id})`);
+    (byParent.get(page.id) || []).forEach(print);
+  };
+  (byParent.get(null) || []).forEach(print);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Delete a page and everything below it, leaf pages first so no child is
+ * moved up to the parent of a page that is deleted before it. Deleted pages go
+ * to the space trash, unless they are purged from it as well.
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - ID of the page at the top of the subtree
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.dryRun] - Only list what would be deleted
+ * @param {boolean} [options.purge] - Purge the pages from the trash too
+ * @param {boolean} [options.force] - Delete pages the tool did not create
+ * @param {Function} [options.confirm] - Called with the listing, resolves to false to cancel
+ * @returns {Promise<Object|null>} - Report: {pages, deleted, purged, failed}, or null if cancelled
+ */
+async function deletePageTree(confluenceClient, pageId, options = {}) {
+  const pages = await collectPageTree(confluenceClient, pageId);
+  await guardForeignPages(confluenceClient, pages, "delete", options.force);
+
+  const verb = options.purge ? "PURGE " : "DELETE";
+  const preview = `Pages to delete: ${pages.length}\n${formatPageTree(pages, verb)}`;
+  console.log(`\n${preview}`);
+
+  const report = { pages: pages.length, deleted: [], purged: [], failed: [] };
+  if (options.dryRun) {
+    logger.info("Dry run - no changes were made to Confluence");
+    return report;
+  }
+  if (options.confirm && !(await options.confirm(preview))) {
+    logger.info("Delete cancelled - no changes were made to Confluence");
+    return null;
+  }
+
+  for (const page of pages) {
+    try {
+      await confluenceClient.deletePage(page.id);
+      report.deleted.push(page);
+      logger.info(`Deleted page ${page.title} (${page.id})`);
+
+      if (options.purge) {
+        await confluenceClient.purgePage(page.id);
+        report.purged.push(page);
+        logger.info(`Purged page ${page.title} (${page.id}) from the trash`);
+      }
+    } catch (error) {
+      logger.error(`Could not delete page ${page.title} (${page.id}): ${error.message}`);
+      report.failed.push({ page, error: error.message });
+    }
+  }
+
+  logger.info("Delete summary:");
+  logger.info(`- Pages found: ${report.pages}`);
+  logger.info(`- Pages deleted: ${report.deleted.length}`);
+  if (options.purge) {
+    logger.info(`- Pages purged: ${report.purged.length}`);
+  }
+  logger.info(`- Failed: ${report.failed.length}`);
+  return report;
+}
+
+/**
+ * Move a page, and everything below it, to the end of another parent's
+ * children
+ * @param {Object} confluenceClient - Confluence API client
+ * @param {string} pageId - ID of the page to move
+ * @param {string} parentId - ID of the new parent page
+ * @param {Object} [options] - Move options
+ * @param {boolean} [options.force] - Move pages the tool did not create
+ * @returns {Promise<Object>} - Result: {page, pages} with the number of pages moved
+ */
+async function movePageTree(confluenceClient, pageId, parentId, options = {}) {
+  const pages = await collectPageTree(confluenceClient, pageId);
+  if (pages.some((page) => page.id === String(parentId))) {
+    throw new Error(
+      `Cannot move page ${pageId} under itself or one of its own child pages`
+    );
+  }
+  await guardForeignPages(confluenceClient, pages, "move", options.force);
+
+  const parent = await confluenceClient.getPageById(parentId);
+
+  // Confluence moves the whole subtree along with the page
+  await confluenceClient.movePage(pageId, "append", parentId);
+  const page = await confluenceClient.getPageById(pageId);
+
+  logger.info(
+    `Moved ${page.title} (${pageId}) and ${pages.length - 1} pages below it under ${parent.title} (${parentId})`
+  );
+  return { page, pages: pages.length };
+}
+
+module.exports = {
+  collectPageTree,
+  findForeignPages,
+  formatPageTree,
+  deletePageTree,
+  movePageTree,
+};
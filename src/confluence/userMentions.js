@@ -0,0 +1,118 @@
+const fs = require("fs-extra");
+const { logger } = require("../utils");
+const { loadMappingFile } = require("./mappingFile");
+const { escapeXml } = require("./storageFormat");
+
+// Mentions without a Confluence user, with the pages they appear on, for the
+// report at the end of the run
+const unmappedMentions = new Map();
+
+/**
+ * Normalise an Azure DevOps identity so GUIDs, emails and names match
+ * regardless of case and braces
+ * @param {string} identity - Identity GUID, email or display name
+ * @returns {string} - Normalised identity
+ */
+function normalizeIdentity(identity) {
+  return identity.trim().replace(/^\{(.*)\}$/, "$1").toLowerCase();
+}
+
+/**
+ * Load a mapping from Azure DevOps identities (GUID, email or display name)
+ * to Confluence users: account IDs on Cloud, user keys on Server/Data Center.
+ * JSON files hold an object keyed by identity; CSV files have the identity
+ * in the first column and the Confluence user in the second, with an
+ * optional header row.
+ * @param {string} filePath - Path to a .json or .csv file
+ * @returns {Promise<Object<string, string>>} - Confluence users by normalised identity
+ */
+async function loadUserMapping(filePath) {
+  const mapping = await loadMappingFile(
+    filePath,
+    (identity, user) => !/^(account[-_ ]?id|user[-_ ]?key)$/i.test(user)
+  );
+  const normalized = {};
+  Object.entries(mapping).forEach(([identity, user]) => {
+    normalized[normalizeIdentity(identity)] = user;
+  });
+  return normalized;
+}
+
+/**
+ * Get the user mapping configured with USER_MAPPING_FILE
+ * @returns {Promise<Object<string, string>>} - Confluence users by normalised identity
+ */
+async function getUserMapping() {
+  const mappingFile = process.env.USER_MAPPING_FILE;
+  if (!mappingFile) return {};
+  try {
+    return await loadUserMapping(mappingFile);
+  } catch (error) {
+    logger.warn(`Could not load user mapping ${mappingFile}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Create the Confluence user link for one @<GUID> or @<Display Name>
+ * mention. Mentions without a mapped user become plain "@name" text and are
+ * recorded for the unmapped mentions report.
+ * @param {string} identity - Text between the angle brackets
+ * @param {Object<string, string>} mapping - Confluence users by normalised identity
+ * @param {string} pagePath - Page the mention is on, for the report
+ * @param {string} [deployment] - "server" for Server/Data Center user keys, otherwise Cloud account IDs
+ * @returns {string} - Storage format for the mention
+ */
+function createUserMention(identity, mapping, pagePath, deployment) {
+  const userAttribute = deployment === "server" ? "ri:userkey" : "ri:account-id";
+
+  const user = mapping[normalizeIdentity(identity)];
+  if (user) {
+    return `<ac:link><ri:user ${userAttribute}="${escapeXml(user)}" /></ac:link>`;
+  }
+
+  const mention = identity.trim();
+  if (!unmappedMentions.has(mention)) {
+    unmappedMentions.set(mention, new Set());
+  }
+  unmappedMentions.get(mention).add(pagePath);
+  return `@${escapeXml(mention)}`;
+}
+
+/**
+ * Get the mentions found so far that had no mapped user
+ * @returns {Array<{mention: string, pages: Array<string>}>} - Unmapped mentions, sorted
+ */
+function getUnmappedMentions() {
+  return [...unmappedMentions.entries()]
+    .map(([mention, pages]) => ({ mention, pages: [...pages].sort() }))
+    .sort((a, b) => a.mention.localeCompare(b.mention));
+}
+
+/**
+ * Write the unmapped mentions report so the user mapping can be completed
+ * before the real run. A report left by an earlier run is removed when every
+ * mention was mapped.
+ * @param {string} [filePath] - Report file
+ * @returns {Promise<void>}
+ */
+async function writeUnmappedMentionsReport(filePath = "unmapped-mentions.json") {
+  const mentions = getUnmappedMentions();
+  if (mentions.length === 0) {
+    await fs.remove(filePath);
+    return;
+  }
+
+  await fs.writeJson(filePath, mentions, { spaces: 2 });
+  logger.warn(
+    `${mentions.length} mentioned users have no Confluence user in the user mapping, see ${filePath}`
+  );
+}
+
+module.exports = {
+  loadUserMapping,
+  getUserMapping,
+  createUserMention,
+  getUnmappedMentions,
+  writeUnmappedMentionsReport,
+};
@@ -1,6 +1,86 @@
 const fs = require("fs-extra");
 const path = require("path");
 const { logger } = require("../utils");
+const { parseFrontMatter } = require("./frontMatter");
+
+/**
+ * Read the Azure DevOps .order file of a wiki directory
+ * @param {string} dirPath - Path to the directory
+ * @returns {Promise<Array<string>>} - Page names in wiki order, empty if there is no .order file
+ */
+async function readOrderFile(dirPath) {
+  const orderPath = path.join(dirPath, ".order");
+  try {
+    if (await fs.pathExists(orderPath)) {
+      const orderContent = await fs.readFile(orderPath, "utf8");
+      return orderContent
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+    }
+  } catch (error) {
+    logger.warn(`Error reading .order file in ${dirPath}: ${error.message}`);
+  }
+  return [];
+}
+
+/**
+ * Sort directory items by a .order list. Entries name pages without the .md
+ * extension, so a page file and its sub-page folder share a position. Items
+ * missing from the list go last, alphabetically.
+ * @param {Array<string>} items - Directory item names
+ * @param {Array<string>} pageOrder - Page names from the .order file
+ * @returns {Array<string>} - Sorted item names
+ */
+function sortByOrder(items, pageOrder) {
+  const pageName = (item) =>
+    item.endsWith(".md") ? path.basename(item, ".md") : item;
+
+  return [...items].sort((a, b) => {
+    const aIndex = pageOrder.indexOf(pageName(a));
+    const bIndex = pageOrder.indexOf(pageName(b));
+
+    if (aIndex === -1 && bIndex === -1) return a.localeCompare(b);
+    if (aIndex === -1) return 1;
+    if (bIndex === -1) return -1;
+    return aIndex - bIndex;
+  });
+}
+
+/**
+ * Merge each "Foo.md" page with its sibling "Foo/" folder. Azure DevOps keeps
+ * a page's body in the file and its sub-pages in the folder, so both make up
+ * a single Confluence page with the file's content and the folder's children.
+ * @param {Array} pages - Pages parsed from one directory
+ * @returns {Array} - Pages with file and folder nodes merged
+ */
+function mergePageFolders(pages) {
+  const mergedPages = [];
+  const pagesByTitle = new Map();
+
+  for (const page of pages) {
+    const existing = pagesByTitle.get(page.title);
+    if (!existing) {
+      pagesByTitle.set(page.title, page);
+      mergedPages.push(page);
+      continue;
+    }
+
+    // Folder nodes have no content of their own
+    const [filePage, folderPage] =
+      existing.content !== undefined ? [existing, page] : [page, existing];
+    logger.debug(`Merging ${filePage.path} with folder ${folderPage.path}`);
+
+    // Keep the position of whichever came first, with the file's path so
+    // attachments are resolved from the Markdown file
+    existing.path = filePage.path;
+    existing.content = filePage.content;
+    existing.frontMatter = filePage.frontMatter;
+    existing.children = [...filePage.children, ...folderPage.children];
+  }
+
+  return mergedPages;
+}
 
 async function parseWiki(wikiPath, projectDir = "") {
   try {
@@ -9,8 +89,9 @@ async function parseWiki(wikiPath, projectDir = "") {
       pages: [],
     };
 
-    // Read directory contents
-    const items = await fs.readdir(wikiPath);
+    // Read directory contents in the order given by the wiki's .order file
+    const pageOrder = await readOrderFile(wikiPath);
+    const items = sortByOrder(await fs.readdir(wikiPath), pageOrder);
 
     // Process each item in the directory
     for (const item of items) {
@@ -38,10 +119,13 @@ async function parseWiki(wikiPath, projectDir = "") {
         try {
           const content = await fs.readFile(fullPath, "utf8");
           if (content) {
+            // Front matter becomes labels and page properties, not body text
+            const { data, body } = parseFrontMatter(content);
             structure.pages.push({
               title: path.basename(item, ".md"),
               path: fullPath,
-              content: content,
+              content: body,
+              frontMatter: data,
               children: [],
             });
             logger.debug(`Successfully loaded content for: ${item}`);
@@ -54,6 +138,7 @@ async function parseWiki(wikiPath, projectDir = "") {
       }
     }
 
+    structure.pages = mergePageFolders(structure.pages);
     return structure;
   } catch (error) {
     logger.error("Error parsing wiki structure:", error);
@@ -99,5 +184,8 @@ function sanitizeTitle(title) {
 
 module.exports = {
   parseWiki,
+  mergePageFolders,
+  readOrderFile,
+  sortByOrder,
   sanitizeTitle,
 };
@@ -0,0 +1,107 @@
+const { logger } = require("../utils");
+const { loadMappingFile } = require("./mappingFile");
+const { escapeXml } = require("./storageFormat");
+
+const JIRA_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+/**
+ * Load a mapping from Azure DevOps IDs to Jira keys or URLs. JSON files hold
+ * an object keyed by ID; CSV files have the ID in the first column and the
+ * target in the second, with an optional header row. Pull requests are keyed
+ * with a leading "!" (e.g. "!567"), work items by their number.
+ * @param {string} filePath - Path to a .json or .csv file
+ * @returns {Promise<Object<string, string>>} - Targets by ID
+ */
+function loadReferenceMapping(filePath) {
+  // Only rows with an ID, which skips the header
+  return loadMappingFile(filePath, (id) => /^!?\d+$/.test(id));
+}
+
+/**
+ * Get the reference link settings from the environment
+ * @returns {Promise<Object>} - Options for createReferenceLink
+ */
+async function getReferenceLinkOptions() {
+  const mappingFile = process.env.WORK_ITEM_MAPPING_FILE;
+  let mapping = {};
+  if (mappingFile) {
+    try {
+      mapping = await loadReferenceMapping(mappingFile);
+    } catch (error) {
+      logger.warn(`Could not load work item mapping ${mappingFile}: ${error.message}`);
+    }
+  }
+
+  return {
+    workItemUrl: process.env.WORK_ITEM_URL_TEMPLATE,
+    pullRequestUrl: process.env.PULL_REQUEST_URL_TEMPLATE,
+    mapping,
+    jiraServer: process.env.JIRA_SERVER_NAME,
+    jiraServerId: process.env.JIRA_SERVER_ID,
+  };
+}
+
+/**
+ * Create the Jira issue macro for a key
+ * @param {string} key - Jira issue key
+ * @param {Object} options - Reference link options
+ * @returns {string} - Confluence jira macro
+ */
+function createJiraMacro(key, options) {
+  const server = options.jiraServer
+    ? `<ac:parameter ac:name="server">${escapeXml(options.jiraServer)}</ac:parameter>`
+    : "";
+  const serverId = options.jiraServerId
+    ? `<ac:parameter ac:name="serverId">${escapeXml(options.jiraServerId)}</ac:parameter>`
+    : "";
+  return `<ac:structured-macro ac:name="jira" ac:schema-version="1">${server}${serverId}<ac:parameter ac:name="key">${escapeXml(key)}</ac:parameter></ac:structured-macro>`;
+}
+
+/**
+ * Create a link to a URL
+ * @param {string} url - Target URL
+ * @param {string} text - Link text
+ * @returns {string} - HTML link
+ */
+function createLink(url, text) {
+  return `<a href="${escapeXml(url)}" target="_blank">${escapeXml(text)}</a>`;
+}
+
+/**
+ * Create the link for one Azure DevOps work item (#1234) or pull request
+ * (!567) mention. A mapped Jira key becomes a Jira issue macro and a mapped
+ * URL a link; otherwise the Azure DevOps URL template is used, with {id}
+ * replaced.
+ * @param {string} sigil - "#" for a work item, "!" for a pull request
+ * @param {string} id - Work item or pull request ID
+ * @param {Object} options - Reference link options
+ * @param {string} [options.workItemUrl] - URL template for work items
+ * @param {string} [options.pullRequestUrl] - URL template for pull requests
+ * @param {Object<string, string>} [options.mapping] - Jira keys or URLs by ID
+ * @param {string} [options.jiraServer] - Name of the Jira application link
+ * @param {string} [options.jiraServerId] - ID of the Jira application link
+ * @returns {string|null} - Storage format for the mention, or null when it has no target
+ */
+function createReferenceLink(sigil, id, options = {}) {
+  const mapping = options.mapping || {};
+  const text = `${sigil}${id}`;
+  const mapped = mapping[sigil === "!" ? text : id];
+  const template = sigil === "!" ? options.pullRequestUrl : options.workItemUrl;
+
+  if (mapped && JIRA_KEY.test(mapped)) {
+    return createJiraMacro(mapped, options);
+  }
+  if (mapped) {
+    return createLink(mapped, text);
+  }
+  if (template) {
+    return createLink(template.replace(/\{id\}/g, id), text);
+  }
+  return null;
+}
+
+module.exports = {
+  loadReferenceMapping,
+  getReferenceLinkOptions,
+  createReferenceLink,
+};
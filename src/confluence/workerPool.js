@@ -0,0 +1,110 @@
+const { logger } = require("../utils");
+
+/**
+ * Check whether an error comes from Confluence rate limiting a request
+ * @param {Error} error - Error thrown by a task
+ * @returns {boolean} - True for HTTP 429 responses
+ */
+function isRateLimitError(error) {
+  return (
+    error?.status === 429 ||
+    error?.response?.status === 429 ||
+    /status code 429/.test(error?.message || "")
+  );
+}
+
+/**
+ * Work out how long to back off after a rate-limited task
+ * @param {Error} error - Rate limit error
+ * @param {number} attempt - Number of retries so far
+ * @param {number} baseDelay - Delay for the first retry in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(error, attempt, baseDelay) {
+  const retryAfter = Number(error?.retryAfter);
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  // Exponential backoff with jitter, so workers do not all resume at once
+  const delay = baseDelay * 2 ** attempt;
+  return delay + Math.random() * delay * 0.5;
+}
+
+/**
+ * Create a pool that runs async tasks with a limit on how many are in flight.
+ *
+ * When a task is rate limited by Confluence (HTTP 429), the whole pool pauses
+ * before starting any more work and the task is queued again, so a throttled
+ * run slows down together instead of every worker retrying on its own.
+ *
+ * Tasks should only do their own work and never wait for other tasks of the
+ * same pool, or the pool can run out of workers.
+ * @param {number} [concurrency] - Maximum number of tasks running at once
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.maxRetries] - Retries per task after being rate limited
+ * @param {number} [options.baseDelay] - First backoff delay in milliseconds
+ * @returns {{concurrency: number, run: function(function(): Promise): Promise}} - Worker pool
+ */
+function createWorkerPool(concurrency = 1, options = {}) {
+  const { maxRetries = 5, baseDelay = 1000 } = options;
+  const limit = Math.max(1, Number(concurrency) || 1);
+  const queue = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  const startNext = () => {
+    while (active < limit && queue.length > 0) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        if (!resumeTimer) {
+          resumeTimer = setTimeout(() => {
+            resumeTimer = null;
+            startNext();
+          }, wait);
+        }
+        return;
+      }
+
+      const job = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, (error) => {
+          if (!isRateLimitError(error) || job.attempt >= maxRetries) {
+            job.reject(error);
+            return;
+          }
+
+          const delay = getBackoffDelay(error, job.attempt, baseDelay);
+          if (Date.now() + delay > pausedUntil) {
+            pausedUntil = Date.now() + delay;
+            logger.warn(
+              `Rate limited by Confluence, pausing all workers for ${Math.ceil(delay / 1000)}s`
+            );
+          }
+          job.attempt++;
+          queue.unshift(job);
+        })
+        .finally(() => {
+          active--;
+          startNext();
+        });
+    }
+  };
+
+  return {
+    concurrency: limit,
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject, attempt: 0 });
+        startNext();
+      });
+    },
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+  isRateLimitError,
+};
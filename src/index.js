@@ -1,38 +1,148 @@
+// The mock fills in the connection settings, so it has to be selected before
+// the configuration is loaded and validated
+if (process.argv.includes("--confluence-mock")) {
+  process.env.CONFLUENCE_MOCK = "true";
+}
+
 const path = require("path");
+const readline = require("readline");
 const fs = require("fs-extra");
-const { Command } = require("commander");
+const { Command, InvalidArgumentError } = require("commander");
 const ConfluenceClient = require("./utils/Confluence-API");
+const ConfluenceClientV2 = require("./utils/Confluence-API-v2");
+const ConfluenceMockServer = require("./utils/Confluence-Mock-Server");
+const { formatRetryStats } = require("./utils/Confluence-Retry");
 const { runLocalTest } = require("./local/index");
 const { getConfig } = require("./confluence/config");
-const { startConfluenceProcess, fixPageNames } = require("./confluence");
+const {
+  startConfluenceProcess,
+  startSyncProcess,
+  startRollbackProcess,
+  fixPageNames,
+} = require("./confluence");
+const {
+  testAuthentication: testConfluenceAuthentication,
+} = require("./confluence/authTest");
+const {
+  deletePageTree,
+  movePageTree,
+} = require("./confluence/treeOperations");
 const { logger } = require("./utils");
 
 const config = getConfig();
 
-// Initialize Confluence client
-const confluenceClient = new ConfluenceClient({
-  baseUrl: config.confluence.baseUrl,
-  username: config.confluence.username,
-  apiToken: config.confluence.password,
-});
+let confluenceClient = null;
+let mockServer = null;
+
+/**
+ * Create the Confluence client on first use, starting the local mock server
+ * first when running with --confluence-mock
+ * @returns {Promise<Object>} - Confluence API client
+ */
+async function getConfluenceClient() {
+  if (confluenceClient) {
+    return confluenceClient;
+  }
+
+  if (config.confluence.mock) {
+    mockServer = new ConfluenceMockServer({
+      dataDir: config.confluence.mockDataDir,
+      spaceKey: config.confluence.spaceKey,
+      rootPageId: config.confluence.parentPageId,
+      deployment: config.confluence.deployment,
+      personalAccessToken: config.confluence.personalAccessToken,
+    });
+    config.confluence.baseUrl = await mockServer.start();
+    logger.info(
+      `Using mock Confluence at ${config.confluence.baseUrl} (data in ${config.confluence.mockDataDir})`
+    );
+  }
+
+  let apiVersion = config.confluence.apiVersion;
+  if (apiVersion === "2" && config.confluence.deployment === "server") {
+    logger.warn(
+      "The REST API v2 is only available on Confluence Cloud, using v1 for Server/Data Center"
+    );
+    apiVersion = "1";
+  }
+  const Client = apiVersion === "2" ? ConfluenceClientV2 : ConfluenceClient;
+  logger.debug(`Using Confluence REST API v${apiVersion}`);
+  confluenceClient = new Client({
+    baseUrl: config.confluence.baseUrl,
+    deployment: config.confluence.deployment,
+    username: config.confluence.username,
+    apiToken: config.confluence.password,
+    personalAccessToken: config.confluence.personalAccessToken,
+  });
+  // Report retries however the command ends, including failed runs
+  process.once("exit", () => {
+    logger.info(formatRetryStats(confluenceClient.getRetryStats()));
+  });
+  return confluenceClient;
+}
+
+/**
+ * Print the mock server's page tree and shut it down
+ * @returns {Promise<void>}
+ */
+async function stopMockServer() {
+  if (!mockServer) return;
+
+  const printTree = (page, depth) => {
+    const attachments =
+      page.attachments.length > 0 ? ` [${page.attachments.join(", ")}]` : "";
+    console.log(
+      `${"  ".repeat(depth)}- ${page.title} (ID: ${page.id}, v${page.version})${attachments}`
+    );
+    page.children.forEach((child) => printTree(child, depth + 1));
+  };
+  const tree = mockServer.getPageTree(config.confluence.parentPageId);
+  if (tree) {
+    console.log("\nMock Confluence page tree:");
+    printTree(tree, 0);
+  }
+
+  await mockServer.stop();
+  mockServer = null;
+}
 
 // Add authentication test function
 async function testAuthentication() {
-  try {
-    await confluenceClient.getSpaceByKey(config.confluence.spaceKey);
-    logger.info("Authentication successful");
-    return true;
-  } catch (error) {
-    logger.error("Authentication failed:", error.message);
-    if (error.response?.status === 401) {
-      logger.error(
-        "Invalid credentials. Please check your username and API token."
-      );
-    } else if (error.response?.status === 404) {
-      logger.error("Space not found. Please check your space key.");
-    }
-    return false;
+  return testConfluenceAuthentication(
+    await getConfluenceClient(),
+    config.confluence.spaceKey
+  );
+}
+
+/**
+ * Parse the --concurrency option
+ * @param {string} value - Option value
+ * @returns {number} - Number of workers
+ */
+function parseConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  if (!(concurrency >= 1)) {
+    throw new InvalidArgumentError("Must be a number of at least 1.");
   }
+  return concurrency;
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>} - True if the answer was yes
+ */
+function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
 }
 
 // Add error handling utility
@@ -77,8 +187,15 @@ async function main() {
       "-o, --output <path>",
       "Output directory for local testing",
       "./local-output"
+    )
+    .option(
+      "--confluence-mock",
+      "Run against a local mock Confluence server instead of a live instance"
     );
 
+  // Shut the mock server down once a command is done with it
+  program.hook("postAction", stopMockServer);
+
   // Local test command
   program
     .command("local")
@@ -118,7 +235,7 @@ async function main() {
           process.exit(1);
         }
 
-        await fixPageNames(confluenceClient, config);
+        await fixPageNames(await getConfluenceClient(), config);
         logger.info("Page names fixed successfully.");
       } catch (error) {
         handleApiError(error);
@@ -132,6 +249,29 @@ async function main() {
     .description("Migrate wiki pages to Confluence")
     .option("-s, --single <page>", "Migrate a single page")
     .option("-p, --parent <id>", "Confluence parent page ID")
+    .option("-r, --resume", "Resume the last interrupted migration run")
+    .option(
+      "--dry-run",
+      "Plan the migration without making any changes to Confluence"
+    )
+    .option(
+      "--plan-file <path>",
+      "Where to write the dry run plan",
+      "./migration-plan.json"
+    )
+    .option(
+      "-c, --concurrency <n>",
+      "Number of pages to process at the same time",
+      parseConcurrency
+    )
+    .option(
+      "--auto-labels",
+      "Label every page with its folders, the project name and the run label"
+    )
+    .option(
+      "--run-label <label>",
+      "Label shared by every migrated page (implies --auto-labels)"
+    )
     .action(async (options) => {
       try {
         // Enable debug mode if specified
@@ -159,9 +299,25 @@ async function main() {
           process.env.SINGLE_PAGE = options.single;
         }
 
+        if (options.dryRun && options.resume) {
+          logger.error("--dry-run cannot be combined with --resume.");
+          process.exit(1);
+        }
+
         // Start the migration process
-        await startConfluenceProcess(confluenceClient);
-        logger.info("Migration completed successfully");
+        await startConfluenceProcess(await getConfluenceClient(), {
+          resume: options.resume,
+          dryRun: options.dryRun,
+          planFile: options.planFile,
+          concurrency: options.concurrency,
+          autoLabels: options.autoLabels,
+          runLabel: options.runLabel,
+        });
+        logger.info(
+          options.dryRun
+            ? "Dry run completed - no changes were made to Confluence"
+            : "Migration completed successfully"
+        );
       } catch (error) {
         if (error.message?.includes("duplicate page names")) {
           logger.error("\nDuplicate pages found!");
@@ -177,8 +333,171 @@ async function main() {
       }
     });
 
+  // Sync command
+  program
+    .command("sync")
+    .description(
+      "Push only the wiki pages and attachments that changed since the last run"
+    )
+    .option(
+      "-c, --concurrency <n>",
+      "Number of pages to process at the same time",
+      parseConcurrency
+    )
+    .action(async (options) => {
+      try {
+        if (program.opts().debug) {
+          process.env.DEBUG = "true";
+        }
+
+        const authSuccessful = await testAuthentication();
+        if (!authSuccessful) {
+          logger.error("Authentication failed. Exiting.");
+          process.exit(1);
+        }
+
+        const report = await startSyncProcess(await getConfluenceClient(), {
+          concurrency: options.concurrency,
+        });
+        if (report.failed.length > 0) {
+          logger.error(`Sync finished with ${report.failed.length} failed pages`);
+          process.exit(1);
+        }
+        logger.info("Sync completed successfully");
+      } catch (error) {
+        handleApiError(error);
+        process.exit(1);
+      }
+    });
+
+  // Rollback command
+  program
+    .command("rollback <runId>")
+    .description(
+      "Undo a migration or sync run: delete the pages it created, restore the pages it updated and remove the attachments it added"
+    )
+    .option("-y, --yes", "Roll back without asking for confirmation")
+    .action(async (runId, options) => {
+      try {
+        if (program.opts().debug) {
+          process.env.DEBUG = "true";
+        }
+
+        const authSuccessful = await testAuthentication();
+        if (!authSuccessful) {
+          logger.error("Authentication failed. Exiting.");
+          process.exit(1);
+        }
+
+        const report = await startRollbackProcess(
+          await getConfluenceClient(),
+          runId,
+          {
+            confirm: options.yes
+              ? null
+              : () => confirm("Roll back these changes? (y/n): "),
+          }
+        );
+        if (report && report.failed.length > 0) {
+          logger.error(
+            `Rollback finished with ${report.failed.length} failures`
+          );
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+    });
+
+  // Page tree commands
+  const tree = program
+    .command("tree")
+    .description("Delete or move a subtree of Confluence pages");
+
+  tree
+    .command("delete <pageId>")
+    .description("Delete a page and every page below it, leaf pages first")
+    .option("--dry-run", "List the pages that would be deleted without deleting them")
+    .option("--purge", "Also purge the deleted pages from the space trash")
+    .option("-f, --force", "Delete pages that were not created by this tool")
+    .option("-y, --yes", "Delete without asking for confirmation")
+    .action(async (pageId, options) => {
+      try {
+        if (program.opts().debug) {
+          process.env.DEBUG = "true";
+        }
+
+        const authSuccessful = await testAuthentication();
+        if (!authSuccessful) {
+          logger.error("Authentication failed. Exiting.");
+          process.exit(1);
+        }
+
+        const report = await deletePageTree(await getConfluenceClient(), pageId, {
+          dryRun: options.dryRun,
+          purge: options.purge,
+          force: options.force,
+          confirm: options.yes
+            ? null
+            : () => confirm("Delete these pages? (y/n): "),
+        });
+        if (report && report.failed.length > 0) {
+          logger.error(`Delete finished with ${report.failed.length} failures`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+    });
+
+  tree
+    .command("move <pageId>")
+    .description(
+      "Move a page and every page below it to the end of another parent's children, without adding page versions"
+    )
+    .requiredOption("--to <parentId>", "ID of the new parent page")
+    .option("-f, --force", "Move pages that were not created by this tool")
+    .action(async (pageId, options) => {
+      try {
+        if (program.opts().debug) {
+          process.env.DEBUG = "true";
+        }
+
+        const authSuccessful = await testAuthentication();
+        if (!authSuccessful) {
+          logger.error("Authentication failed. Exiting.");
+          process.exit(1);
+        }
+
+        await movePageTree(await getConfluenceClient(), pageId, options.to, {
+          force: options.force,
+        });
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+    });
+
+  // Authentication test command
+  program
+    .command("auth-test")
+    .description(
+      "Check the Confluence connection settings and credentials without changing anything"
+    )
+    .action(async () => {
+      if (program.opts().debug) {
+        process.env.DEBUG = "true";
+      }
+
+      if (!(await testAuthentication())) {
+        process.exitCode = 1;
+      }
+    });
+
   // Parse command line arguments
-  program.parse();
+  await program.parseAsync();
 }
 
 // Run the main function
@@ -760,6 +760,88 @@ header {
   margin-bottom: 1rem;
 }
 
+.page-body .callout {
+  padding: 0.75rem 1rem;
+  border-left: 4px solid;
+  border-radius: 3px;
+  margin-bottom: 1rem;
+}
+
+.page-body .callout > :last-child {
+  margin-bottom: 0;
+}
+
+.page-body .callout-title {
+  font-weight: bold;
+  margin-bottom: 0.5rem;
+}
+
+.page-body .callout-info {
+  border-color: #0052cc;
+  background-color: rgba(0, 82, 204, 0.1);
+}
+
+.page-body .callout-tip {
+  border-color: #00875a;
+  background-color: rgba(0, 135, 90, 0.1);
+}
+
+.page-body .callout-note {
+  border-color: #ff991f;
+  background-color: rgba(255, 153, 31, 0.12);
+}
+
+.page-body .callout-warning {
+  border-color: #de350b;
+  background-color: rgba(222, 53, 11, 0.1);
+}
+
+.page-body details.expand {
+  margin-bottom: 1rem;
+}
+
+.page-body details.expand > summary {
+  cursor: pointer;
+  color: var(--link-color);
+  margin-bottom: 0.5rem;
+}
+
+.page-body .toc, .page-body .subpages {
+  display: inline-block;
+  min-width: 250px;
+  padding: 0.75rem 1rem;
+  border: 1px solid var(--border-color);
+  border-radius: 5px;
+  background-color: var(--card-bg);
+  margin-bottom: 1rem;
+}
+
+.page-body .toc-title {
+  font-weight: bold;
+  margin-bottom: 0.5rem;
+}
+
+.page-body .toc ul, .page-body .subpages ul {
+  margin-bottom: 0;
+}
+
+.page-body .page-properties th {
+  width: 30%;
+}
+
+.page-body .labels {
+  margin-bottom: 1rem;
+}
+
+.page-body .labels .label {
+  display: inline-block;
+  padding: 0.1rem 0.5rem;
+  margin: 0 0.25rem 0.25rem 0;
+  border-radius: 3px;
+  background-color: var(--hover-color);
+  font-size: 0.85rem;
+}
+
 .page-body img {
   max-width: 100%;
   height: auto;
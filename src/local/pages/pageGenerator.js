@@ -5,7 +5,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('../../utils');
-const { convertMarkdownToHtml } = require('./pageRenderer');
+const { convertMarkdownToHtml, renderFrontMatter } = require('./pageRenderer');
 const { generateNavMenu, generateBreadcrumbs, decodeTitle } = require('../utils/navUtils');
 const { calculatePathToRoot, createDynamicRootPathScript, createNavigationScript, sanitizePathSegment } = require('../utils/pathUtils');
 
@@ -56,6 +56,7 @@ async function createHtmlPage(title, html, outputPath, relativePath, wikiStructu
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/styles/github.min.css">
   <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/highlight.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
   <script>
   ${createNavigationScript()}
   </script>
@@ -145,8 +146,17 @@ async function createHtmlPage(title, html, outputPath, relativePath, wikiStructu
         hljs.highlightElement(block);
       });
       
+      // Render mermaid diagrams (the script is missing when viewed offline)
+      if (typeof mermaid !== 'undefined') {
+        mermaid.initialize({
+          startOnLoad: false,
+          theme: localStorage.getItem('dark-theme') === 'true' ? 'dark' : 'default'
+        });
+        mermaid.run({ querySelector: 'pre.mermaid' });
+      }
+      
       // Add copy buttons to code blocks
-      document.querySelectorAll('pre').forEach((block) => {
+      document.querySelectorAll('pre:not(.mermaid)').forEach((block) => {
         const copyButton = document.createElement('button');
         copyButton.className = 'copy-code-button';
         copyButton.innerHTML = '<i class="fas fa-copy"></i>';
@@ -367,6 +377,8 @@ async function createLocalPages(wikiStructure, outputPath, attachmentMappings) {
           ...dirPage,
           hasFileContent: true,
           filePath: filePage.path,
+          fileContent: filePage.content,
+          frontMatter: filePage.frontMatter,
           isContentPage: true // Mark that this is both a directory and a content page
         };
         mergedPages.push(mergedPage);
@@ -409,7 +421,9 @@ async function createLocalPages(wikiStructure, outputPath, attachmentMappings) {
           
           // For merged pages, use file content if available
           let content;
-          if (page.hasFileContent && page.filePath) {
+          if (page.hasFileContent && page.fileContent !== undefined) {
+            content = page.fileContent;
+          } else if (page.hasFileContent && page.filePath) {
             try {
               content = await fs.readFile(page.filePath, 'utf8');
             } catch (error) {
@@ -425,7 +439,8 @@ async function createLocalPages(wikiStructure, outputPath, attachmentMappings) {
           }
           
           // Convert markdown to HTML
-          const html = convertMarkdownToHtml(content, attachmentMappings, page.hasFileContent ? page.filePath : page.path, pagePath);
+          const html = renderFrontMatter(page.frontMatter) +
+            convertMarkdownToHtml(content, attachmentMappings, page.hasFileContent ? page.filePath : page.path, pagePath, page.children);
           
           // Create HTML file - await the async function
           await createHtmlPage(page.title, html, pageOutputDir, pagePath, wikiStructure);
@@ -433,10 +448,10 @@ async function createLocalPages(wikiStructure, outputPath, attachmentMappings) {
           console.log(`Created page: ${page.title}`);
         } else if (!page.isDirectory) {
           // Read markdown content from file
-          let content;
+          let content = page.content;
           try {
-            // Read the file only if it's not a directory
-            content = await fs.readFile(page.path, 'utf8');
+            // Read the file only if the parser did not already
+            if (content === undefined) content = await fs.readFile(page.path, 'utf8');
           } catch (error) {
             console.warn(`Warning: No markdown content for page at ${page.path}`);
             content = `# ${page.title}\n\nNo content available.`;
@@ -444,7 +459,8 @@ async function createLocalPages(wikiStructure, outputPath, attachmentMappings) {
           
           try {
             // Convert markdown to HTML with the correct parent path
-            const html = convertMarkdownToHtml(content, attachmentMappings, page.path, pagePath);
+            const html = renderFrontMatter(page.frontMatter) +
+              convertMarkdownToHtml(content, attachmentMappings, page.path, pagePath);
             
             // Create HTML file - await the async function
             await createHtmlPage(page.title, html, pageOutputDir, pagePath, wikiStructure);
@@ -5,7 +5,10 @@
 const { marked } = require('marked');
 const path = require('path');
 const { logger } = require('../../utils');
-const { decodeUrlEncoded } = require('../utils/pathUtils');
+const { decodeUrlEncoded, sanitizePathSegment } = require('../utils/pathUtils');
+const { parseFrontMatterMapping, mapFrontMatter } = require('../../confluence/frontMatter');
+const { extractCallouts, restoreCallouts } = require('../../confluence/callouts');
+const { extractDetails, restoreDetails } = require('../../confluence/expandSections');
 
 /**
  * Clean up an attachment filename by removing size annotations and decoding URL-encoded characters
@@ -55,15 +58,200 @@ function extractImageFilename(imagePath) {
   }
 }
 
+/**
+ * Replace mermaid diagrams, fenced or in Azure DevOps ::: mermaid blocks, with
+ * placeholders so the other markdown processing leaves them alone
+ * @param {string} markdown - Markdown content
+ * @returns {{markdown: string, diagrams: Array<string>}} - Markdown with placeholders and the diagram sources
+ */
+function extractMermaidDiagrams(markdown) {
+  const diagrams = [];
+  const addDiagram = (match, code) => {
+    diagrams.push(code.trim());
+    return `%%MERMAID_${diagrams.length - 1}%%`;
+  };
+
+  const processed = markdown
+    .replace(/```mermaid[ \t]*\r?\n([\s\S]*?)```/g, addDiagram)
+    .replace(/^[ \t]*:::[ \t]*mermaid[ \t]*\r?\n([\s\S]*?)^[ \t]*:::[ \t]*$/gm, addDiagram);
+
+  return { markdown: processed, diagrams };
+}
+
+/**
+ * Put back the diagrams replaced by extractMermaidDiagrams as elements the
+ * mermaid script in the page renders
+ * @param {string} html - Converted HTML
+ * @param {Array<string>} diagrams - Diagram sources
+ * @returns {string} - HTML with the diagrams
+ */
+function restoreMermaidDiagrams(html, diagrams) {
+  return html.replace(/(?:<p>)?%%MERMAID_(\d+)%%(?:<\/p>)?/g, (match, index) => {
+    const code = diagrams[index].replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `<pre class="mermaid">${code}</pre>`;
+  });
+}
+
+/**
+ * Render a callout as a panel styled like the Confluence macro it becomes
+ * @param {Object} callout - Callout found by extractCallouts
+ * @returns {Array<string>} - HTML before and after the callout's content
+ */
+function renderCalloutPanel(callout) {
+  const title = callout.title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return [
+    `<div class="callout callout-${callout.macro}"><div class="callout-title">${title}</div>`,
+    '</div>'
+  ];
+}
+
+/**
+ * Render a collapsible section as a details element, which the browser lets
+ * the reader expand like the Confluence macro
+ * @param {Object} section - Section found by extractDetails
+ * @returns {Array<string>} - HTML before and after the section's content
+ */
+function renderDetailsSection(section) {
+  const title = (section.title || 'Click here to expand...').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return [
+    `<details class="expand"${section.open ? ' open' : ''}><summary>${title}</summary>`,
+    '</details>'
+  ];
+}
+
+/**
+ * Give every heading an id to link to and collect the headings
+ * @param {string} html - Converted HTML
+ * @returns {{html: string, headings: Array<{level: number, id: string, text: string}>}} - HTML with ids and its headings
+ */
+function addHeadingIds(html) {
+  const headings = [];
+  const usedIds = new Set();
+
+  const withIds = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, content) => {
+    const text = content.replace(/<[^>]+>/g, '').trim();
+    const baseId = text.toLowerCase().replace(/&\w+;/g, '').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+    let id = baseId;
+    for (let i = 1; usedIds.has(id); i++) {
+      id = `${baseId}-${i}`;
+    }
+    usedIds.add(id);
+    headings.push({ level: Number(level), id, text });
+    return `<h${level} id="${id}">${content}</h${level}>`;
+  });
+
+  return { html: withIds, headings };
+}
+
+/**
+ * Build a nested list of links to the headings of a page, for [[_TOC_]]
+ * @param {Array<{level: number, id: string, text: string}>} headings - Headings of the page
+ * @returns {string} - HTML table of contents
+ */
+function generateTableOfContents(headings) {
+  if (headings.length === 0) {
+    return '<div class="toc"><div class="toc-title">Contents</div></div>';
+  }
+
+  const minLevel = Math.min(...headings.map((heading) => heading.level));
+  let depth = 0;
+  let list = '';
+  for (const heading of headings) {
+    const level = heading.level - minLevel + 1;
+    if (level > depth) {
+      list += '<ul><li>'.repeat(level - depth);
+    } else {
+      list += '</li></ul>'.repeat(depth - level) + '</li><li>';
+    }
+    depth = level;
+    list += `<a href="#${heading.id}">${heading.text}</a>`;
+  }
+  list += '</li></ul>'.repeat(depth);
+
+  return `<div class="toc"><div class="toc-title">Contents</div>${list}</div>`;
+}
+
+/**
+ * Build a nested list of links to the sub-pages of a page, for [[_TOSP_]]
+ * @param {Array} subpages - Child pages from the wiki structure
+ * @param {string} [basePath=''] - Path from the page to the sub-pages
+ * @returns {string} - HTML list of sub-pages
+ */
+function generateSubpageList(subpages, basePath = '') {
+  const items = (subpages || [])
+    .filter((page) => !page.isAttachmentDir)
+    .map((page) => {
+      const dirName = sanitizePathSegment(page.originalTitle || page.title);
+      const href = `${basePath}${encodeURIComponent(dirName)}/`;
+      const children = page.children && page.children.length > 0
+        ? generateSubpageList(page.children, href)
+        : '';
+      return `<li><a href="${href}index.html">${decodeUrlEncoded(page.title)}</a>${children}</li>`;
+    });
+
+  return items.length > 0 ? `<ul>${items.join('')}</ul>` : '';
+}
+
+/**
+ * Replace the [[_TOC_]] and [[_TOSP_]] placeholders with a table of contents
+ * and a list of sub-pages
+ * @param {string} html - Converted HTML
+ * @param {Array} subpages - Child pages from the wiki structure
+ * @returns {string} - HTML with the placeholders replaced
+ */
+function renderTableOfContents(html, subpages) {
+  const { html: withIds, headings } = addHeadingIds(html);
+
+  return withIds
+    .replace(/(?:<p>)?%%TOC%%(?:<\/p>)?/g, () => generateTableOfContents(headings))
+    .replace(/(?:<p>)?%%TOSP%%(?:<\/p>)?/g, () => {
+      const list = generateSubpageList(subpages) || '<p>This page has no sub-pages.</p>';
+      return `<div class="subpages">${list}</div>`;
+    });
+}
+
+/**
+ * Render the page properties and labels a page's front matter maps to, as
+ * they would appear at the top of the Confluence page
+ * @param {Object} [frontMatter] - Front matter values of the page
+ * @returns {string} - HTML, empty when the page has no front matter
+ */
+function renderFrontMatter(frontMatter) {
+  if (!frontMatter || Object.keys(frontMatter).length === 0) return '';
+
+  const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  const { labels, properties } = mapFrontMatter(
+    frontMatter,
+    parseFrontMatterMapping(process.env.FRONT_MATTER_LABELS, process.env.FRONT_MATTER_PROPERTIES)
+  );
+
+  let html = '';
+  if (properties.length > 0) {
+    const rows = properties
+      .map(({ title, value }) => `<tr><th>${escapeHtml(title)}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+    html += `<table class="page-properties"><tbody>${rows}</tbody></table>`;
+  }
+  if (labels.length > 0) {
+    const items = labels.map((label) => `<span class="label">${escapeHtml(label)}</span>`).join('');
+    html += `<div class="labels">${items}</div>`;
+  }
+  return html;
+}
+
 /**
  * Convert markdown to HTML with attachment paths
  * @param {string} markdown - Markdown content
  * @param {Object} attachmentMappings - Attachment mappings
  * @param {string} pagePath - Original page path
  * @param {string} parentPath - Parent path for hierarchy
+ * @param {Array} [subpages] - Child pages, listed where the page has [[_TOSP_]]
  * @returns {string} HTML content
  */
-function convertMarkdownToHtml(markdown, attachmentMappings, pagePath, parentPath) {
+function convertMarkdownToHtml(markdown, attachmentMappings, pagePath, parentPath, subpages = []) {
   try {
     // Check if markdown is undefined or null
     if (!markdown) {
@@ -79,13 +267,17 @@ function convertMarkdownToHtml(markdown, attachmentMappings, pagePath, parentPat
     
     // Process Azure Wiki syntax replacements before passing to marked
     
-    // Replace [[_TOC_]] with a simple HTML TOC placeholder
-    let processedMarkdown = markdown.replace(/\[\[_TOC_\]\]/g, '<div class="toc">Table of Contents</div>');
+    // Keep mermaid diagrams away from the replacements below
+    const { markdown: withoutDiagrams, diagrams } = extractMermaidDiagrams(markdown);
     
-    // Convert tables to have proper formatting
-    processedMarkdown = processedMarkdown.replace(/\|([^\n]+)\|/g, function(match) {
-      return match.replace(/\s*\|\s*/g, '|');
-    });
+    // Mark callouts and collapsible sections, which are wrapped around their converted content
+    const { content: withoutCallouts, callouts } = extractCallouts(withoutDiagrams);
+    const { content: withoutSections, sections } = extractDetails(withoutCallouts);
+    
+    // Mark [[_TOC_]] and [[_TOSP_]], which are filled in once the headings are known
+    let processedMarkdown = withoutSections
+      .replace(/\[\[_TOC_\]\]/gi, '%%TOC%%')
+      .replace(/\[\[_TOSP_\]\]/gi, '%%TOSP%%');
     
     // Calculate the path depth based on the number of segments in the parentPath
     let pathDepth = 0;
@@ -243,11 +435,14 @@ function convertMarkdownToHtml(markdown, attachmentMappings, pagePath, parentPat
     }
 
     // Use default marked parser with minimal options
-    return marked.parse(processedMarkdown, { 
+    const html = marked.parse(processedMarkdown, { 
       gfm: true,
       breaks: true,
       sanitize: false 
     });
+    const withCallouts = restoreCallouts(restoreMermaidDiagrams(html, diagrams), callouts, renderCalloutPanel);
+    const withSections = restoreDetails(withCallouts, sections, renderDetailsSection);
+    return renderTableOfContents(withSections, subpages);
   } catch (error) {
     logger.error('Error converting markdown to HTML:', error);
     // Return basic formatted content in case of error
@@ -279,5 +474,6 @@ function removeAfterExtension(filename) {
 }
 
 module.exports = {
-  convertMarkdownToHtml
+  convertMarkdownToHtml,
+  renderFrontMatter
 }; 
\ No newline at end of file
@@ -7,6 +7,7 @@ const path = require('path');
 const { logger } = require('../../utils');
 const { countPages, countAttachments, countFolders } = require('./statsUtils');
 const { sanitizePathSegment, decodeUrlEncoded } = require('./pathUtils');
+const { parseFrontMatter } = require('../../confluence/frontMatter');
 
 /**
  * Check if a directory or file should be excluded from the wiki structure
@@ -129,7 +130,7 @@ async function parseWiki(wikiRootPath) {
           wikiStructure.pages.push(directory);
         } else if (stats.isFile() && item.endsWith('.md')) {
           // It's a markdown file - process it as a page
-          const page = processMarkdownFile(itemPath, item);
+          const page = await processMarkdownFile(itemPath, item);
           wikiStructure.pages.push(page);
         }
       } catch (error) {
@@ -212,8 +213,9 @@ async function processDirectory(dirPath, dirName) {
   const indexPath = path.join(dirPath, 'index.md');
   if (await fs.pathExists(indexPath)) {
     try {
-      const indexContent = await fs.readFile(indexPath, 'utf8');
-      directory.indexContent = indexContent;
+      const { data, body } = parseFrontMatter(await fs.readFile(indexPath, 'utf8'));
+      directory.indexContent = body;
+      directory.frontMatter = data;
     } catch (error) {
       logger.warn(`Error reading index.md for directory ${dirName}: ${error.message}`);
     }
@@ -267,7 +269,7 @@ async function processDirectory(dirPath, dirName) {
         directory.children.push(subdirectory);
       } else if (stats.isFile() && item.endsWith('.md')) {
         // Process markdown file
-        const page = processMarkdownFile(itemPath, item);
+        const page = await processMarkdownFile(itemPath, item);
         directory.children.push(page);
       }
     } catch (error) {
@@ -282,9 +284,9 @@ async function processDirectory(dirPath, dirName) {
  * Process a markdown file
  * @param {string} filePath - Path to the markdown file
  * @param {string} fileName - Name of the file
- * @returns {Object} - Page object
+ * @returns {Promise<Object>} - Page object, with the content stripped of its front matter
  */
-function processMarkdownFile(filePath, fileName) {
+async function processMarkdownFile(filePath, fileName) {
   logger.debug(`Processing markdown file: ${filePath}`);
   
   // Remove .md extension from filename
@@ -293,11 +295,16 @@ function processMarkdownFile(filePath, fileName) {
   // Decode URL-encoded characters in the title
   const decodedTitle = decodeUrlEncoded(title);
   
+  // Front matter is shown as page properties, not as part of the content
+  const { data, body } = parseFrontMatter(await fs.readFile(filePath, 'utf8'));
+  
   return {
     title: decodedTitle,
     originalTitle: title, // Keep the original title for path construction
     path: filePath,
-    isDirectory: false
+    isDirectory: false,
+    content: body,
+    frontMatter: data
   };
 }
 
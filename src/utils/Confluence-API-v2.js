@@ -0,0 +1,284 @@
+/**
+ * Confluence-API-v2.js
+ *
+ * ConfluenceClient backed by the Confluence Cloud REST API v2
+ * (/wiki/api/v2). It has the same methods as the v1 client, takes the same
+ * arguments and returns results in the same shape, so the migration code
+ * works unchanged against either.
+ *
+ * v2 has no endpoints for uploading attachments or moving pages, so those
+ * still go through the v1 API.
+ */
+
+const ConfluenceClient = require('./Confluence-API');
+
+/**
+ * Confluence API Client using REST API v2
+ * @class ConfluenceClientV2
+ */
+class ConfluenceClientV2 extends ConfluenceClient {
+  /**
+   * Create a Confluence v2 client instance
+   * @param {Object} config - Configuration object, as for ConfluenceClient
+   */
+  constructor(config = {}) {
+    super(config);
+    if (this.deployment === 'server') {
+      throw new Error('The Confluence REST API v2 is only available on Confluence Cloud.');
+    }
+    this.v2ApiUrl = `${this.contextPath}/api/v2`;
+    this.v2Instance = this.createAxiosInstance(this.v2ApiUrl);
+    // v2 refers to spaces by ID, the rest of the tool by key
+    this.spaceIds = new Map();
+    this.spaceKeys = new Map();
+  }
+
+  /**
+   * Iterate over every result of a v2 list endpoint, following the cursor
+   * in each response's next link.
+   *
+   * @param {string} path - Endpoint path relative to the v2 API, e.g. '/pages/123/children'.
+   * @param {object} [params] - Query parameters for the first request.
+   * @param {object} [axiosInstance] - Axios instance; defaults to the v2 API.
+   * @yields {object} - Each result in turn.
+   * @throws {Error} - If a request fails.
+   */
+  async *paginate(path, params = {}, axiosInstance = this.v2Instance) {
+    yield* super.paginate(path, params, axiosInstance);
+  }
+
+  /**
+   * Convert a v2 page to the v1 shape returned by ConfluenceClient
+   * @param {object} page - v2 page
+   * @returns {object} - Page with id, type, status, title, space, version and, when requested, body
+   */
+  toV1Page(page) {
+    const result = {
+      id: page.id,
+      type: 'page',
+      status: page.status,
+      title: page.title,
+      space: { id: page.spaceId, key: this.spaceKeys.get(String(page.spaceId)) },
+      parentId: page.parentId,
+      version: page.version,
+      _links: page._links,
+    };
+    if (page.body?.storage) {
+      result.body = {
+        storage: { value: page.body.storage.value, representation: 'storage' },
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Convert a v2 attachment to the v1 shape returned by ConfluenceClient
+   * @param {object} attachment - v2 attachment
+   * @returns {object} - Attachment with id, title, version, metadata and download link
+   */
+  toV1Attachment(attachment) {
+    return {
+      id: attachment.id,
+      type: 'attachment',
+      status: attachment.status,
+      title: attachment.title,
+      version: attachment.version,
+      metadata: { mediaType: attachment.mediaType },
+      extensions: { mediaType: attachment.mediaType, fileSize: attachment.fileSize },
+      _links: { ...attachment._links, download: attachment.downloadLink },
+    };
+  }
+
+  /**
+   * Get the v2 query parameters for a v1-style expand option
+   * @param {object} [expand] - Optional expansions (e.g., {expand: 'body.storage', version: 2}).
+   * @returns {object} - v2 query parameters
+   */
+  toV2Params(expand = {}) {
+    const params = {};
+    if (String(expand.expand || '').includes('body.storage')) {
+      params['body-format'] = 'storage';
+    }
+    if (expand.version) {
+      params.version = expand.version;
+    }
+    return params;
+  }
+
+  /**
+   * Get the ID of a space, which v2 uses in place of its key.
+   *
+   * @param {string} spaceKey - The key of the space.
+   * @returns {Promise<string>} - A promise that resolves to the space ID.
+   * @throws {Error} - If the space does not exist or the request fails.
+   */
+  async getSpaceId(spaceKey) {
+    if (!this.spaceIds.has(spaceKey)) {
+      await this.getSpaceByKey(spaceKey);
+    }
+    return this.spaceIds.get(spaceKey);
+  }
+
+  async getSpaceByKey(spaceKey) {
+    try {
+      const response = await this.v2Instance.get('/spaces', { params: { keys: spaceKey } });
+      const space = response.data.results?.[0];
+      if (!space) {
+        const error = new Error('Request failed with status code 404');
+        error.status = 404;
+        throw error;
+      }
+      this.spaceIds.set(space.key, String(space.id));
+      this.spaceKeys.set(String(space.id), space.key);
+      return {
+        id: space.id,
+        key: space.key,
+        name: space.name,
+        type: space.type,
+        homepage: { id: space.homepageId },
+      };
+    } catch (error) {
+      throw new Error(`Failed to get space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  async getPageById(pageId, expand) {
+    try {
+      const response = await this.v2Instance.get(`/pages/${pageId}`, {
+        params: this.toV2Params(expand),
+      });
+      return this.toV1Page(response.data);
+    } catch (error) {
+      throw new Error(`Failed to get page ${pageId}: ${error.message}`);
+    }
+  }
+
+  async createPage(pageData) {
+    try {
+      const ancestors = pageData.ancestors || [];
+      const response = await this.v2Instance.post('/pages', {
+        spaceId: await this.getSpaceId(pageData.space?.key),
+        status: 'current',
+        title: pageData.title,
+        parentId: ancestors.length > 0 ? ancestors[ancestors.length - 1].id : undefined,
+        body: {
+          representation: 'storage',
+          value: pageData.body?.storage?.value || '',
+        },
+      });
+      return this.toV1Page(response.data);
+    } catch (error) {
+      throw new Error(`Failed to create page: ${error.message}`);
+    }
+  }
+
+  async updatePage(pageId, pageData) {
+    try {
+      // v2 replaces the whole page, so the status and title are always sent
+      const ancestors = pageData.ancestors || [];
+      const response = await this.v2Instance.put(`/pages/${pageId}`, {
+        id: String(pageId),
+        status: 'current',
+        title: pageData.title,
+        parentId: ancestors.length > 0 ? ancestors[ancestors.length - 1].id : undefined,
+        body: {
+          representation: 'storage',
+          value: pageData.body?.storage?.value || '',
+        },
+        version: {
+          number: pageData.version?.number,
+          message: pageData.version?.message,
+        },
+      });
+      return this.toV1Page(response.data);
+    } catch (error) {
+      throw new Error(`Failed to update page ${pageId}: ${error.message}`);
+    }
+  }
+
+  async deletePage(pageId) {
+    try {
+      await this.v2Instance.delete(`/pages/${pageId}`);
+    } catch (error) {
+      throw new Error(`Failed to delete page ${pageId}: ${error.message}`);
+    }
+  }
+
+  async purgePage(pageId) {
+    try {
+      await this.v2Instance.delete(`/pages/${pageId}`, { params: { purge: true } });
+    } catch (error) {
+      throw new Error(`Failed to purge page ${pageId}: ${error.message}`);
+    }
+  }
+
+  async getPageByTitle(spaceKey, title, expand = {}) {
+    try {
+      let decodedTitle = title;
+      try {
+        decodedTitle = decodeURIComponent(title);
+      } catch (e) {
+        console.warn(`Unable to decode title "${title}": ${e.message}`);
+      }
+
+      console.log(`Searching for page with title: "${decodedTitle}" in space ${spaceKey}`);
+
+      const response = await this.v2Instance.get('/pages', {
+        params: {
+          'space-id': await this.getSpaceId(spaceKey),
+          title: decodedTitle,
+          status: 'current',
+          ...this.toV2Params(expand),
+        },
+      });
+
+      const page = response.data.results?.[0];
+      if (page) {
+        console.log(`Found page with title: "${page.title}" (ID: ${page.id})`);
+      } else {
+        console.log(`No page found with title: "${decodedTitle}"`);
+      }
+      return page ? this.toV1Page(page) : null;
+    } catch (error) {
+      throw new Error(`Failed to get page with title "${title}" in space ${spaceKey}: ${error.message}`);
+    }
+  }
+
+  async *iterateChildPages(parentPageId) {
+    try {
+      for await (const child of this.paginate(`/pages/${parentPageId}/children`)) {
+        yield this.toV1Page(child);
+      }
+    } catch (error) {
+      throw new Error(`Failed to fetch child pages for parent page ID ${parentPageId}: ${error.message}`);
+    }
+  }
+
+  async getChildPages(parentPageId) {
+    const children = [];
+    for await (const child of this.iterateChildPages(parentPageId)) {
+      children.push(child);
+    }
+    return children;
+  }
+
+  async *iterateAttachments(pageId) {
+    try {
+      for await (const attachment of this.paginate(`/pages/${pageId}/attachments`)) {
+        yield this.toV1Attachment(attachment);
+      }
+    } catch (error) {
+      throw new Error(`Failed to get attachments for page ${pageId}: ${error.message}`);
+    }
+  }
+
+  async getAttachments(pageId) {
+    const results = [];
+    for await (const attachment of this.iterateAttachments(pageId)) {
+      results.push(attachment);
+    }
+    return { results, size: results.length };
+  }
+}
+
+module.exports = ConfluenceClientV2;
@@ -4,13 +4,21 @@
  * This Node.js module provides functions to interact with the Confluence API.
  * It uses the 'axios' library for making HTTP requests.
  *
+ * It works with Confluence Cloud, where the API lives under /wiki, and with
+ * Confluence Server/Data Center, where it lives under the instance's context
+ * path (part of the base URL) and personal access tokens can be used.
+ *
  * Requires:
  * - axios: npm install axios
  */
 
 const axios = require('axios');
+const { createRetryHandler } = require('./Confluence-Retry');
 require('dotenv').config();
 
+// Positions for the Server/Data Center JSON-RPC movePage call
+const RPC_MOVE_POSITIONS = { before: 'above', after: 'below', append: 'append' };
+
 /**
  * Confluence API Client
  * @class ConfluenceClient
@@ -19,42 +27,101 @@ class ConfluenceClient {
   /**
    * Create a Confluence client instance
    * @param {Object} config - Configuration object
-   * @param {string} [config.baseUrl] - The base URL of your Confluence instance
+   * @param {string} [config.baseUrl] - The base URL of your Confluence instance, including the context path on Server/Data Center
+   * @param {string} [config.deployment] - 'cloud' (default) or 'server' for Confluence Server/Data Center
    * @param {string} [config.username] - Your Confluence username
-   * @param {string} [config.apiToken] - Your Confluence API token
+   * @param {string} [config.apiToken] - Your Confluence API token, or password on Server/Data Center
+   * @param {string} [config.personalAccessToken] - Server/Data Center personal access token, used instead of username and API token
+   * @param {Object} [config.retry] - Retry options for throttled or failed requests, see Confluence-Retry.js
+   * @param {number} [config.pageSize] - Number of results to ask for per request when listing (default 100)
    */
   constructor(config = {}) {
     // Use provided values or fall back to environment variables
-    this.baseUrl = config.baseUrl || process.env.CONFLUENCE_BASE_URL;
+    this.baseUrl = (config.baseUrl || process.env.CONFLUENCE_BASE_URL || '').replace(/\/+$/, '');
+    this.deployment = (config.deployment || process.env.CONFLUENCE_DEPLOYMENT || 'cloud').toLowerCase() === 'server'
+      ? 'server'
+      : 'cloud';
     this.username = config.username || process.env.CONFLUENCE_USERNAME;
     this.apiToken = config.apiToken || process.env.CONFLUENCE_API_TOKEN;
-    this.apiUrl = '/wiki/rest/api'
+    this.personalAccessToken = config.personalAccessToken || process.env.CONFLUENCE_PAT;
+    // Cloud serves Confluence under /wiki; on Server the context path is part of the base URL
+    this.contextPath = this.deployment === 'server' ? '' : '/wiki';
+    this.apiUrl = `${this.contextPath}/rest/api`;
+    this.pageSize = config.pageSize || 100;
     // Validate required parameters
-    if (!this.baseUrl || !this.username || !this.apiToken) {
-      throw new Error('Missing required configuration. Please provide baseUrl, username, and apiToken either through constructor or environment variables.');
+    if (!this.baseUrl || !(this.personalAccessToken || (this.username && this.apiToken))) {
+      throw new Error('Missing required configuration. Please provide baseUrl, and either a personal access token or username and apiToken, through constructor or environment variables.');
     }
 
+    // Retry throttled and failed requests
+    this.retry = createRetryHandler(config.retry);
+
     // Initialize axios instance with authentication
-    this.axiosInstance = axios.create({
-      baseURL: this.baseUrl + this.apiUrl,
+    this.axiosInstance = this.createAxiosInstance(this.apiUrl);
+  }
+
+  /**
+   * Create an axios instance for one of the Confluence REST APIs, with
+   * authentication, retries and error handling
+   * @param {string} apiUrl - API path below the base URL, e.g. '/wiki/rest/api'
+   * @returns {Object} - Axios instance
+   */
+  createAxiosInstance(apiUrl) {
+    const axiosInstance = axios.create({
+      baseURL: this.baseUrl + apiUrl,
       timeout: 10000, // Set a timeout for requests (10 seconds)
       headers: {
-        'Authorization': `Basic ${Buffer.from(`${this.username}:${this.apiToken}`).toString('base64')}`,
+        'Authorization': this.getAuthorizationHeader(),
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       }
     });
 
+    // Retries must see the original axios error, so they go first
+    this.retry.attach(axiosInstance);
+
     // Add response interceptor for error handling
-    this.axiosInstance.interceptors.response.use(
+    axiosInstance.interceptors.response.use(
       response => response,
       error => {
         const customError = new Error(error.message);
-        customError.status = error.response?.status;
-        customError.data = error.response?.data;
+        // Errors from a retried request were already converted by the retry's own request
+        customError.status = error.response?.status ?? error.status;
+        customError.data = error.response?.data ?? error.data;
         throw customError;
       }
     );
+    return axiosInstance;
+  }
+
+  /**
+   * Get the Authorization header value: a bearer token when a personal access
+   * token is configured, otherwise Basic auth
+   * @returns {string} - Authorization header value
+   */
+  getAuthorizationHeader() {
+    if (this.personalAccessToken) {
+      return `Bearer ${this.personalAccessToken}`;
+    }
+    return `Basic ${Buffer.from(`${this.username}:${this.apiToken}`).toString('base64')}`;
+  }
+
+  /**
+   * Describe how the client connects, for log messages
+   * @returns {string} - e.g. "Confluence Cloud with basic auth"
+   */
+  describeConnection() {
+    const flavour = this.deployment === 'server' ? 'Confluence Server/Data Center' : 'Confluence Cloud';
+    const auth = this.personalAccessToken ? 'a personal access token' : 'basic auth';
+    return `${flavour} at ${this.getWebUrl()} with ${auth}`;
+  }
+
+  /**
+   * Get statistics about retried requests
+   * @returns {Object} - Request, retry and wait counts
+   */
+  getRetryStats() {
+    return this.retry.stats;
   }
 
   /**
@@ -65,6 +132,60 @@ class ConfluenceClient {
     return this.baseUrl;
   }
 
+  /**
+   * Get the URL Confluence pages and downloads are served under, which
+   * attachment download links and page links are relative to
+   * @returns {string} The base URL with the Confluence context path
+   */
+  getWebUrl() {
+    return this.baseUrl + this.contextPath;
+  }
+
+  /**
+   * Iterate over every result of a list endpoint, requesting more results as
+   * needed. Confluence returns list results a page at a time with a link to
+   * the next page, for both start/limit and cursor based endpoints.
+   *
+   * @param {string} path - Endpoint path relative to the REST API, e.g. '/content/123/child/page'.
+   * @param {object} [params] - Query parameters for the first request.
+   * @param {object} [axiosInstance] - Axios instance for the API the path belongs to.
+   * @yields {object} - Each result in turn.
+   * @throws {Error} - If a request fails.
+   */
+  async *paginate(path, params = {}, axiosInstance = this.axiosInstance) {
+    let url = path;
+    let query = { limit: this.pageSize, ...params };
+
+    while (url) {
+      const response = await axiosInstance.get(url, { params: query });
+      const { results = [], _links: links = {} } = response.data;
+      yield* results;
+
+      // The next link already carries the query. Depending on the API it does
+      // or does not start with the /wiki context, so keep only the part after
+      // the API root.
+      url = links.next ? links.next.replace(/^.*?\/(?:rest\/api|api\/v2)(?=[/?]|$)/, '') : null;
+      query = undefined;
+    }
+  }
+
+  /**
+   * Collect every result of a list endpoint. The path is always one of the
+   * v1 REST API, also in clients that paginate another API by default.
+   *
+   * @param {string} path - Endpoint path relative to the REST API.
+   * @param {object} [params] - Query parameters for the first request.
+   * @returns {Promise<Array<object>>} - All results.
+   * @throws {Error} - If a request fails.
+   */
+  async getAll(path, params = {}) {
+    const results = [];
+    for await (const result of this.paginate(path, params, this.axiosInstance)) {
+      results.push(result);
+    }
+    return results;
+  }
+
   /**
    * Gets a page by ID.
    *
@@ -135,28 +256,198 @@ class ConfluenceClient {
   }
 
   /**
-   * Gets attachments for a page.
+   * Purges a deleted page from the space trash, for good.
+   *
+   * @param {string} pageId - The ID of the page, which must already be in the trash.
+   * @returns {Promise<void>} - A promise that resolves when the page is purged.
+   * @throws {Error} - If the request fails.
+   */
+  async purgePage(pageId) {
+    try {
+      await this.axiosInstance.delete(`/content/${pageId}`, {
+        params: { status: 'trashed' },
+      });
+    } catch (error) {
+      throw new Error(`Failed to purge page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves a page relative to another page.
+   *
+   * @param {string} pageId - The ID of the page to move.
+   * @param {string} position - Where to move the page: 'before' or 'after' the target (as a sibling), or 'append' (as its last child).
+   * @param {string} targetId - The ID of the target page.
+   * @returns {Promise<object>} - A promise that resolves to the move result.
+   * @throws {Error} - If the request fails.
+   */
+  async movePage(pageId, position, targetId) {
+    try {
+      if (this.deployment === 'server') {
+        return await this.movePageWithRpc(pageId, position, targetId);
+      }
+      const response = await this.axiosInstance.put(`/content/${pageId}/move/${position}/${targetId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to move page ${pageId} ${position} ${targetId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves a page on Server/Data Center, whose REST API has no move endpoint,
+   * through the JSON-RPC API.
+   *
+   * @param {string} pageId - The ID of the page to move.
+   * @param {string} position - 'before', 'after' or 'append', as for movePage.
+   * @param {string} targetId - The ID of the target page.
+   * @returns {Promise<object>} - A promise that resolves to the move result.
+   * @throws {Error} - If the request fails or Confluence reports an error.
+   */
+  async movePageWithRpc(pageId, position, targetId) {
+    const rpcPosition = RPC_MOVE_POSITIONS[position];
+    if (!rpcPosition) {
+      throw new Error(`Unknown position ${position}`);
+    }
+    const response = await this.axiosInstance.post(
+      `${this.baseUrl}${this.contextPath}/rpc/json-rpc/confluenceservice-v2/movePage`,
+      [String(pageId), String(targetId), rpcPosition]
+    );
+    // JSON-RPC reports failures in the body of a successful response
+    if (response.data?.error) {
+      throw new Error(response.data.error.message || 'JSON-RPC error');
+    }
+    return { pageId: String(pageId) };
+  }
+
+  /**
+   * Iterate over the attachments of a page.
    *
    * @param {string} pageId - The ID of the page.
-   * @returns {Promise<object>} - A promise that resolves to the attachments object.
+   * @yields {object} - Each attachment in turn.
+   * @throws {Error} - If a request fails.
+   */
+  async *iterateAttachments(pageId) {
+    try {
+      yield* this.paginate(`/content/${pageId}/child/attachment`);
+    } catch (error) {
+      throw new Error(`Failed to get attachments for page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets all attachments for a page.
+   *
+   * @param {string} pageId - The ID of the page.
+   * @returns {Promise<object>} - A promise that resolves to the attachments object, with every attachment in results.
    * @throws {Error} - If the request fails.
    */
   async getAttachments(pageId) {
     try {
-      const response = await this.axiosInstance.get(`/content/${pageId}/child/attachment`);
-      return response.data;
+      const results = await this.getAll(`/content/${pageId}/child/attachment`);
+      return { results, size: results.length };
     } catch (error) {
       throw new Error(`Failed to get attachments for page ${pageId}: ${error.message}`);
     }
   }
 
+  /**
+   * Gets the labels of a page.
+   *
+   * @param {string} pageId - The ID of the page.
+   * @returns {Promise<string[]>} - A promise that resolves to the label names.
+   * @throws {Error} - If the request fails.
+   */
+  async getLabels(pageId) {
+    try {
+      const labels = await this.getAll(`/content/${pageId}/label`);
+      return labels.map((label) => label.name);
+    } catch (error) {
+      throw new Error(`Failed to get labels for page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds labels to a page. Labels the page already has are left as they are.
+   *
+   * @param {string} pageId - The ID of the page.
+   * @param {string[]} labels - The label names to add.
+   * @returns {Promise<object>} - A promise that resolves to the page's labels.
+   * @throws {Error} - If the request fails.
+   */
+  async addLabels(pageId, labels) {
+    try {
+      const response = await this.axiosInstance.post(
+        `/content/${pageId}/label`,
+        labels.map((name) => ({ prefix: 'global', name }))
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to add labels to page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes labels from a page. Labels the page does not have are ignored.
+   *
+   * @param {string} pageId - The ID of the page.
+   * @param {string[]} labels - The label names to remove.
+   * @returns {Promise<void>} - A promise that resolves when the labels are removed.
+   * @throws {Error} - If the request fails.
+   */
+  async removeLabels(pageId, labels) {
+    for (const name of labels) {
+      try {
+        // The query form also works for labels the path form cannot encode
+        await this.axiosInstance.delete(`/content/${pageId}/label`, { params: { name } });
+      } catch (error) {
+        if (error.status === 404) continue;
+        throw new Error(`Failed to remove label ${name} from page ${pageId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Gets a page as it was at an earlier version.
+   *
+   * @param {string} pageId - The ID of the page.
+   * @param {number} versionNumber - The version to get.
+   * @returns {Promise<object>} - A promise that resolves to the page at that version, with its storage-format body.
+   * @throws {Error} - If the request fails.
+   */
+  async getPageVersion(pageId, versionNumber) {
+    try {
+      const response = await this.axiosInstance.get(`/content/${pageId}`, {
+        params: { status: 'historical', version: versionNumber, expand: 'body.storage,version' },
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get version ${versionNumber} of page ${pageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an attachment, moving it to the trash.
+   *
+   * @param {string} attachmentId - The ID of the attachment.
+   * @returns {Promise<void>} - A promise that resolves when the attachment is deleted.
+   * @throws {Error} - If the request fails.
+   */
+  async deleteAttachment(attachmentId) {
+    try {
+      await this.axiosInstance.delete(`/content/${attachmentId}`);
+    } catch (error) {
+      throw new Error(`Failed to delete attachment ${attachmentId}: ${error.message}`);
+    }
+  }
+
   /**
    * Uploads an attachment to a page.
    *
    * @param {string} pageId - The ID of the page.
    * @param {string} filePath - The path to the file to upload.
    * @param {Object|string} fileInfo - File info object with fileName, mimeType, etc., or string filename.
-   * @returns {Promise<object>} - A promise that resolves to the uploaded attachment object.
+   * @param {boolean} [fileInfo.replaceExisting] - Upload a new version when an attachment with the same name exists, instead of skipping it.
+   * @returns {Promise<object>} - A promise that resolves to the uploaded attachment object, flagged with existing: true when an existing attachment was kept instead.
    * @throws {Error} - If the request fails.
    */
   async uploadAttachment(pageId, filePath, fileInfo) {
@@ -181,14 +472,19 @@ class ConfluenceClient {
       }
       
       // Check if attachment already exists to prevent duplicate uploads
+      let uploadUrl = `/content/${pageId}/child/attachment`;
       try {
         const attachments = await this.getAttachments(pageId);
         const existingAttachment = attachments.results.find(att => att.title === fileName);
         
-        if (existingAttachment) {
+        if (existingAttachment && fileInfo?.replaceExisting) {
+          // Upload the file as a new version of the existing attachment
+          console.log(`Attachment ${fileName} already exists on page ${pageId}, uploading a new version`);
+          uploadUrl = `/content/${pageId}/child/attachment/${existingAttachment.id}/data`;
+        } else if (existingAttachment) {
           console.log(`Attachment ${fileName} already exists on page ${pageId}, skipping upload`);
           // Return the existing attachment info
-          return { results: [existingAttachment] };
+          return { results: [existingAttachment], existing: true };
         }
       } catch (error) {
         // Just log the error but continue with the upload attempt
@@ -213,7 +509,7 @@ class ConfluenceClient {
       form.append('minorEdit', 'true');
       
       // Log the request details
-      console.log(`POST request to /content/${pageId}/child/attachment`);
+      console.log(`POST request to ${uploadUrl}`);
       console.log(`Uploading ${fileName}, size: ${fileBuffer.length} bytes, MIME: ${fileInfo?.mimeType || 'auto-detected'}`);
 
       // Set additional headers for attachment handling
@@ -223,13 +519,16 @@ class ConfluenceClient {
         'Accept': 'application/json'
       };
       
-      // Make the API request
-      const response = await this.axiosInstance.post(`/content/${pageId}/child/attachment`, form, { headers });
+      // Make the API request. The form is sent as a buffer rather than a stream
+      // so the request can be repeated if it has to be retried.
+      const response = await this.axiosInstance.post(uploadUrl, form.getBuffer(), { headers });
       
       if (response.status === 200) {
+        // Uploading a new version returns the attachment itself rather than a result list
+        const data = response.data.results ? response.data : { results: [response.data] };
         console.log(`Successfully uploaded attachment: ${fileName}`);
-        console.log(`Attachment ID: ${response.data.results?.[0]?.id || 'unknown'}`);
-        return response.data;
+        console.log(`Attachment ID: ${data.results?.[0]?.id || 'unknown'}`);
+        return data;
       } else {
         throw new Error(`Unexpected response status: ${response.status}`);
       }
@@ -337,14 +636,26 @@ class ConfluenceClient {
   }
 
   /**
-   * Fetch child pages of a given parent page
+   * Iterate over the child pages of a given parent page
+   * @param {string} parentPageId - Parent page ID
+   * @yields {object} - Each child page in turn, in their order in Confluence
+   */
+  async *iterateChildPages(parentPageId) {
+    try {
+      yield* this.paginate(`/content/${parentPageId}/child/page`);
+    } catch (error) {
+      throw new Error(`Failed to fetch child pages for parent page ID ${parentPageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch all child pages of a given parent page
    * @param {string} parentPageId - Parent page ID
    * @returns {Promise<Array>} - List of child pages
    */
   async getChildPages(parentPageId) {
     try {
-      const response = await this.axiosInstance.get(`/content/${parentPageId}/child/page`);
-      return response.data.results || [];
+      return await this.getAll(`/content/${parentPageId}/child/page`);
     } catch (error) {
       throw new Error(`Failed to fetch child pages for parent page ID ${parentPageId}: ${error.message}`);
     }
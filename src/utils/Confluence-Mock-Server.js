@@ -0,0 +1,962 @@
+/**
+ * Confluence-Mock-Server.js
+ *
+ * A local stand-in for the Confluence Cloud REST API (v1 and v2) covering the
+ * endpoints used by ConfluenceClient and ConfluenceClientV2, so migrations can
+ * run without a live Atlassian instance, e.g. in CI or on air-gapped machines.
+ *
+ * Pages follow the same rules as Confluence: titles are unique within a space
+ * (ignoring case), updates must increment the version number, and every
+ * version is kept. State lives in memory, or in a data directory when one is
+ * given so it survives between runs.
+ *
+ * By default the API is served under /wiki like on Confluence Cloud. As a
+ * Server/Data Center instance it is served at the root, moves go through
+ * the JSON-RPC API, and a personal access token can be required.
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+
+const DEFAULT_LIMIT = 25;
+
+/**
+ * Create an error that is sent back as an HTTP error response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a statusCode property
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Split a multipart/form-data body into fields and files
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header of the request
+ * @returns {{fields: Object, files: Array}} - Form fields and uploaded files
+ */
+function parseMultipart(body, contentType) {
+  const fields = {};
+  const files = [];
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    return { fields, files };
+  }
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  let start = body.indexOf(boundary);
+  while (start !== -1) {
+    const next = body.indexOf(boundary, start + boundary.length);
+    if (next === -1) break;
+
+    // Each part sits between "boundary\r\n" and "\r\n" before the next boundary
+    const part = body.slice(start + boundary.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const data = part.slice(headerEnd + 4);
+      const name = /;\s*name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /;\s*filename="([^"]*)"/i.exec(headers)?.[1];
+      const mediaType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+      if (filename !== undefined) {
+        files.push({ name, filename, mediaType, data });
+      } else if (name) {
+        fields[name] = data.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Mock Confluence server
+ * @class ConfluenceMockServer
+ */
+class ConfluenceMockServer {
+  /**
+   * Create a mock server
+   * @param {Object} [options] - Server options
+   * @param {string} [options.dataDir] - Directory to persist state in; state is kept in memory only when omitted
+   * @param {string} [options.spaceKey] - Space to create on start if it does not exist
+   * @param {string} [options.rootPageId] - ID of the space's home page, created on start if it does not exist
+   * @param {string} [options.deployment] - 'cloud' (default) or 'server' to behave like Confluence Server/Data Center
+   * @param {string} [options.contextPath] - Path a Server/Data Center instance is served under, e.g. '/confluence'
+   * @param {string} [options.personalAccessToken] - Only accept requests with this bearer token
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir ? path.resolve(options.dataDir) : null;
+    this.spaceKey = options.spaceKey || 'MOCK';
+    this.rootPageId = options.rootPageId ? String(options.rootPageId) : null;
+    this.deployment = options.deployment === 'server' ? 'server' : 'cloud';
+    this.personalAccessToken = options.personalAccessToken || null;
+    this.contextPath = this.deployment === 'server' ? options.contextPath || '' : '/wiki';
+    this.apiPrefix = `${this.contextPath}/rest/api`;
+    this.v2Prefix = `${this.contextPath}/api/v2`;
+    this.downloadPrefix = `${this.contextPath}/download/attachments`;
+    this.rpcPrefix = `${this.contextPath}/rpc/json-rpc/confluenceservice-v2`;
+    this.server = null;
+    this.baseUrl = null;
+    this.state = { nextId: 1000, spaces: {}, pages: {}, attachments: {} };
+    // Attachment file contents keyed by "<attachmentId>-<version>" when running in memory
+    this.files = new Map();
+    // Saves are chained so parallel requests never write the state file at once
+    this.pendingSave = Promise.resolve();
+    // Canned failures returned for the next requests, see failNextRequests
+    this.failures = [];
+    this.requestCount = 0;
+  }
+
+  /**
+   * Load state, seed the space and start listening
+   * @param {number} [port] - Port to listen on; a free port is picked when 0
+   * @returns {Promise<string>} - Base URL to give ConfluenceClient
+   */
+  async start(port = 0) {
+    await this.loadState();
+    await this.seedSpace();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Get a page and its descendants as a tree, for assertions in tests
+   * @param {string} [pageId] - Root of the tree; defaults to the space home page
+   * @returns {Object|null} - {id, title, version, body, attachments, labels, children}
+   */
+  getPageTree(pageId) {
+    const page = this.state.pages[String(pageId || this.getHomepageId())];
+    if (!page || page.status !== 'current') return null;
+
+    return {
+      id: page.id,
+      title: page.title,
+      version: page.version.number,
+      body: page.body,
+      attachments: this.getPageAttachments(page.id).map((attachment) => attachment.title),
+      labels: page.labels || [],
+      children: this.getChildren(page.id).map((child) => this.getPageTree(child.id)),
+    };
+  }
+
+  /**
+   * Make the next requests fail, to test throttling and outages. Each failure
+   * is either an HTTP response ({status, headers}) or {reset: true} to drop
+   * the connection without answering, or null to let a request through.
+   * @param {Array<Object>} failures - Failures for the next requests, in order
+   */
+  failNextRequests(failures) {
+    this.failures.push(...failures);
+  }
+
+  /**
+   * Get the ID of the seeded space's home page
+   * @returns {string} - Page ID
+   */
+  getHomepageId() {
+    return this.state.spaces[this.spaceKey]?.homepageId;
+  }
+
+  async loadState() {
+    if (!this.dataDir) return;
+
+    const statePath = path.join(this.dataDir, 'state.json');
+    if (await fs.pathExists(statePath)) {
+      this.state = await fs.readJson(statePath);
+    }
+  }
+
+  async saveState() {
+    if (!this.dataDir) return;
+
+    const statePath = path.join(this.dataDir, 'state.json');
+    const save = this.pendingSave.then(async () => {
+      await fs.ensureDir(this.dataDir);
+      await fs.writeJson(`${statePath}.tmp`, this.state, { spaces: 2 });
+      await fs.move(`${statePath}.tmp`, statePath, { overwrite: true });
+    });
+    // A failed save is reported to its request but does not block later ones
+    this.pendingSave = save.catch(() => {});
+    await save;
+  }
+
+  async seedSpace() {
+    if (this.state.spaces[this.spaceKey]) return;
+
+    const homepageId = this.rootPageId || this.nextId();
+    this.state.spaces[this.spaceKey] = {
+      id: Number(this.nextId()),
+      key: this.spaceKey,
+      name: `${this.spaceKey} (mock)`,
+      type: 'global',
+      homepageId,
+    };
+    this.insertPage({
+      id: homepageId,
+      spaceKey: this.spaceKey,
+      title: `${this.spaceKey} Home`,
+      parentId: null,
+      body: '',
+    });
+    await this.saveState();
+  }
+
+  nextId() {
+    return String(this.state.nextId++);
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const body = await new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+      });
+      this.requestCount++;
+
+      const failure = this.failures.shift();
+      if (failure?.reset) {
+        req.socket.destroy();
+        return;
+      }
+      if (failure) {
+        res.writeHead(failure.status, {
+          'Content-Type': 'application/json',
+          ...failure.headers,
+        });
+        res.end(JSON.stringify({ statusCode: failure.status, message: 'Simulated failure' }));
+        return;
+      }
+
+      if (!req.headers.authorization) {
+        throw httpError(401, 'Authentication required');
+      }
+      if (this.personalAccessToken && req.headers.authorization !== `Bearer ${this.personalAccessToken}`) {
+        throw httpError(401, 'Invalid personal access token');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const result = await this.route(req.method, url, body, req.headers['content-type']);
+
+      if (Buffer.isBuffer(result)) {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(result);
+      } else if (result === undefined) {
+        res.writeHead(204);
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      }
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ statusCode, message: error.message }));
+    }
+  }
+
+  async route(method, url, body, contentType) {
+    const query = Object.fromEntries(url.searchParams);
+    const parseJson = () => {
+      try {
+        return JSON.parse(body.toString('utf8') || '{}');
+      } catch (error) {
+        throw httpError(400, `Invalid JSON body: ${error.message}`);
+      }
+    };
+
+    if (url.pathname.startsWith(this.downloadPrefix) && method === 'GET') {
+      const [pageId, fileName] = url.pathname
+        .slice(this.downloadPrefix.length + 1)
+        .split('/')
+        .map(decodeURIComponent);
+      return this.downloadAttachment(pageId, fileName);
+    }
+
+    if (this.deployment === 'server' && url.pathname === `${this.rpcPrefix}/movePage` && method === 'POST') {
+      return this.movePageRpc(parseJson());
+    }
+    // Server/Data Center only has the v1 API
+    if (this.deployment === 'cloud' && url.pathname.startsWith(this.v2Prefix)) {
+      return this.routeV2(method, url, query, parseJson);
+    }
+    if (!url.pathname.startsWith(this.apiPrefix)) {
+      throw httpError(404, `No such endpoint: ${url.pathname}`);
+    }
+    const form = () => parseMultipart(body, contentType);
+    const routes = [
+      ['GET', /^\/space\/([^/]+)$/, ([spaceKey]) => this.getSpace(spaceKey)],
+      ['GET', /^\/content$/, () => this.findPages(query)],
+      ['POST', /^\/content$/, () => this.createPage(parseJson())],
+      ['GET', /^\/content\/([^/]+)$/, ([id]) => this.getPage(id, query)],
+      ['PUT', /^\/content\/([^/]+)$/, ([id]) => this.updatePage(id, parseJson())],
+      ['DELETE', /^\/content\/([^/]+)$/, ([id]) => this.deletePage(id, query)],
+      ['GET', /^\/content\/([^/]+)\/child\/page$/, ([id]) => this.listChildPages(id, query)],
+      ['GET', /^\/content\/([^/]+)\/child\/attachment$/, ([id]) => this.listAttachments(id, query)],
+      ['POST', /^\/content\/([^/]+)\/child\/attachment$/, ([id]) => this.createAttachment(id, form())],
+      ['POST', /^\/content\/([^/]+)\/child\/attachment\/([^/]+)\/data$/,
+        ([id, attachmentId]) => this.updateAttachmentData(id, attachmentId, form())],
+      ['GET', /^\/content\/([^/]+)\/label$/, ([id]) => this.listLabels(id, query)],
+      ['POST', /^\/content\/([^/]+)\/label$/, ([id]) => this.addLabels(id, parseJson())],
+      ['DELETE', /^\/content\/([^/]+)\/label$/, ([id]) => this.removeLabel(id, query.name)],
+      ['DELETE', /^\/content\/([^/]+)\/label\/([^/]+)$/, ([id, name]) => this.removeLabel(id, name)],
+    ];
+    // Server/Data Center has no REST endpoint for moving pages
+    if (this.deployment === 'cloud') {
+      routes.push(['PUT', /^\/content\/([^/]+)\/move\/([^/]+)\/([^/]+)$/,
+        ([id, position, targetId]) => this.movePage(id, position, targetId)]);
+    }
+    return this.dispatch(routes, method, url.pathname, this.apiPrefix);
+  }
+
+  routeV2(method, url, query, parseJson) {
+    const routes = [
+      ['GET', /^\/spaces$/, () => this.listSpacesV2(query)],
+      ['GET', /^\/pages$/, () => this.findPagesV2(query)],
+      ['POST', /^\/pages$/, () => this.createPageV2(parseJson())],
+      ['GET', /^\/pages\/([^/]+)$/, ([id]) => this.getPageV2(id, query)],
+      ['PUT', /^\/pages\/([^/]+)$/, ([id]) => this.updatePageV2(id, parseJson())],
+      ['DELETE', /^\/pages\/([^/]+)$/, ([id]) =>
+        this.deletePage(id, query.purge === 'true' ? { status: 'trashed' } : {})],
+      ['GET', /^\/pages\/([^/]+)\/children$/, ([id]) => this.listChildPagesV2(id, query)],
+      ['GET', /^\/pages\/([^/]+)\/attachments$/, ([id]) => this.listAttachmentsV2(id, query)],
+    ];
+    return this.dispatch(routes, method, url.pathname, this.v2Prefix);
+  }
+
+  dispatch(routes, method, pathname, prefix) {
+    const apiPath = pathname.slice(prefix.length);
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = pattern.exec(apiPath);
+      if (match && routeMethod === method) {
+        return handler(match.slice(1).map(decodeURIComponent));
+      }
+    }
+    throw httpError(404, `No such endpoint: ${method} ${pathname}`);
+  }
+
+  // Spaces
+
+  getSpace(spaceKey) {
+    const space = this.state.spaces[spaceKey];
+    if (!space) {
+      throw httpError(404, `No space with key : ${spaceKey}`);
+    }
+    return {
+      id: space.id,
+      key: space.key,
+      name: space.name,
+      type: space.type,
+      homepage: this.toPageJson(this.state.pages[space.homepageId]),
+    };
+  }
+
+  // Pages
+
+  requirePage(pageId) {
+    const page = this.state.pages[String(pageId)];
+    if (!page || page.status !== 'current') {
+      throw httpError(404, `No content found with id: ${pageId}`);
+    }
+    return page;
+  }
+
+  findPageByTitle(spaceKey, title) {
+    const wanted = String(title).toLowerCase();
+    return Object.values(this.state.pages).find(
+      (page) =>
+        page.status === 'current' &&
+        page.spaceKey === spaceKey &&
+        page.title.toLowerCase() === wanted
+    );
+  }
+
+  getChildren(pageId) {
+    return Object.values(this.state.pages)
+      .filter((page) => page.status === 'current' && page.parentId === String(pageId))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  getPageAttachments(pageId) {
+    return Object.values(this.state.attachments).filter(
+      (attachment) => attachment.pageId === String(pageId)
+    );
+  }
+
+  insertPage({ id, spaceKey, title, parentId, body }) {
+    const when = new Date().toISOString();
+    const siblings = parentId ? this.getChildren(parentId) : [];
+    const page = {
+      id,
+      type: 'page',
+      status: 'current',
+      spaceKey,
+      title,
+      parentId,
+      position: siblings.length > 0 ? siblings[siblings.length - 1].position + 1 : 0,
+      body,
+      version: { number: 1, when },
+      history: [{ number: 1, when, title, body, parentId }],
+    };
+    this.state.pages[id] = page;
+    return page;
+  }
+
+  toPageJson(page, expand = '', versionNumber = null) {
+    const expansions = String(expand).split(',').map((item) => item.trim());
+    const version = versionNumber
+      ? page.history.find((entry) => entry.number === Number(versionNumber))
+      : { ...page.version, title: page.title, body: page.body };
+    if (!version) {
+      throw httpError(404, `No version ${versionNumber} of content ${page.id}`);
+    }
+
+    const json = {
+      id: page.id,
+      type: page.type,
+      status: versionNumber && versionNumber !== page.version.number ? 'historical' : page.status,
+      title: version.title,
+      space: { key: page.spaceKey },
+      version: { number: version.number, when: version.when, minorEdit: false },
+      _links: {
+        webui: `/spaces/${page.spaceKey}/pages/${page.id}`,
+        self: `${this.baseUrl}${this.apiPrefix}/content/${page.id}`,
+      },
+    };
+    if (expansions.includes('body.storage')) {
+      json.body = { storage: { value: version.body, representation: 'storage' } };
+    }
+    if (expansions.includes('ancestors')) {
+      json.ancestors = this.getAncestors(page).map((ancestor) => ({
+        id: ancestor.id,
+        type: ancestor.type,
+        title: ancestor.title,
+      }));
+    }
+    return json;
+  }
+
+  getAncestors(page) {
+    const ancestors = [];
+    let parent = this.state.pages[page.parentId];
+    while (parent) {
+      ancestors.unshift(parent);
+      parent = this.state.pages[parent.parentId];
+    }
+    return ancestors;
+  }
+
+  paginate(items, query, selfPath) {
+    const start = Number(query.start) || 0;
+    const limit = Number(query.limit) || DEFAULT_LIMIT;
+    const results = items.slice(start, start + limit);
+    const links = { base: `${this.baseUrl}${this.contextPath}`, context: this.contextPath };
+    if (start + limit < items.length) {
+      const next = new URLSearchParams({ ...query, start: start + limit, limit });
+      links.next = `/rest/api${selfPath}?${next.toString()}`;
+    }
+    return { results, start, limit, size: results.length, _links: links };
+  }
+
+  // v2 lists are paged with an opaque cursor instead of a start offset
+  paginateV2(items, query, selfPath) {
+    const start = query.cursor ? Number(Buffer.from(query.cursor, 'base64url').toString('utf8')) : 0;
+    const limit = Math.min(Number(query.limit) || DEFAULT_LIMIT, 250);
+    const results = items.slice(start, start + limit);
+    const links = { base: `${this.baseUrl}${this.contextPath}` };
+    if (start + limit < items.length) {
+      const cursor = Buffer.from(String(start + limit)).toString('base64url');
+      const next = new URLSearchParams({ ...query, cursor, limit });
+      links.next = `${this.v2Prefix}${selfPath}?${next.toString()}`;
+    }
+    return { results, _links: links };
+  }
+
+  findPages(query) {
+    let pages = Object.values(this.state.pages).filter(
+      (page) => page.status === 'current' && (!query.type || query.type === page.type)
+    );
+    if (query.spaceKey) {
+      pages = pages.filter((page) => page.spaceKey === query.spaceKey);
+    }
+    if (query.title) {
+      const wanted = query.title.toLowerCase();
+      pages = pages.filter((page) => page.title.toLowerCase() === wanted);
+    }
+    return this.paginate(
+      pages.map((page) => this.toPageJson(page, query.expand)),
+      query,
+      '/content'
+    );
+  }
+
+  getPage(pageId, query) {
+    const page = this.state.pages[String(pageId)];
+    if (!page || (page.status !== 'current' && page.status !== query.status)) {
+      throw httpError(404, `No content found with id: ${pageId}`);
+    }
+    return this.toPageJson(page, query.expand, query.version);
+  }
+
+  async createPage(pageData) {
+    const spaceKey = pageData.space?.key;
+    if (!pageData.title) {
+      throw httpError(400, 'Content must have a title');
+    }
+    if (!this.state.spaces[spaceKey]) {
+      throw httpError(404, `No space with key : ${spaceKey}`);
+    }
+    if (this.findPageByTitle(spaceKey, pageData.title)) {
+      throw httpError(
+        400,
+        `A page with this title already exists: A page already exists with the title ${pageData.title} in this space`
+      );
+    }
+
+    const ancestors = pageData.ancestors || [];
+    const parentId = ancestors.length > 0
+      ? String(ancestors[ancestors.length - 1].id)
+      : this.state.spaces[spaceKey].homepageId;
+    this.requirePage(parentId);
+
+    const page = this.insertPage({
+      id: this.nextId(),
+      spaceKey,
+      title: pageData.title,
+      parentId,
+      body: pageData.body?.storage?.value || '',
+    });
+    await this.saveState();
+    return this.toPageJson(page, 'body.storage,ancestors');
+  }
+
+  async updatePage(pageId, pageData) {
+    const page = this.requirePage(pageId);
+    const versionNumber = pageData.version?.number;
+    if (versionNumber !== page.version.number + 1) {
+      throw httpError(
+        409,
+        `Version must be incremented on update. Current version is: ${page.version.number}`
+      );
+    }
+
+    const title = pageData.title || page.title;
+    const existing = this.findPageByTitle(page.spaceKey, title);
+    if (existing && existing.id !== page.id) {
+      throw httpError(
+        400,
+        `A page with this title already exists: A page already exists with the title ${title} in this space`
+      );
+    }
+
+    const ancestors = pageData.ancestors || [];
+    if (ancestors.length > 0) {
+      const parentId = String(ancestors[ancestors.length - 1].id);
+      const parent = this.requirePage(parentId);
+      if (parent.id === page.id || this.getAncestors(parent).some((ancestor) => ancestor.id === page.id)) {
+        throw httpError(400, 'Cannot move a page under itself or its descendants');
+      }
+      if (parentId !== page.parentId) {
+        page.parentId = parentId;
+        page.position = this.getChildren(parentId).length;
+      }
+    }
+
+    const when = new Date().toISOString();
+    page.title = title;
+    page.body = pageData.body?.storage?.value ?? page.body;
+    const message = pageData.version?.message;
+    page.version = { number: versionNumber, when, message };
+    page.history.push({ number: versionNumber, when, message, title, body: page.body, parentId: page.parentId });
+    await this.saveState();
+    return this.toPageJson(page, 'body.storage,ancestors');
+  }
+
+  async deletePage(pageId, query) {
+    // Attachments are content too, and are deleted through the same endpoint
+    const attachment = this.state.attachments[String(pageId)];
+    if (attachment) {
+      delete this.state.attachments[attachment.id];
+      await this.saveState();
+      return undefined;
+    }
+
+    const page = this.state.pages[String(pageId)];
+
+    // Deleting a trashed page with status=trashed purges it for good
+    if (page && page.status === 'trashed' && query.status === 'trashed') {
+      delete this.state.pages[page.id];
+      for (const attachment of this.getPageAttachments(page.id)) {
+        delete this.state.attachments[attachment.id];
+      }
+      await this.saveState();
+      return undefined;
+    }
+
+    this.requirePage(pageId);
+
+    // Like Confluence, child pages move up to the deleted page's parent
+    for (const child of this.getChildren(page.id)) {
+      child.parentId = page.parentId;
+      child.position = this.getChildren(page.parentId).length;
+    }
+    page.status = 'trashed';
+    await this.saveState();
+    return undefined;
+  }
+
+  async movePage(pageId, position, targetId) {
+    const page = this.requirePage(pageId);
+    const target = this.requirePage(targetId);
+    if (page.id === target.id || this.getAncestors(target).some((ancestor) => ancestor.id === page.id)) {
+      throw httpError(400, 'Cannot move a page relative to itself or its descendants');
+    }
+
+    const parentId = position === 'append' ? target.id : target.parentId;
+    if (!['append', 'before', 'after'].includes(position) || !parentId) {
+      throw httpError(400, `Cannot move page ${position} ${targetId}`);
+    }
+
+    const siblings = this.getChildren(parentId).filter((sibling) => sibling.id !== page.id);
+    let index = siblings.length;
+    if (position !== 'append') {
+      index = siblings.findIndex((sibling) => sibling.id === target.id) + (position === 'after' ? 1 : 0);
+    }
+    siblings.splice(index, 0, page);
+    siblings.forEach((sibling, siblingIndex) => {
+      sibling.position = siblingIndex;
+    });
+    page.parentId = parentId;
+
+    await this.saveState();
+    return { pageId: page.id };
+  }
+
+  // JSON-RPC answers errors with HTTP 200 and an error object
+  async movePageRpc(params) {
+    const [pageId, targetId, position] = Array.isArray(params) ? params : [];
+    const positions = { above: 'before', below: 'after', append: 'append' };
+    try {
+      return (await this.movePage(pageId, positions[position] || position, targetId)) && true;
+    } catch (error) {
+      return { error: { code: error.statusCode || 500, message: error.message } };
+    }
+  }
+
+  listChildPages(pageId, query) {
+    this.requirePage(pageId);
+    return this.paginate(
+      this.getChildren(pageId).map((child) => this.toPageJson(child, query.expand)),
+      query,
+      `/content/${pageId}/child/page`
+    );
+  }
+
+  // Pages (v2)
+
+  toPageJsonV2(page, bodyFormat, versionNumber = null) {
+    const version = versionNumber
+      ? page.history.find((entry) => entry.number === Number(versionNumber))
+      : { ...page.version, title: page.title, body: page.body };
+    if (!version) {
+      throw httpError(404, `No version ${versionNumber} of page ${page.id}`);
+    }
+
+    return {
+      id: page.id,
+      status: versionNumber && Number(versionNumber) !== page.version.number ? 'historical' : page.status,
+      title: version.title,
+      spaceId: String(this.state.spaces[page.spaceKey].id),
+      parentId: page.parentId,
+      parentType: page.parentId ? 'page' : null,
+      position: page.position,
+      createdAt: page.history[0].when,
+      version: { number: version.number, createdAt: version.when, message: version.message || '' },
+      body: bodyFormat === 'storage'
+        ? { storage: { representation: 'storage', value: version.body } }
+        : {},
+      _links: { webui: `/spaces/${page.spaceKey}/pages/${page.id}` },
+    };
+  }
+
+  getSpaceKeyById(spaceId) {
+    const space = Object.values(this.state.spaces).find((item) => String(item.id) === String(spaceId));
+    if (!space) {
+      throw httpError(404, `No space with id: ${spaceId}`);
+    }
+    return space.key;
+  }
+
+  listSpacesV2(query) {
+    const keys = query.keys ? query.keys.split(',') : null;
+    const spaces = Object.values(this.state.spaces)
+      .filter((space) => !keys || keys.includes(space.key))
+      .map((space) => ({
+        id: String(space.id),
+        key: space.key,
+        name: space.name,
+        type: space.type,
+        status: 'current',
+        homepageId: space.homepageId,
+      }));
+    return this.paginateV2(spaces, query, '/spaces');
+  }
+
+  findPagesV2(query) {
+    let pages = Object.values(this.state.pages).filter(
+      (page) => page.status === (query.status || 'current')
+    );
+    if (query['space-id']) {
+      const spaceKey = this.getSpaceKeyById(query['space-id']);
+      pages = pages.filter((page) => page.spaceKey === spaceKey);
+    }
+    if (query.title) {
+      pages = pages.filter((page) => page.title === query.title);
+    }
+    return this.paginateV2(
+      pages.map((page) => this.toPageJsonV2(page, query['body-format'])),
+      query,
+      '/pages'
+    );
+  }
+
+  getPageV2(pageId, query) {
+    const page = this.requirePage(pageId);
+    return this.toPageJsonV2(page, query['body-format'], query.version);
+  }
+
+  async createPageV2(pageData) {
+    if (pageData.body && pageData.body.representation !== 'storage') {
+      throw httpError(400, 'Only the storage representation is supported');
+    }
+    const spaceKey = this.getSpaceKeyById(pageData.spaceId);
+    const created = await this.createPage({
+      title: pageData.title,
+      space: { key: spaceKey },
+      ancestors: pageData.parentId ? [{ id: pageData.parentId }] : [],
+      body: { storage: { value: pageData.body?.value || '' } },
+    });
+    return this.toPageJsonV2(this.state.pages[created.id], 'storage');
+  }
+
+  async updatePageV2(pageId, pageData) {
+    // v2 replaces the whole page, so the status and title are required
+    if (!pageData.status || !pageData.title) {
+      throw httpError(400, 'Page updates must include the status and title');
+    }
+    await this.updatePage(pageId, {
+      title: pageData.title,
+      ancestors: pageData.parentId ? [{ id: pageData.parentId }] : [],
+      body: { storage: { value: pageData.body?.value || '' } },
+      version: { number: pageData.version?.number, message: pageData.version?.message },
+    });
+    return this.toPageJsonV2(this.state.pages[String(pageId)], 'storage');
+  }
+
+  listChildPagesV2(pageId, query) {
+    this.requirePage(pageId);
+    return this.paginateV2(
+      this.getChildren(pageId).map((child) => ({
+        id: child.id,
+        status: child.status,
+        title: child.title,
+        spaceId: String(this.state.spaces[child.spaceKey].id),
+        childPosition: child.position,
+      })),
+      query,
+      `/pages/${pageId}/children`
+    );
+  }
+
+  listAttachmentsV2(pageId, query) {
+    this.requirePage(pageId);
+    let attachments = this.getPageAttachments(pageId);
+    if (query.filename) {
+      attachments = attachments.filter((attachment) => attachment.title === query.filename);
+    }
+    return this.paginateV2(
+      attachments.map((attachment) => {
+        const v1 = this.toAttachmentJson(attachment);
+        return {
+          id: attachment.id,
+          status: 'current',
+          title: attachment.title,
+          pageId: attachment.pageId,
+          mediaType: attachment.mediaType,
+          fileSize: attachment.fileSize,
+          version: { number: attachment.version },
+          downloadLink: v1._links.download,
+          _links: { download: v1._links.download },
+        };
+      }),
+      query,
+      `/pages/${pageId}/attachments`
+    );
+  }
+
+  // Attachments
+
+  toAttachmentJson(attachment) {
+    return {
+      id: attachment.id,
+      type: 'attachment',
+      status: 'current',
+      title: attachment.title,
+      version: { number: attachment.version },
+      metadata: { mediaType: attachment.mediaType },
+      extensions: { mediaType: attachment.mediaType, fileSize: attachment.fileSize },
+      _links: {
+        download: `/download/attachments/${attachment.pageId}/${encodeURIComponent(attachment.title)}?version=${attachment.version}`,
+      },
+    };
+  }
+
+  listAttachments(pageId, query) {
+    this.requirePage(pageId);
+    let attachments = this.getPageAttachments(pageId);
+    if (query.filename) {
+      attachments = attachments.filter((attachment) => attachment.title === query.filename);
+    }
+    return this.paginate(
+      attachments.map((attachment) => this.toAttachmentJson(attachment)),
+      query,
+      `/content/${pageId}/child/attachment`
+    );
+  }
+
+  async writeFile(attachment, data) {
+    const key = `${attachment.id}-${attachment.version}`;
+    if (this.dataDir) {
+      await fs.outputFile(path.join(this.dataDir, 'attachments', key), data);
+    } else {
+      this.files.set(key, data);
+    }
+  }
+
+  async createAttachment(pageId, form) {
+    this.requirePage(pageId);
+    const file = form.files.find((upload) => upload.name === 'file');
+    if (!file) {
+      throw httpError(400, 'No file found in the request');
+    }
+    if (this.getPageAttachments(pageId).some((attachment) => attachment.title === file.filename)) {
+      throw httpError(
+        400,
+        `Cannot add a new attachment with same file name as an existing attachment: ${file.filename}`
+      );
+    }
+
+    const attachment = {
+      id: `att${this.nextId()}`,
+      pageId: String(pageId),
+      title: file.filename,
+      mediaType: file.mediaType || 'application/octet-stream',
+      fileSize: file.data.length,
+      version: 1,
+    };
+    this.state.attachments[attachment.id] = attachment;
+    await this.writeFile(attachment, file.data);
+    await this.saveState();
+    return this.paginate([this.toAttachmentJson(attachment)], {}, `/content/${pageId}/child/attachment`);
+  }
+
+  async updateAttachmentData(pageId, attachmentId, form) {
+    this.requirePage(pageId);
+    const attachment = this.state.attachments[attachmentId];
+    if (!attachment || attachment.pageId !== String(pageId)) {
+      throw httpError(404, `No attachment found with id: ${attachmentId}`);
+    }
+    const file = form.files.find((upload) => upload.name === 'file');
+    if (!file) {
+      throw httpError(400, 'No file found in the request');
+    }
+
+    attachment.version += 1;
+    attachment.fileSize = file.data.length;
+    attachment.mediaType = file.mediaType || attachment.mediaType;
+    await this.writeFile(attachment, file.data);
+    await this.saveState();
+    return this.toAttachmentJson(attachment);
+  }
+
+  async downloadAttachment(pageId, fileName) {
+    const attachment = this.getPageAttachments(pageId).find((item) => item.title === fileName);
+    if (!attachment) {
+      throw httpError(404, `No attachment ${fileName} on page ${pageId}`);
+    }
+
+    const key = `${attachment.id}-${attachment.version}`;
+    if (this.dataDir) {
+      return fs.readFile(path.join(this.dataDir, 'attachments', key));
+    }
+    return this.files.get(key);
+  }
+
+  // Labels
+
+  toLabelJson(name) {
+    return { prefix: 'global', name, id: name, label: name };
+  }
+
+  listLabels(pageId, query) {
+    const page = this.requirePage(pageId);
+    return this.paginate(
+      (page.labels || []).map((label) => this.toLabelJson(label)),
+      query,
+      `/content/${pageId}/label`
+    );
+  }
+
+  async addLabels(pageId, labels) {
+    const page = this.requirePage(pageId);
+    if (!Array.isArray(labels) || labels.some((label) => !label?.name)) {
+      throw httpError(400, 'Expected an array of labels with names');
+    }
+    page.labels = page.labels || [];
+    labels.forEach(({ name }) => {
+      const label = String(name).toLowerCase();
+      if (/[\s:;,.?&[\]()#^*@!"'<>|/\\]/.test(label)) {
+        throw httpError(400, `Invalid label: ${name}`);
+      }
+      if (!page.labels.includes(label)) page.labels.push(label);
+    });
+    await this.saveState();
+    return this.paginate(page.labels.map((label) => this.toLabelJson(label)), {}, `/content/${pageId}/label`);
+  }
+
+  async removeLabel(pageId, name) {
+    const page = this.requirePage(pageId);
+    const label = String(name || '').toLowerCase();
+    if (!(page.labels || []).includes(label)) {
+      throw httpError(404, `No label ${name} on content ${pageId}`);
+    }
+    page.labels = page.labels.filter((item) => item !== label);
+    await this.saveState();
+  }
+}
+
+module.exports = ConfluenceMockServer;
@@ -0,0 +1,255 @@
+/**
+ * Confluence-Retry.js
+ *
+ * Retries for requests made through ConfluenceClient's axios instance, so a
+ * throttled or briefly unavailable Confluence only repeats the request that
+ * failed instead of the whole operation.
+ *
+ * Requests are retried on 429, 502, 503 and 504 responses and on connection
+ * resets and timeouts. The wait honours the Retry-After and X-RateLimit-*
+ * headers Confluence Cloud sends, and falls back to exponential backoff with
+ * jitter. While Confluence asks clients to wait, every request made through
+ * the same client waits, not only the one that was throttled.
+ */
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+];
+// Only these methods are retried when the request may have reached Confluence.
+// A POST that timed out may still have created the page or attachment.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 5,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  maxElapsed: 300000,
+};
+
+/**
+ * Read a retry setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} scale - Multiplier applied to the value, e.g. 1000 for seconds
+ * @returns {number|undefined} - Setting, or undefined when not set
+ */
+function fromEnv(name, scale = 1) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value * scale : undefined;
+}
+
+/**
+ * Get retry options from the environment, for settings not given explicitly
+ * @returns {Object} - Retry options
+ */
+function getRetryOptionsFromEnv() {
+  const options = {
+    maxRetries: fromEnv('CONFLUENCE_MAX_RETRIES'),
+    maxElapsed: fromEnv('CONFLUENCE_RETRY_MAX_ELAPSED', 1000),
+  };
+  return Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Get the reason a failed request can be retried
+ * @param {Error} error - Axios error
+ * @returns {string|null} - Status code or error code, or null when the request should not be retried
+ */
+function getRetryReason(error) {
+  const method = (error.config?.method || 'get').toLowerCase();
+  const status = error.response?.status;
+
+  if (status) {
+    if (!RETRYABLE_STATUSES.includes(status)) return null;
+    // 429 and 503 mean the request was turned away without being processed
+    if (status === 429 || status === 503 || IDEMPOTENT_METHODS.includes(method)) {
+      return String(status);
+    }
+    return null;
+  }
+
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) {
+    // A refused connection never reached Confluence, so it is safe for any method
+    if (error.code === 'ECONNREFUSED' || IDEMPOTENT_METHODS.includes(method)) {
+      return error.code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get how long Confluence asked clients to wait, from the response headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null when the headers do not say
+ */
+function getRequestedDelay(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // Confluence Cloud sends the time the rate limit window resets as an ISO date
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    const reset = Date.parse(headers['x-ratelimit-reset']);
+    if (!Number.isNaN(reset)) {
+      return Math.max(0, reset - Date.now());
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out how long to wait before retrying a request
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Number of retries so far
+ * @param {Object} options - Retry options
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, options) {
+  const requested = getRequestedDelay(error.response?.headers);
+  if (requested !== null) {
+    // A little jitter so waiting requests do not all resume at the same moment
+    return requested + Math.random() * Math.min(1000, requested * 0.1 + 100);
+  }
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  const delay = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Create a retry handler that can be added to one or more axios instances.
+ * Instances sharing a handler share its statistics, and wait together when
+ * Confluence asks for a pause.
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxRetries] - Retries per request
+ * @param {number} [options.baseDelay] - First backoff delay in milliseconds
+ * @param {number} [options.maxDelay] - Longest backoff delay in milliseconds
+ * @param {number} [options.maxElapsed] - Give up on a request once retrying it would take longer than this, in milliseconds
+ * @param {function(string): void} [options.log] - Called with a message before each retry
+ * @returns {{stats: Object, attach: function(Object): void}} - Retry statistics, updated as requests are made, and a function adding retries to an axios instance
+ */
+function createRetryHandler(options = {}) {
+  const settings = {
+    ...DEFAULT_OPTIONS,
+    ...getRetryOptionsFromEnv(),
+    ...options,
+  };
+  const log = settings.log || ((message) => console.warn(message));
+  const stats = {
+    requests: 0,
+    retries: 0,
+    retriedRequests: 0,
+    failedAfterRetries: 0,
+    waitedMs: 0,
+    reasons: {},
+  };
+  // Requests wait until this time when Confluence asked clients to back off
+  let pausedUntil = 0;
+
+  /**
+   * Add retries to an axios instance. Call this before adding any interceptor
+   * that replaces the axios error, as the retry decision needs the original
+   * response and request config.
+   * @param {Object} axiosInstance - Axios instance
+   */
+  const attach = (axiosInstance) => {
+    axiosInstance.interceptors.request.use(async (config) => {
+      if (!config.retryState) {
+        config.retryState = { attempt: 0, startedAt: Date.now() };
+        stats.requests++;
+      }
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      return config;
+    });
+
+    axiosInstance.interceptors.response.use(
+      (response) => {
+        // Running out of requests in the current window: hold back until it resets
+        const delay = getRequestedDelay(response.headers);
+        if (delay !== null && response.headers['x-ratelimit-remaining'] === '0') {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        return response;
+      },
+      async (error) => {
+        const config = error.config;
+        const reason = config?.retryState ? getRetryReason(error) : null;
+        if (!reason) {
+          throw error;
+        }
+
+        const state = config.retryState;
+        const delay = getRetryDelay(error, state.attempt, settings);
+        const elapsed = Date.now() - state.startedAt;
+        if (
+          state.attempt >= settings.maxRetries ||
+          elapsed + delay > settings.maxElapsed
+        ) {
+          if (state.attempt > 0) stats.failedAfterRetries++;
+          throw error;
+        }
+
+        if (reason === '429' || reason === '503') {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        if (state.attempt === 0) stats.retriedRequests++;
+        state.attempt++;
+        stats.retries++;
+        stats.waitedMs += delay;
+        stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+
+        log(
+          `${config.method?.toUpperCase()} ${config.url} failed (${reason}), retry ${state.attempt}/${settings.maxRetries} in ${(delay / 1000).toFixed(1)}s`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return axiosInstance.request(config);
+      }
+    );
+  };
+
+  return { stats, attach };
+}
+
+/**
+ * Describe retry statistics for the end of a run
+ * @param {Object} stats - Retry statistics from createRetryHandler
+ * @returns {string} - Summary line
+ */
+function formatRetryStats(stats) {
+  if (stats.retries === 0) {
+    return `Confluence requests: ${stats.requests}, no retries needed`;
+  }
+  const reasons = Object.entries(stats.reasons)
+    .map(([reason, count]) => `${reason}: ${count}`)
+    .join(', ');
+  return (
+    `Confluence requests: ${stats.requests}, retried ${stats.retriedRequests} requests ` +
+    `${stats.retries} times (${reasons}), waited ${(stats.waitedMs / 1000).toFixed(1)}s, ` +
+    `${stats.failedAfterRetries} failed after retrying`
+  );
+}
+
+module.exports = {
+  createRetryHandler,
+  formatRetryStats,
+  getRetryReason,
+  getRequestedDelay,
+};
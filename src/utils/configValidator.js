@@ -1,11 +1,16 @@
 const validateConfig = (config) => {
   const requiredConfigs = {
-    confluence: ['baseUrl', 'password', 'spaceKey', 'parentPageId'],
+    confluence: ['baseUrl', 'spaceKey', 'parentPageId'],
     paths: ['wikiRoot']
   };
 
   const errors = [];
 
+  // An API token (or password on Server/Data Center) or a personal access token
+  if (!config.confluence?.password && !config.confluence?.personalAccessToken) {
+    errors.push('Missing required config: confluence.password or confluence.personalAccessToken');
+  }
+
   for (const [section, fields] of Object.entries(requiredConfigs)) {
     for (const field of fields) {
       if (!config[section]?.[field]) {
@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  uploadAttachments,
+} = require("../src/confluence/attachmentOperations");
+
+test("a page whose attachments cannot be processed is reported as failed", async () => {
+  const pagePath = path.join(__dirname, "fixtures", "missing", "Page.md");
+
+  const result = await uploadAttachments(null, "1000", pagePath, {});
+
+  assert.deepEqual(result.uploaded, []);
+  assert.deepEqual(result.added, {});
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.failed[0].page, pagePath);
+  assert.match(result.failed[0].error, /ENOENT/);
+});
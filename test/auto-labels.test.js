@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { getAutoLabels, applyAutoLabels } = require("../src/confluence/autoLabels");
+
+const wikiRoot = path.join("/", "wiki");
+
+test("pages are labelled with their folders, the project and the run", () => {
+  const page = {
+    path: path.join(wikiRoot, "Team-Docs", "Release%2DNotes", "2024.md"),
+  };
+
+  assert.deepEqual(
+    getAutoLabels(page, wikiRoot, {
+      projectName: "Contoso Web",
+      runLabel: "migrated-from-ado",
+    }),
+    ["team-docs", "release-notes", "contoso-web", "migrated-from-ado"]
+  );
+});
+
+test("automatic labels are added to front matter labels", () => {
+  const pages = [
+    {
+      path: path.join(wikiRoot, "Home.md"),
+      labels: ["api"],
+      children: [{ path: path.join(wikiRoot, "Home", "Setup.md") }],
+    },
+  ];
+
+  applyAutoLabels(pages, wikiRoot, { runLabel: "migrated-from-ado" });
+
+  assert.deepEqual(pages[0].labels, ["api", "migrated-from-ado"]);
+  assert.deepEqual(pages[0].children[0].labels, ["home", "migrated-from-ado"]);
+});
@@ -0,0 +1,151 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Configuration is read when the migration modules load, so point it at the
+// fixture wiki and a scratch working directory first
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "wiki-migrate-v2-"));
+const wikiDir = path.join(__dirname, "fixtures", "wiki");
+Object.assign(process.env, {
+  CONFLUENCE_MOCK: "true",
+  CONFLUENCE_API_VERSION: "2",
+  CONFLUENCE_SPACE_KEY: "TEST",
+  CONFLUENCE_PARENT_PAGE_ID: "1",
+  WIKI_ROOT_DIR: wikiDir,
+  ATTACHMENTS_PATH: path.join(wikiDir, ".attachments"),
+  PASS_VALIDATION: "0",
+});
+process.chdir(workDir);
+
+const ConfluenceClientV2 = require("../src/utils/Confluence-API-v2");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const {
+  startConfluenceProcess,
+  startSyncProcess,
+} = require("../src/confluence");
+
+let mockServer;
+let client;
+
+/**
+ * Reduce a page tree to titles, for comparing hierarchy and order
+ * @param {Object} page - Page tree from the mock server
+ * @returns {Object} - {title, children}
+ */
+function titles(page) {
+  return { title: page.title, children: page.children.map(titles) };
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClientV2({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+    pageSize: 2,
+  });
+});
+
+after(async () => {
+  await mockServer.stop();
+  process.chdir(__dirname);
+  await fs.remove(workDir);
+});
+
+test("pages are created, read and updated through v2", async () => {
+  const created = await client.createPage({
+    type: "page",
+    title: "Through v2",
+    space: { key: "TEST" },
+    ancestors: [{ id: "1" }],
+    body: { storage: { value: "<p>one</p>", representation: "storage" } },
+  });
+  assert.equal(created.version.number, 1);
+  assert.equal(created.space.key, "TEST");
+
+  await client.updatePage(created.id, {
+    title: "Through v2",
+    version: { number: 2 },
+    body: { storage: { value: "<p>two</p>", representation: "storage" } },
+  });
+
+  const current = await client.getPageByTitle("TEST", "Through v2", {
+    expand: "body.storage",
+  });
+  const first = await client.getPageById(created.id, {
+    expand: "body.storage",
+    version: 1,
+  });
+  assert.equal(current.body.storage.value, "<p>two</p>");
+  assert.equal(current.version.number, 2);
+  assert.equal(first.body.storage.value, "<p>one</p>");
+
+  await client.deletePage(created.id);
+  assert.equal(await client.getPageByTitle("TEST", "Through v2"), null);
+});
+
+test("child pages are read with cursor pagination", async () => {
+  const parent = await client.createPage({
+    type: "page",
+    title: "Cursor parent",
+    space: { key: "TEST" },
+    ancestors: [{ id: "1" }],
+  });
+  for (const title of ["First", "Second", "Third"]) {
+    await client.createPage({
+      type: "page",
+      title,
+      space: { key: "TEST" },
+      ancestors: [{ id: parent.id }],
+    });
+  }
+
+  const children = await client.getChildPages(parent.id);
+  assert.deepEqual(
+    children.map((child) => child.title),
+    ["First", "Second", "Third"]
+  );
+});
+
+test("labels are read and added through v1", async () => {
+  const page = await client.createPage({
+    type: "page",
+    title: "Labelled",
+    space: { key: "TEST" },
+    ancestors: [{ id: "1" }],
+  });
+
+  await client.addLabels(page.id, ["first", "second", "third"]);
+
+  assert.deepEqual(await client.getLabels(page.id), [
+    "first",
+    "second",
+    "third",
+  ]);
+});
+
+test("unknown spaces are reported as not found", async () => {
+  await assert.rejects(client.getSpaceByKey("NOPE"), /status code 404/);
+});
+
+test("migrate and sync work unchanged against v2", async () => {
+  await startConfluenceProcess(client);
+
+  const tree = mockServer.getPageTree("1");
+  const guide = tree.children.find((page) => page.title === "Guide");
+  assert.deepEqual(titles(guide), {
+    title: "Guide",
+    children: [
+      { title: "Setup", children: [] },
+      { title: "Install", children: [] },
+    ],
+  });
+  const install = guide.children.find((page) => page.title === "Install");
+  assert.deepEqual(install.attachments, ["diagram.png"]);
+
+  const report = await startSyncProcess(client);
+  assert.equal(report.unchanged.length, 4);
+  assert.equal(report.failed.length, 0);
+});
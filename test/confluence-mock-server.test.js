@@ -0,0 +1,122 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+
+let mockServer;
+let client;
+
+/**
+ * Build page data for ConfluenceClient.createPage
+ * @param {string} title - Page title
+ * @param {string} parentId - Parent page ID
+ * @returns {Object} - Page data
+ */
+function newPage(title, parentId = "1") {
+  return {
+    type: "page",
+    title,
+    space: { key: "TEST" },
+    ancestors: [{ id: parentId }],
+    body: { storage: { value: `<p>${title}</p>`, representation: "storage" } },
+  };
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+  });
+});
+
+after(async () => {
+  await mockServer.stop();
+});
+
+test("page titles are unique within a space", async () => {
+  await client.createPage(newPage("Unique"));
+
+  await assert.rejects(client.createPage(newPage("unique")), /status code 400/);
+  assert.equal((await client.getPageByTitle("TEST", "Unique")).title, "Unique");
+});
+
+test("updates must increment the version", async () => {
+  const page = await client.createPage(newPage("Versioned"));
+  const update = (number) =>
+    client.updatePage(page.id, {
+      type: "page",
+      title: "Versioned",
+      version: { number },
+      body: { storage: { value: `<p>v${number}</p>`, representation: "storage" } },
+    });
+
+  await assert.rejects(update(1), /status code 409/);
+  await update(2);
+
+  const current = await client.getPageById(page.id, { expand: "body.storage" });
+  const first = await client.getPageById(page.id, {
+    expand: "body.storage",
+    version: 1,
+    status: "historical",
+  });
+  assert.equal(current.version.number, 2);
+  assert.equal(current.body.storage.value, "<p>v2</p>");
+  assert.equal(first.body.storage.value, "<p>Versioned</p>");
+});
+
+test("child pages keep their position and can be moved", async () => {
+  const parent = await client.createPage(newPage("Parent"));
+  const a = await client.createPage(newPage("A", parent.id));
+  const b = await client.createPage(newPage("B", parent.id));
+
+  await client.movePage(b.id, "before", a.id);
+
+  const children = await client.getChildPages(parent.id);
+  assert.deepEqual(
+    children.map((child) => child.title),
+    ["B", "A"]
+  );
+});
+
+test("attachments can be uploaded and replaced", async () => {
+  const page = await client.createPage(newPage("With attachment"));
+  const filePath = path.join(os.tmpdir(), `mock-attachment-${process.pid}.txt`);
+  await fs.writeFile(filePath, "first");
+
+  try {
+    await client.uploadAttachment(page.id, filePath, { fileName: "notes.txt" });
+    await fs.writeFile(filePath, "second");
+    await client.uploadAttachment(page.id, filePath, {
+      fileName: "notes.txt",
+      replaceExisting: true,
+    });
+  } finally {
+    await fs.remove(filePath);
+  }
+
+  const attachments = await client.getAttachments(page.id);
+  assert.equal(attachments.results.length, 1);
+  assert.equal(attachments.results[0].version.number, 2);
+});
+
+test("labels can be added, listed and removed", async () => {
+  const page = await client.createPage(newPage("Labelled"));
+
+  await client.addLabels(page.id, ["migrated-from-ado", "guide"]);
+  await client.addLabels(page.id, ["guide"]);
+  assert.deepEqual(await client.getLabels(page.id), ["migrated-from-ado", "guide"]);
+
+  await client.removeLabels(page.id, ["guide", "not-there"]);
+  assert.deepEqual(await client.getLabels(page.id), ["migrated-from-ado"]);
+  await assert.rejects(client.addLabels(page.id, ["two words"]), /status code 400/);
+});
+
+test("requests without credentials are rejected", async () => {
+  const response = await fetch(`${mockServer.baseUrl}/wiki/rest/api/space/TEST`);
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const { deletePagesUnderParent } = require("../src/confluence/pageOperations");
+
+let mockServer;
+let client;
+
+/**
+ * Create pages under a parent
+ * @param {string} parentId - Parent page ID
+ * @param {string} prefix - Title prefix
+ * @param {number} count - Number of pages
+ * @returns {Promise<Array<Object>>} - Created pages
+ */
+async function createChildren(parentId, prefix, count) {
+  const pages = [];
+  for (let i = 1; i <= count; i++) {
+    pages.push(
+      await client.createPage({
+        type: "page",
+        title: `${prefix} ${i}`,
+        space: { key: "TEST" },
+        ancestors: [{ id: parentId }],
+        body: { storage: { value: "", representation: "storage" } },
+      })
+    );
+  }
+  return pages;
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  // A small page size so a handful of results spans several requests
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+    pageSize: 5,
+  });
+});
+
+after(async () => {
+  await mockServer.stop();
+});
+
+test("child pages are read across every page of results", async () => {
+  const parent = (await createChildren("1", "Many children", 1))[0];
+  const children = await createChildren(parent.id, "Child", 12);
+
+  const requestsBefore = mockServer.requestCount;
+  const listed = await client.getChildPages(parent.id);
+
+  assert.deepEqual(
+    listed.map((page) => page.id),
+    children.map((page) => page.id)
+  );
+  assert.equal(mockServer.requestCount - requestsBefore, 3);
+});
+
+test("child pages can be iterated without reading them all first", async () => {
+  const parent = (await createChildren("1", "Iterated", 1))[0];
+  await createChildren(parent.id, "Iterated child", 8);
+
+  const requestsBefore = mockServer.requestCount;
+  const iterator = client.iterateChildPages(parent.id);
+  const first = await iterator.next();
+  await iterator.return();
+
+  assert.equal(first.value.title, "Iterated child 1");
+  assert.equal(mockServer.requestCount - requestsBefore, 1);
+});
+
+test("attachments beyond the first page of results are found", async () => {
+  const page = (await createChildren("1", "Attachments", 1))[0];
+  const filePath = path.join(os.tmpdir(), `paginated-${process.pid}.txt`);
+  await fs.writeFile(filePath, "content");
+
+  try {
+    for (let i = 1; i <= 7; i++) {
+      await client.uploadAttachment(page.id, filePath, `file-${i}.txt`);
+    }
+    // Already attached, so this must be skipped rather than rejected as a duplicate
+    const result = await client.uploadAttachment(page.id, filePath, "file-7.txt");
+    assert.equal(result.results[0].title, "file-7.txt");
+    assert.notEqual(result.results[0].id, "unknown");
+  } finally {
+    await fs.remove(filePath);
+  }
+
+  const attachments = await client.getAttachments(page.id);
+  assert.equal(attachments.results.length, 7);
+});
+
+test("deleting pages under a parent removes every child", async () => {
+  const parent = (await createChildren("1", "To empty", 1))[0];
+  await createChildren(parent.id, "Doomed", 11);
+
+  await deletePagesUnderParent(client, parent.id);
+
+  assert.deepEqual(await client.getChildPages(parent.id), []);
+});
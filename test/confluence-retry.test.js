@@ -0,0 +1,140 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const { getRequestedDelay } = require("../src/utils/Confluence-Retry");
+
+let mockServer;
+let baseUrl;
+
+/**
+ * Create a client against the mock server with short backoff delays
+ * @param {Object} [retry] - Retry options
+ * @returns {ConfluenceClient} - Client with its own retry statistics
+ */
+function createClient(retry = {}) {
+  return new ConfluenceClient({
+    baseUrl,
+    username: "mock",
+    apiToken: "mock",
+    retry: { baseDelay: 10, log: () => {}, ...retry },
+  });
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  baseUrl = await mockServer.start();
+});
+
+after(async () => {
+  await mockServer.stop();
+});
+
+test("throttled requests are retried after Retry-After", async () => {
+  const client = createClient();
+  mockServer.failNextRequests([
+    { status: 429, headers: { "Retry-After": "0" } },
+    { status: 503 },
+  ]);
+
+  const space = await client.getSpaceByKey("TEST");
+
+  assert.equal(space.key, "TEST");
+  assert.deepEqual(client.getRetryStats().reasons, { 429: 1, 503: 1 });
+  assert.equal(client.getRetryStats().retriedRequests, 1);
+});
+
+test("connection resets are retried", async () => {
+  const client = createClient();
+  mockServer.failNextRequests([{ reset: true }]);
+
+  await client.getPageById("1");
+
+  assert.deepEqual(client.getRetryStats().reasons, { ECONNRESET: 1 });
+});
+
+test("page creation is not repeated after a gateway error", async () => {
+  const client = createClient();
+  mockServer.failNextRequests([{ status: 502 }]);
+
+  await assert.rejects(
+    client.createPage({
+      type: "page",
+      title: "Maybe created",
+      space: { key: "TEST" },
+      ancestors: [{ id: "1" }],
+      body: { storage: { value: "<p>x</p>", representation: "storage" } },
+    }),
+    /status code 502/
+  );
+  assert.equal(client.getRetryStats().retries, 0);
+});
+
+test("attachment uploads can be retried", async () => {
+  const client = createClient();
+  const filePath = path.join(os.tmpdir(), `retry-attachment-${process.pid}.txt`);
+  await fs.writeFile(filePath, "content");
+
+  try {
+    // The first request looks for an existing attachment, the second uploads
+    mockServer.failNextRequests([null, { status: 429, headers: { "Retry-After": "0" } }]);
+    const result = await client.uploadAttachment("1", filePath, "retry.txt");
+    assert.equal(result.results[0].title, "retry.txt");
+  } finally {
+    await fs.remove(filePath);
+  }
+  assert.equal(client.getRetryStats().retries, 1);
+});
+
+test("requests give up after the retry limit", async () => {
+  const client = createClient({ maxRetries: 2 });
+  mockServer.failNextRequests([{ status: 504 }, { status: 504 }, { status: 504 }]);
+
+  await assert.rejects(client.getPageById("1"), (error) => {
+    assert.match(error.message, /status code 504/);
+    return true;
+  });
+  assert.equal(client.getRetryStats().retries, 2);
+  assert.equal(client.getRetryStats().failedAfterRetries, 1);
+});
+
+test("requests give up when waiting would exceed the time budget", async () => {
+  const client = createClient({ maxElapsed: 1000 });
+  mockServer.failNextRequests([{ status: 429, headers: { "Retry-After": "30" } }]);
+
+  const startedAt = Date.now();
+  await assert.rejects(client.getPageById("1"), /status code 429/);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("a throttled request holds back other requests", async () => {
+  const client = createClient();
+  mockServer.failNextRequests([{ status: 429, headers: { "Retry-After": "0.3" } }]);
+
+  const startedAt = Date.now();
+  const throttled = client.getPageById("1");
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await client.getSpaceByKey("TEST");
+
+  assert.ok(Date.now() - startedAt >= 300);
+  await throttled;
+});
+
+test("rate limit headers are understood", () => {
+  assert.equal(getRequestedDelay({ "retry-after": "2" }), 2000);
+  assert.ok(
+    getRequestedDelay({
+      "retry-after": new Date(Date.now() + 5000).toUTCString(),
+    }) > 3000
+  );
+  assert.ok(
+    getRequestedDelay({
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": new Date(Date.now() + 5000).toISOString(),
+    }) > 4000
+  );
+  assert.equal(getRequestedDelay({ "x-ratelimit-remaining": "10" }), null);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceClientV2 = require("../src/utils/Confluence-API-v2");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const { testAuthentication } = require("../src/confluence/authTest");
+
+const PAT = "server-personal-access-token";
+
+let mockServer;
+let baseUrl;
+
+/**
+ * Create a Server/Data Center client against the mock server
+ * @param {Object} [options] - Client options overriding the defaults
+ * @returns {ConfluenceClient} - Client
+ */
+function createServerClient(options = {}) {
+  return new ConfluenceClient({
+    baseUrl,
+    deployment: "server",
+    personalAccessToken: PAT,
+    retry: { maxRetries: 0 },
+    ...options,
+  });
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({
+    spaceKey: "TEST",
+    rootPageId: "1",
+    deployment: "server",
+    contextPath: "/confluence",
+    personalAccessToken: PAT,
+  });
+  baseUrl = `${await mockServer.start()}/confluence`;
+});
+
+after(async () => {
+  await mockServer.stop();
+});
+
+test("a personal access token is sent as a bearer token", async () => {
+  const client = createServerClient();
+
+  assert.equal(client.getAuthorizationHeader(), `Bearer ${PAT}`);
+  assert.equal((await client.getSpaceByKey("TEST")).key, "TEST");
+});
+
+test("the API is found under the context path in the base URL", () => {
+  const client = createServerClient();
+
+  assert.equal(client.axiosInstance.defaults.baseURL, `${baseUrl}/rest/api`);
+  assert.equal(client.getWebUrl(), baseUrl);
+});
+
+test("pages are moved through JSON-RPC", async () => {
+  const client = createServerClient();
+  const create = (title) =>
+    client.createPage({
+      type: "page",
+      title,
+      space: { key: "TEST" },
+      ancestors: [{ id: "1" }],
+    });
+  const first = await create("First");
+  const second = await create("Second");
+
+  await client.movePage(second.id, "before", first.id);
+  await assert.rejects(
+    client.movePage(second.id, "after", "999999"),
+    /No content found/
+  );
+
+  const titles = (await client.getChildPages("1")).map((page) => page.title);
+  assert.deepEqual(titles, ["Second", "First"]);
+});
+
+test("the authentication test passes with valid settings", async () => {
+  assert.equal(await testAuthentication(createServerClient(), "TEST"), true);
+});
+
+test("the authentication test fails with a wrong token", async () => {
+  const client = createServerClient({ personalAccessToken: "expired" });
+
+  assert.equal(await testAuthentication(client, "TEST"), false);
+});
+
+test("the authentication test fails when the deployment type is wrong", async () => {
+  const client = createServerClient({ deployment: "cloud" });
+
+  assert.equal(await testAuthentication(client, "TEST"), false);
+});
+
+test("the v2 API is not offered for Server/Data Center", () => {
+  assert.throws(
+    () =>
+      new ConfluenceClientV2({
+        baseUrl,
+        deployment: "server",
+        personalAccessToken: PAT,
+      }),
+    /only available on Confluence Cloud/
+  );
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseFrontMatter,
+  parseFrontMatterMapping,
+  mapFrontMatter,
+  createPagePropertiesMacro,
+} = require("../src/confluence/frontMatter");
+
+test("front matter is parsed and stripped from the body", () => {
+  const { data, body } = parseFrontMatter(
+    [
+      "---",
+      "title: 'Release: 2.0' # shown in the index",
+      'owner: "Jane Doe"',
+      "tags: [release, Q3 Planning]",
+      "reviewers:",
+      "  - alice",
+      "  - bob",
+      "---",
+      "# Release",
+      "",
+      "---",
+      "",
+      "Text",
+    ].join("\n")
+  );
+
+  assert.deepEqual(data, {
+    title: "Release: 2.0",
+    owner: "Jane Doe",
+    tags: ["release", "Q3 Planning"],
+    reviewers: ["alice", "bob"],
+  });
+  assert.equal(body, "# Release\n\n---\n\nText");
+});
+
+test("pages without front matter are left alone", () => {
+  const content = "# Title\n\n---\n\nowner: nobody\n---\n";
+
+  assert.deepEqual(parseFrontMatter(content), { data: {}, body: content });
+});
+
+test("configured keys map to labels and titled page properties", () => {
+  const mapping = parseFrontMatterMapping(
+    "tags, area",
+    "owner=Page Owner, status"
+  );
+
+  assert.deepEqual(
+    mapFrontMatter(
+      {
+        tags: ["Q3 Planning", "release", "release"],
+        area: "Data/Platform",
+        owner: "Jane Doe",
+        reviewers: ["alice"],
+      },
+      mapping
+    ),
+    {
+      labels: ["q3-planning", "release", "dataplatform"],
+      properties: [{ title: "Page Owner", value: "Jane Doe" }],
+    }
+  );
+});
+
+test("by default every key except tags becomes a page property", () => {
+  assert.deepEqual(
+    mapFrontMatter(
+      { tags: ["api"], owner: "Jane", reviewers: ["alice", "bob"] },
+      parseFrontMatterMapping()
+    ),
+    {
+      labels: ["api"],
+      properties: [
+        { title: "Owner", value: "Jane" },
+        { title: "Reviewers", value: "alice, bob" },
+      ],
+    }
+  );
+});
+
+test("page properties become a details macro", () => {
+  assert.equal(
+    createPagePropertiesMacro([{ title: "Owner", value: 'R&D <"core" team>' }]),
+    '<ac:structured-macro ac:name="details" ac:schema-version="1"><ac:rich-text-body><table><tbody>' +
+      "<tr><th>Owner</th><td>R&amp;D &lt;&quot;core&quot; team&gt;</td></tr>" +
+      "</tbody></table></ac:rich-text-body></ac:structured-macro>\n"
+  );
+  assert.equal(createPagePropertiesMacro([]), "");
+});
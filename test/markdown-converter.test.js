@@ -0,0 +1,189 @@
+/**
+ * Golden-file tests for the Markdown to Confluence storage format converter.
+ *
+ * Every `<name>.md` in test/fixtures/converter is converted and compared with
+ * `<name>.html` next to it. After an intended change to the output, regenerate
+ * the expected files with `UPDATE_GOLDEN=1 npm test` and review the diff.
+ */
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Links to other pages are built from these
+process.env.CONFLUENCE_BASE_URL = "https://example.atlassian.net";
+process.env.CONFLUENCE_SPACE_KEY = "TEST";
+
+const {
+  convertMarkdownToConfluenceHtml,
+} = require("../src/confluence/markdownConverter");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "converter");
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+
+const attachmentMappings = {
+  "/wiki/.attachments/diagram.png": {
+    path: "/wiki/.attachments/diagram.png",
+    name: "diagram.png",
+    mimeType: "image/png",
+  },
+  "/wiki/.attachments/spec.pdf": {
+    path: "/wiki/.attachments/spec.pdf",
+    name: "spec.pdf",
+    mimeType: "application/pdf",
+  },
+  "/wiki/.attachments/data.zip": {
+    path: "/wiki/.attachments/data.zip",
+    name: "data.zip",
+    mimeType: "application/zip",
+  },
+};
+
+const pageIdMap = {
+  Install: "2001",
+  Setup: "2002",
+  "Getting-Started": "2003",
+};
+
+/**
+ * Check that storage format markup is well-formed XML: every tag is closed
+ * and properly nested, attributes are quoted, and "<" and "&" only appear as
+ * markup. Named HTML entities are allowed, as Confluence accepts them.
+ * @param {string} markup - Storage format markup
+ * @returns {Array<string>} - Problems found, empty when well-formed
+ */
+function findWellFormednessErrors(markup) {
+  const errors = [];
+  const openTags = [];
+  const token =
+    /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|&(?:#\d+|#x[0-9a-fA-F]+|[A-Za-z]\w*);|\]\]>|[<&]/g;
+  const lineOf = (index) => markup.slice(0, index).split("\n").length;
+
+  let match;
+  while ((match = token.exec(markup)) !== null) {
+    const [text, closing, name, , selfClosing] = match;
+    if (text === "<" || text === "&") {
+      errors.push(`line ${lineOf(match.index)}: stray "${text}" or malformed tag`);
+    } else if (text === "]]>") {
+      errors.push(`line ${lineOf(match.index)}: "]]>" outside of CDATA`);
+    } else if (!name) {
+      continue;
+    } else if (/&(?!(?:#\d+|#x[0-9a-fA-F]+|[A-Za-z]\w*);)/.test(match[3])) {
+      errors.push(`line ${lineOf(match.index)}: unescaped "&" in <${name}> attributes`);
+    } else if (closing) {
+      const open = openTags.pop();
+      if (!open || open.name !== name) {
+        errors.push(
+          `line ${lineOf(match.index)}: </${name}> closes ${open ? `<${open.name}> from line ${open.line}` : "nothing"}`
+        );
+        if (open) openTags.push(open);
+      }
+    } else if (!selfClosing) {
+      openTags.push({ name, line: lineOf(match.index) });
+    }
+  }
+
+  openTags.forEach((open) => {
+    errors.push(`line ${open.line}: <${open.name}> is never closed`);
+  });
+  return errors;
+}
+
+const fixtures = fs
+  .readdirSync(FIXTURES_DIR)
+  .filter((file) => file.endsWith(".md"))
+  .map((file) => path.basename(file, ".md"));
+
+for (const name of fixtures) {
+  test(`converts ${name}.md`, async () => {
+    const markdown = await fs.readFile(
+      path.join(FIXTURES_DIR, `${name}.md`),
+      "utf8"
+    );
+    const expectedPath = path.join(FIXTURES_DIR, `${name}.html`);
+
+    const html = await convertMarkdownToConfluenceHtml(
+      markdown,
+      attachmentMappings,
+      `/wiki/${name}.md`,
+      null,
+      "1000",
+      pageIdMap
+    );
+
+    assert.deepEqual(
+      findWellFormednessErrors(html),
+      [],
+      `${name}.md converts to malformed storage format`
+    );
+
+    if (UPDATE_GOLDEN) {
+      await fs.writeFile(expectedPath, `${html}\n`, "utf8");
+    }
+    assert.ok(
+      await fs.pathExists(expectedPath),
+      `missing golden file ${name}.html, run with UPDATE_GOLDEN=1`
+    );
+    const expected = await fs.readFile(expectedPath, "utf8");
+    assert.equal(`${html}\n`, expected);
+  });
+}
+
+test("well-formedness check catches malformed markup", () => {
+  assert.deepEqual(
+    findWellFormednessErrors(
+      '<p>a &amp; b<br /><a href="?a=1&amp;b=2">x</a><![CDATA[<&]]></p>'
+    ),
+    []
+  );
+  for (const markup of [
+    "<p>line<br></p>",
+    "<p>a & b</p>",
+    "<p><em>x</p></em>",
+    "<a href=x>y</a>",
+    '<a href="?a=1&b=2">x</a>',
+    "<p>]]></p>",
+  ]) {
+    assert.notDeepEqual(findWellFormednessErrors(markup), [], markup);
+  }
+});
+
+test("wide tables use the full page width when configured", async () => {
+  const markdown = "| A | B | C |\n|---|---|---|\n| 1 | 2 | 3 |\n\n| A | B |\n|---|---|\n| 1 | 2 |\n";
+  process.env.FULL_WIDTH_TABLE_COLUMNS = "3";
+
+  try {
+    const html = await convertMarkdownToConfluenceHtml(
+      markdown,
+      attachmentMappings,
+      "/wiki/Tables.md",
+      null,
+      "1000",
+      pageIdMap
+    );
+
+    assert.deepEqual(html.match(/<table[^>]*>/g), [
+      '<table data-layout="full-width">',
+      "<table>",
+    ]);
+  } finally {
+    delete process.env.FULL_WIDTH_TABLE_COLUMNS;
+  }
+});
+
+test("links to pages on Server/Data Center use viewpage.action", async () => {
+  const html = await convertMarkdownToConfluenceHtml(
+    "See [[Install]] and [setup](/Setup).",
+    attachmentMappings,
+    "/wiki/Links.md",
+    null,
+    "1000",
+    pageIdMap,
+    { deployment: "server" }
+  );
+
+  assert.deepEqual(html.match(/href="[^"]*"/g), [
+    'href="https://example.atlassian.net/pages/viewpage.action?pageId=2001"',
+    'href="https://example.atlassian.net/pages/viewpage.action?pageId=2002"',
+  ]);
+});
@@ -0,0 +1,164 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const {
+  convertMarkdownToConfluenceHtml,
+} = require("../src/confluence/markdownConverter");
+const {
+  createAttachmentResult,
+} = require("../src/confluence/attachmentOperations");
+
+const MARKDOWN = `::: mermaid
+graph TD
+  A --> B
+:::
+`;
+
+let mockServer;
+let client;
+let workDir;
+
+/**
+ * Convert markdown for a new page on the mock server
+ * @param {string} markdown - Markdown content
+ * @returns {Promise<{html: string, pageId: string}>} - Storage format and page ID
+ */
+async function convertForNewPage(markdown) {
+  const page = await client.createPage({
+    type: "page",
+    title: `Diagram ${Date.now()}-${Math.random()}`,
+    space: { key: "TEST" },
+    ancestors: [{ id: "1" }],
+  });
+  const html = await convertMarkdownToConfluenceHtml(
+    markdown,
+    {},
+    "/wiki/Diagram.md",
+    client,
+    page.id
+  );
+  return { html, pageId: page.id };
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+  });
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), "mermaid-test-"));
+});
+
+after(async () => {
+  await mockServer.stop();
+  await fs.remove(workDir);
+});
+
+afterEach(() => {
+  delete process.env.MERMAID_MODE;
+  delete process.env.MERMAID_MACRO_NAME;
+  delete process.env.MERMAID_CLI;
+});
+
+test("diagrams become the configured mermaid macro", async () => {
+  process.env.MERMAID_MODE = "macro";
+  process.env.MERMAID_MACRO_NAME = "mermaid-macro";
+
+  const html = await convertMarkdownToConfluenceHtml(
+    MARKDOWN,
+    {},
+    "/wiki/Diagram.md",
+    null,
+    "1000"
+  );
+
+  assert.match(html, /<ac:structured-macro ac:name="mermaid-macro"/);
+  assert.match(html, /<!\[CDATA\[graph TD\n  A --> B\]\]>/);
+});
+
+test("diagrams are rendered locally and attached to the page", async () => {
+  // Stand-in for mmdc that writes a fixed SVG to the -o path
+  const cli = path.join(workDir, "fake-mmdc");
+  await fs.writeFile(
+    cli,
+    `#!/usr/bin/env node
+const args = process.argv.slice(2);
+require("fs").writeFileSync(args[args.indexOf("-o") + 1], "<svg/>");
+`,
+    { mode: 0o755 }
+  );
+  process.env.MERMAID_MODE = "svg";
+  process.env.MERMAID_CLI = cli;
+
+  const { html, pageId } = await convertForNewPage(MARKDOWN);
+
+  const fileName = /ri:filename="(mermaid-[0-9a-f]{12}\.svg)"/.exec(html)?.[1];
+  assert.ok(fileName, html);
+  const attachments = await client.getAttachments(pageId);
+  assert.deepEqual(
+    attachments.results.map((attachment) => attachment.title),
+    [fileName]
+  );
+});
+
+test("diagrams stay code when they cannot be rendered", async () => {
+  process.env.MERMAID_MODE = "png";
+  process.env.MERMAID_CLI = path.join(workDir, "missing-mmdc");
+
+  const { html, pageId } = await convertForNewPage(MARKDOWN);
+
+  assert.match(html, /<ac:structured-macro ac:name="code"/);
+  assert.match(html, /graph TD/);
+  assert.equal((await client.getAttachments(pageId)).results.length, 0);
+});
+
+test("attached diagrams are reported and skipped when unchanged", async () => {
+  // Stand-in for mmdc that counts its runs
+  const cli = path.join(workDir, "counting-mmdc");
+  const runs = path.join(workDir, "runs.log");
+  await fs.writeFile(
+    cli,
+    `#!/usr/bin/env node
+const fs = require("fs");
+const args = process.argv.slice(2);
+fs.appendFileSync(${JSON.stringify(runs)}, "run\\n");
+fs.writeFileSync(args[args.indexOf("-o") + 1], "<svg/>");
+`,
+    { mode: 0o755 }
+  );
+  process.env.MERMAID_MODE = "svg";
+  process.env.MERMAID_CLI = cli;
+  const { pageId } = await convertForNewPage("# Diagram\n");
+
+  const convert = (options) =>
+    convertMarkdownToConfluenceHtml(
+      MARKDOWN,
+      {},
+      "/wiki/Diagram.md",
+      client,
+      pageId,
+      {},
+      options
+    );
+
+  const first = createAttachmentResult();
+  const html = await convert({ attachments: first });
+  const [fileName] = first.uploaded;
+  const [attachment] = (await client.getAttachments(pageId)).results;
+  assert.deepEqual(first.added, { [fileName]: attachment.id });
+  assert.deepEqual(Object.keys(first.hashes), [fileName]);
+
+  const second = createAttachmentResult();
+  assert.equal(
+    await convert({ attachments: second, previousHashes: first.hashes }),
+    html
+  );
+  assert.deepEqual(second.unchanged, [fileName]);
+  assert.deepEqual(second.uploaded, []);
+  assert.equal((await fs.readFile(runs, "utf8")).split("\n").length - 1, 1);
+});
@@ -0,0 +1,162 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Configuration is read when the migration modules load, so point it at the
+// fixture wiki and a scratch working directory first
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "wiki-migrate-"));
+const wikiDir = path.join(__dirname, "fixtures", "wiki");
+Object.assign(process.env, {
+  CONFLUENCE_MOCK: "true",
+  CONFLUENCE_SPACE_KEY: "TEST",
+  CONFLUENCE_PARENT_PAGE_ID: "1",
+  WIKI_ROOT_DIR: wikiDir,
+  ATTACHMENTS_PATH: path.join(wikiDir, ".attachments"),
+  PASS_VALIDATION: "0",
+});
+process.chdir(workDir);
+
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const {
+  startConfluenceProcess,
+  startSyncProcess,
+} = require("../src/confluence");
+const {
+  createJournal,
+  getResumableJournal,
+} = require("../src/confluence/runJournal");
+
+let mockServer;
+let client;
+
+/**
+ * Reduce a page tree to titles, for comparing hierarchy and order
+ * @param {Object} page - Page tree from the mock server
+ * @returns {Object} - {title, children}
+ */
+function titles(page) {
+  return { title: page.title, children: page.children.map(titles) };
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+  });
+});
+
+after(async () => {
+  await mockServer.stop();
+  process.chdir(__dirname);
+  await fs.remove(workDir);
+});
+
+test("migrate creates the wiki page tree in wiki order", async () => {
+  await startConfluenceProcess(client, { autoLabels: true });
+
+  assert.deepEqual(titles(mockServer.getPageTree("1")), {
+    title: "TEST Home",
+    children: [
+      { title: "Home", children: [] },
+      {
+        title: "Guide",
+        children: [
+          { title: "Setup", children: [] },
+          { title: "Install", children: [] },
+        ],
+      },
+    ],
+  });
+});
+
+test("migrate writes page content and attachments", () => {
+  const [, guide] = mockServer.getPageTree("1").children;
+  const install = guide.children.find((page) => page.title === "Install");
+
+  assert.match(guide.body, /Start with/);
+  assert.deepEqual(install.attachments, ["diagram.png"]);
+  assert.match(install.body, /ri:filename="diagram.png"/);
+});
+
+test("migrate maps front matter to page properties and labels", () => {
+  const [, guide] = mockServer.getPageTree("1").children;
+  const setup = guide.children.find((page) => page.title === "Setup");
+
+  assert.ok(
+    setup.body.startsWith(
+      '<ac:structured-macro ac:name="details" ac:schema-version="1"><ac:rich-text-body><table><tbody>' +
+        "<tr><th>Owner</th><td>Platform Team</td></tr><tr><th>Status</th><td>Draft</td></tr>"
+    )
+  );
+  assert.doesNotMatch(setup.body, /owner:/);
+  assert.deepEqual(setup.labels, [
+    "getting-started",
+    "setup",
+    "guide",
+    "migrated-from-ado",
+  ]);
+});
+
+test("sync leaves an unchanged wiki alone", async () => {
+  const versions = (page) => [page.version, ...page.children.flatMap(versions)];
+  const before = versions(mockServer.getPageTree("1"));
+
+  const report = await startSyncProcess(client);
+
+  assert.equal(report.unchanged.length, 4);
+  assert.equal(report.updated.length, 0);
+  assert.deepEqual(versions(mockServer.getPageTree("1")), before);
+});
+
+test("runs started at the same time get their own journals", () => {
+  const runIds = [1, 2, 3].map(
+    () => createJournal({ spaceKey: "TEST", parentPageId: "1" }).runId
+  );
+
+  assert.match(runIds[0], /^\d{8}-\d{9}-[0-9a-f]{6}$/);
+  assert.equal(new Set(runIds).size, 3);
+});
+
+test("a run with failed pages is left to --resume", async () => {
+  // Start from an empty space, so the wiki is not reported as duplicates
+  const descendants = (page) =>
+    page.children.flatMap((child) => [child, ...descendants(child)]);
+  for (const page of descendants(mockServer.getPageTree("1")).reverse()) {
+    await client.deletePage(page.id);
+  }
+
+  // The same client, except that the Setup page cannot be written
+  const failingClient = Object.create(client);
+  failingClient.updatePage = async (pageId, pageData) => {
+    if (pageData.title === "Setup") throw new Error("Simulated outage");
+    return client.updatePage(pageId, pageData);
+  };
+
+  await assert.rejects(
+    startConfluenceProcess(failingClient),
+    /1 pages failed to migrate: "Setup"/
+  );
+  assert.equal((await getResumableJournal()).status, "failed");
+
+  await startConfluenceProcess(client, { resume: true });
+
+  const [, guide] = mockServer.getPageTree("1").children;
+  const setup = guide.children.find((page) => page.title === "Setup");
+  assert.match(setup.body, /Platform Team/);
+  assert.equal(await getResumableJournal(), null);
+});
+
+test("sync without a run journal pushes every page", async () => {
+  await fs.remove(path.join(workDir, ".migration-runs"));
+
+  const report = await startSyncProcess(client);
+
+  // The live body cannot be compared, as Confluence normalizes it on save
+  assert.equal(report.unchanged.length, 0);
+  assert.equal(report.updated.length, 4);
+});
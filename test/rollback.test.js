@@ -0,0 +1,141 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Configuration is read when the migration modules load, so point it at the
+// fixture wiki and a scratch working directory first
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "wiki-rollback-"));
+const wikiDir = path.join(__dirname, "fixtures", "wiki");
+Object.assign(process.env, {
+  CONFLUENCE_MOCK: "true",
+  CONFLUENCE_SPACE_KEY: "TEST",
+  CONFLUENCE_PARENT_PAGE_ID: "1",
+  WIKI_ROOT_DIR: wikiDir,
+  ATTACHMENTS_PATH: path.join(wikiDir, ".attachments"),
+  // The page that already exists would be reported as a duplicate
+  PASS_VALIDATION: "1",
+});
+process.chdir(workDir);
+
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const {
+  startConfluenceProcess,
+  startRollbackProcess,
+} = require("../src/confluence");
+const { listJournals, loadJournal } = require("../src/confluence/runJournal");
+
+let mockServer;
+let client;
+let runId;
+
+/**
+ * Reduce a page tree to titles, for comparing hierarchy
+ * @param {Object} page - Page tree from the mock server
+ * @returns {Object} - {title, children}
+ */
+function titles(page) {
+  return { title: page.title, children: page.children.map(titles) };
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+  });
+
+  // A page the migration updates rather than creates
+  await client.createPage({
+    type: "page",
+    title: "Install",
+    space: { key: "TEST" },
+    ancestors: [{ id: "1" }],
+    body: { storage: { value: "<p>Old install</p>", representation: "storage" } },
+  });
+  await startConfluenceProcess(client);
+  [{ runId }] = await listJournals();
+});
+
+after(async () => {
+  await mockServer.stop();
+  process.chdir(__dirname);
+  await fs.remove(workDir);
+});
+
+test("the run journal records what a migration created and updated", async () => {
+  const journal = await loadJournal(runId);
+  const install = Object.values(journal.pages).find(
+    (entry) => entry.title === "Install"
+  );
+  const home = Object.values(journal.pages).find(
+    (entry) => entry.title === "Home"
+  );
+
+  assert.equal(install.previousVersion, 1);
+  assert.equal(install.created, undefined);
+  assert.deepEqual(Object.keys(install.attachments.added), ["diagram.png"]);
+  assert.equal(home.created, true);
+});
+
+test("a rollback that is not confirmed changes nothing", async () => {
+  let preview;
+
+  const report = await startRollbackProcess(client, runId, {
+    confirm: async (text) => {
+      preview = text;
+      return false;
+    },
+  });
+
+  assert.equal(report, null);
+  assert.match(preview, /Pages to delete: 3/);
+  assert.match(preview, /RESTORE {3}Install \(ID: \d+\) v2 -> content of v1/);
+  assert.match(preview, /REMOVE {4}diagram\.png from Install/);
+  assert.deepEqual(titles(mockServer.getPageTree("1")), {
+    title: "TEST Home",
+    children: [
+      { title: "Home", children: [] },
+      {
+        title: "Guide",
+        children: [
+          { title: "Setup", children: [] },
+          { title: "Install", children: [] },
+        ],
+      },
+    ],
+  });
+});
+
+test("rollback deletes created pages and restores updated ones", async () => {
+  const report = await startRollbackProcess(client, runId, {
+    confirm: async () => true,
+  });
+
+  assert.equal(report.deleted.length, 3);
+  assert.equal(report.failed.length, 0);
+  // Setup sat under Guide, so it had to go first
+  assert.ok(
+    report.deleted.findIndex((page) => page.title === "Setup") <
+      report.deleted.findIndex((page) => page.title === "Guide")
+  );
+
+  // Install was moved under Guide, and moves up again when Guide is deleted
+  const tree = mockServer.getPageTree("1");
+  assert.deepEqual(titles(tree), {
+    title: "TEST Home",
+    children: [{ title: "Install", children: [] }],
+  });
+  const [install] = tree.children;
+  assert.equal(install.body, "<p>Old install</p>");
+  assert.deepEqual(install.attachments, []);
+
+  assert.equal((await loadJournal(runId)).status, "rolled-back");
+  await assert.rejects(
+    startRollbackProcess(client, runId),
+    /already rolled back/
+  );
+});
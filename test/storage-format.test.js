@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const {
+  sanitizeStorageFormat,
+  validateStorageFormat,
+  createFallbackContent,
+  prepareStorageFormat,
+  writeStorageFixesReport,
+} = require("../src/confluence/storageFormat");
+
+test("sanitized markup always validates", () => {
+  for (const html of [
+    "<p>line<br>break",
+    "<p><strong><em>mis-nested</strong></em></p>",
+    "<table><tr><td nowrap>cell</td></tr>",
+    "</div><p>a < b & c > d</p>",
+    '<p title=\'say "hi"\'>quotes</p>',
+    "<p>bad &#0; and &#xD800; references\u0007</p>",
+    "<p>]]> outside CDATA</p><!-- comment --><!DOCTYPE html>",
+    "<iframe src=x>inside</iframe><style>p {}</style><video />",
+  ]) {
+    const { html: sanitized } = sanitizeStorageFormat(html);
+    assert.deepEqual(validateStorageFormat(sanitized), [], `${html} -> ${sanitized}`);
+  }
+});
+
+test("elements left open inside another are closed with it", () => {
+  const { html, fixes } = sanitizeStorageFormat(
+    "<p><strong><em>text</strong> more</p>"
+  );
+
+  assert.equal(html, "<p><strong><em>text</em></strong> more</p>");
+  assert.deepEqual(fixes, { "closed <em> left open": 1 });
+});
+
+test("images left as HTML become image macros", () => {
+  const { html } = sanitizeStorageFormat(
+    '<p><img src="/.attachments/my%20chart.png" alt="Chart"><img src="/.attachments/100%.png"></p>'
+  );
+
+  assert.equal(
+    html,
+    '<p><ac:image ac:alt="Chart"><ri:attachment ri:filename="my chart.png" /></ac:image>' +
+      '<ac:image><ri:attachment ri:filename="100%.png" /></ac:image></p>'
+  );
+});
+
+test("macros and CDATA sections are left alone", () => {
+  const macro =
+    '<ac:structured-macro ac:name="code" ac:schema-version="1"><ac:plain-text-body><![CDATA[if (a < b && c) { <br> }]]></ac:plain-text-body></ac:structured-macro><ac:structured-macro ac:name="toc" ac:schema-version="1" />';
+
+  assert.deepEqual(sanitizeStorageFormat(macro), { html: macro, fixes: {} });
+});
+
+test("validation reports what Confluence would reject", () => {
+  assert.deepEqual(validateStorageFormat("<p>fine &amp; &nbsp; &#160;</p>"), []);
+  for (const markup of [
+    "<p>line<br></p>",
+    "<p>a & b</p>",
+    "<p><em>x</p></em>",
+    "<a href=x>y</a>",
+    "<p>&bogus;</p>",
+    "<script>x</script>",
+    "<p>]]></p>",
+  ]) {
+    assert.notDeepEqual(validateStorageFormat(markup), [], markup);
+  }
+});
+
+test("the fallback shows the markdown source as valid storage format", () => {
+  const html = createFallbackContent("# Title\n\nA ]]> B <b>", "Broken table");
+
+  assert.deepEqual(validateStorageFormat(html), []);
+  assert.match(html, /<p>Broken table<\/p>/);
+  assert.match(html, /A ]]]]><!\[CDATA\[> B <b>/);
+});
+
+test("fixed pages are listed in the fixes report", async () => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-fixes-"));
+  const reportPath = path.join(workDir, "storage-fixes.json");
+
+  try {
+    assert.equal(
+      prepareStorageFormat("<p>a<br>b</p>", "a  \nb", "/wiki/Page.md"),
+      "<p>a<br />b</p>"
+    );
+    await writeStorageFixesReport(reportPath);
+
+    assert.deepEqual(await fs.readJson(reportPath), [
+      {
+        page: "/wiki/Page.md",
+        fixes: { "closed <br>": 1 },
+        errors: [],
+        fallback: false,
+      },
+    ]);
+  } finally {
+    await fs.remove(workDir);
+  }
+});
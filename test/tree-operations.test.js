@@ -0,0 +1,180 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Configuration is read when the migration modules load, so point it at the
+// fixture wiki and a scratch working directory first
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "wiki-tree-"));
+const wikiDir = path.join(__dirname, "fixtures", "wiki");
+Object.assign(process.env, {
+  CONFLUENCE_MOCK: "true",
+  CONFLUENCE_SPACE_KEY: "TEST",
+  CONFLUENCE_PARENT_PAGE_ID: "1",
+  WIKI_ROOT_DIR: wikiDir,
+  ATTACHMENTS_PATH: path.join(wikiDir, ".attachments"),
+  PASS_VALIDATION: "0",
+});
+process.chdir(workDir);
+
+const ConfluenceClient = require("../src/utils/Confluence-API");
+const ConfluenceMockServer = require("../src/utils/Confluence-Mock-Server");
+const { startConfluenceProcess } = require("../src/confluence");
+const {
+  deletePageTree,
+  movePageTree,
+} = require("../src/confluence/treeOperations");
+
+let mockServer;
+let client;
+let manualPage;
+
+/**
+ * Reduce a page tree to titles, for comparing hierarchy
+ * @param {Object} page - Page tree from the mock server
+ * @returns {Object} - {title, children}
+ */
+function titles(page) {
+  return { title: page.title, children: page.children.map(titles) };
+}
+
+/**
+ * Find a page in the mock space by title
+ * @param {string} title - Page title
+ * @returns {Object} - Page tree node
+ */
+function findPage(title) {
+  const search = (page) =>
+    page.title === title ? page : page.children.map(search).find(Boolean);
+  return search(mockServer.getPageTree("1"));
+}
+
+before(async () => {
+  mockServer = new ConfluenceMockServer({ spaceKey: "TEST", rootPageId: "1" });
+  client = new ConfluenceClient({
+    baseUrl: await mockServer.start(),
+    username: "mock",
+    apiToken: "mock",
+    // Small pages, so walking the tree has to follow the listing links
+    pageSize: 2,
+  });
+
+  await startConfluenceProcess(client);
+  manualPage = await client.createPage({
+    type: "page",
+    title: "Team Notes",
+    space: { key: "TEST" },
+    ancestors: [{ id: findPage("Guide").id }],
+    body: { storage: { value: "<p>Notes</p>", representation: "storage" } },
+  });
+});
+
+after(async () => {
+  await mockServer.stop();
+  process.chdir(__dirname);
+  await fs.remove(workDir);
+});
+
+test("a dry run counts the subtree without deleting anything", async () => {
+  const report = await deletePageTree(client, findPage("Guide").id, {
+    dryRun: true,
+    force: true,
+  });
+
+  assert.equal(report.pages, 4);
+  assert.equal(report.deleted.length, 0);
+  assert.ok(findPage("Guide"));
+});
+
+test("pages the tool did not create are left alone unless forced", async () => {
+  const guideId = findPage("Guide").id;
+
+  await assert.rejects(
+    deletePageTree(client, guideId),
+    /Refusing to delete 1 pages that were not created by this tool: "Team Notes"/
+  );
+  await assert.rejects(
+    movePageTree(client, guideId, findPage("Home").id),
+    /Refusing to move 1 pages/
+  );
+  assert.equal(findPage("Team Notes").id, manualPage.id);
+});
+
+test("a failed label lookup stops the move instead of counting as foreign", async () => {
+  const failingClient = Object.create(client);
+  failingClient.getLabels = async (pageId) => {
+    throw new Error(
+      `Failed to get labels for page ${pageId}: Request failed with status code 503`
+    );
+  };
+
+  await assert.rejects(
+    movePageTree(failingClient, findPage("Guide").id, findPage("Home").id),
+    /Failed to get labels for page .*503/
+  );
+  assert.equal(findPage("Home").children.length, 0);
+});
+
+test("a subtree is moved under a new parent with its children", async () => {
+  const guideId = findPage("Guide").id;
+  const homeId = findPage("Home").id;
+
+  await assert.rejects(
+    movePageTree(client, guideId, findPage("Setup").id, { force: true }),
+    /under itself or one of its own child pages/
+  );
+
+  const version = mockServer.getPageTree(guideId).version;
+  const result = await movePageTree(client, guideId, homeId, { force: true });
+
+  assert.equal(result.pages, 4);
+  assert.equal(result.page.title, "Guide");
+  // A move is not an edit, so no new version is added
+  assert.equal(mockServer.getPageTree(guideId).version, version);
+  assert.deepEqual(titles(mockServer.getPageTree("1")), {
+    title: "TEST Home",
+    children: [
+      {
+        title: "Home",
+        children: [
+          {
+            title: "Guide",
+            children: [
+              { title: "Setup", children: [] },
+              { title: "Install", children: [] },
+              { title: "Team Notes", children: [] },
+            ],
+          },
+        ],
+      },
+    ],
+  });
+});
+
+test("a subtree is deleted leaf pages first and purged from the trash", async () => {
+  const guide = findPage("Guide");
+  let preview;
+
+  const report = await deletePageTree(client, guide.id, {
+    purge: true,
+    force: true,
+    confirm: async (text) => {
+      preview = text;
+      return true;
+    },
+  });
+
+  assert.match(preview, /Pages to delete: 4/);
+  assert.deepEqual(
+    report.deleted.map((page) => page.title),
+    ["Setup", "Install", "Team Notes", "Guide"]
+  );
+  assert.equal(report.purged.length, 4);
+  assert.equal(report.failed.length, 0);
+  assert.deepEqual(titles(mockServer.getPageTree("1")), {
+    title: "TEST Home",
+    children: [{ title: "Home", children: [] }],
+  });
+  assert.equal(mockServer.state.pages[guide.id], undefined);
+});
@@ -0,0 +1,131 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const {
+  loadUserMapping,
+  createUserMention,
+  getUnmappedMentions,
+  writeUnmappedMentionsReport,
+} = require("../src/confluence/userMentions");
+const {
+  convertMarkdownToConfluenceHtml,
+} = require("../src/confluence/markdownConverter");
+
+const GUID = "6E6B7D2A-1C3F-4F0B-9D8E-0123456789AB";
+
+let workDir;
+let mappingPath;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), "user-mentions-"));
+  mappingPath = path.join(workDir, "users.csv");
+  await fs.writeFile(
+    mappingPath,
+    [
+      "ado_identity,accountId",
+      `{${GUID}},557058:aaaa`,
+      "jane.doe@example.com,557058:bbbb",
+      '"Doe, John",557058:cccc',
+    ].join("\n")
+  );
+});
+
+after(async () => {
+  await fs.remove(workDir);
+});
+
+afterEach(() => {
+  delete process.env.USER_MAPPING_FILE;
+});
+
+test("the user mapping is read from CSV with any identity as key", async () => {
+  assert.deepEqual(await loadUserMapping(mappingPath), {
+    [GUID.toLowerCase()]: "557058:aaaa",
+    "jane.doe@example.com": "557058:bbbb",
+    "doe, john": "557058:cccc",
+  });
+});
+
+test("mapped mentions become user links", async () => {
+  const mapping = await loadUserMapping(mappingPath);
+
+  assert.deepEqual(
+    [GUID.toLowerCase(), "Jane.Doe@example.com", "Doe, John"].map((identity) =>
+      createUserMention(identity, mapping, "/wiki/Team.md")
+    ),
+    [
+      '<ac:link><ri:user ri:account-id="557058:aaaa" /></ac:link>',
+      '<ac:link><ri:user ri:account-id="557058:bbbb" /></ac:link>',
+      '<ac:link><ri:user ri:account-id="557058:cccc" /></ac:link>',
+    ]
+  );
+});
+
+test("Server/Data Center mentions use user keys", async () => {
+  assert.equal(
+    createUserMention("jdoe", { jdoe: "8a7f808a" }, "/wiki/Team.md", "server"),
+    '<ac:link><ri:user ri:userkey="8a7f808a" /></ac:link>'
+  );
+
+  // The converter takes the deployment from its options, not the environment
+  process.env.USER_MAPPING_FILE = mappingPath;
+  process.env.CONFLUENCE_DEPLOYMENT = "cloud";
+  try {
+    const html = await convertMarkdownToConfluenceHtml(
+      "Ask @<Jane.Doe@example.com>.",
+      {},
+      "/wiki/Team.md",
+      null,
+      "1000",
+      {},
+      { deployment: "server" }
+    );
+
+    assert.equal(
+      html,
+      '<p>Ask <ac:link><ri:user ri:userkey="557058:bbbb" /></ac:link>.</p>'
+    );
+  } finally {
+    delete process.env.CONFLUENCE_DEPLOYMENT;
+  }
+});
+
+test("unmapped mentions are kept as text and reported", async () => {
+  const reportPath = path.join(workDir, "unmapped-mentions.json");
+
+  const html = await convertMarkdownToConfluenceHtml(
+    "Owner: @<Unknown Person> `@<In Code>`",
+    {},
+    "/wiki/Owners.md",
+    null,
+    "1000"
+  );
+  createUserMention("Unknown Person", {}, "/wiki/Other.md");
+  await writeUnmappedMentionsReport(reportPath);
+
+  assert.equal(html, "<p>Owner: @Unknown Person <code>@&lt;In Code&gt;</code></p>");
+  const reported = (await fs.readJson(reportPath)).find(
+    (entry) => entry.mention === "Unknown Person"
+  );
+  assert.deepEqual(reported.pages, ["/wiki/Other.md", "/wiki/Owners.md"]);
+  assert.ok(!getUnmappedMentions().some((entry) => entry.mention === "In Code"));
+});
+
+test("the converter turns mentions into user links", async () => {
+  process.env.USER_MAPPING_FILE = mappingPath;
+
+  const html = await convertMarkdownToConfluenceHtml(
+    "Reviewed by @<jane.doe@example.com>.",
+    {},
+    "/wiki/Review.md",
+    null,
+    "1000"
+  );
+
+  assert.equal(
+    html,
+    '<p>Reviewed by <ac:link><ri:user ri:account-id="557058:bbbb" /></ac:link>.</p>'
+  );
+});
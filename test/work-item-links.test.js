@@ -0,0 +1,146 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const {
+  loadReferenceMapping,
+  createReferenceLink,
+} = require("../src/confluence/workItemLinks");
+const {
+  convertMarkdownToConfluenceHtml,
+} = require("../src/confluence/markdownConverter");
+
+const WORK_ITEM_URL = "https://dev.azure.com/org/project/_workitems/edit/{id}";
+const PULL_REQUEST_URL =
+  "https://dev.azure.com/org/project/_git/repo/pullrequest/{id}";
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), "work-item-links-"));
+});
+
+after(async () => {
+  await fs.remove(workDir);
+});
+
+afterEach(() => {
+  delete process.env.WORK_ITEM_URL_TEMPLATE;
+  delete process.env.PULL_REQUEST_URL_TEMPLATE;
+  delete process.env.WORK_ITEM_MAPPING_FILE;
+});
+
+test("work items and pull requests link to Azure DevOps", () => {
+  const options = {
+    workItemUrl: WORK_ITEM_URL,
+    pullRequestUrl: PULL_REQUEST_URL,
+  };
+
+  assert.equal(
+    createReferenceLink("!", "567", options),
+    '<a href="https://dev.azure.com/org/project/_git/repo/pullrequest/567" target="_blank">!567</a>'
+  );
+  assert.equal(
+    createReferenceLink("#", "1234", options),
+    '<a href="https://dev.azure.com/org/project/_workitems/edit/1234" target="_blank">#1234</a>'
+  );
+});
+
+test("mapped work items become Jira macros or links", () => {
+  const options = {
+    mapping: { 1: "PROJ-10", 2: "https://tracker.example.com/2" },
+    jiraServer: "System JIRA",
+  };
+
+  assert.equal(
+    createReferenceLink("#", "1", options),
+    '<ac:structured-macro ac:name="jira" ac:schema-version="1"><ac:parameter ac:name="server">System JIRA</ac:parameter><ac:parameter ac:name="key">PROJ-10</ac:parameter></ac:structured-macro>'
+  );
+  assert.equal(
+    createReferenceLink("#", "2", options),
+    '<a href="https://tracker.example.com/2" target="_blank">#2</a>'
+  );
+  assert.equal(createReferenceLink("#", "3", options), null);
+});
+
+test("mapped URLs and Jira server names are escaped", () => {
+  const options = {
+    mapping: { 1: "PROJ-1", 2: 'https://tracker.example.com/?id=2&view="full"' },
+    jiraServer: "R&D <Jira>",
+    jiraServerId: 'a"b',
+  };
+
+  assert.equal(
+    createReferenceLink("#", "1", options),
+    '<ac:structured-macro ac:name="jira" ac:schema-version="1"><ac:parameter ac:name="server">R&amp;D &lt;Jira&gt;</ac:parameter><ac:parameter ac:name="serverId">a&quot;b</ac:parameter><ac:parameter ac:name="key">PROJ-1</ac:parameter></ac:structured-macro>'
+  );
+  assert.equal(
+    createReferenceLink("#", "2", options),
+    '<a href="https://tracker.example.com/?id=2&amp;view=&quot;full&quot;" target="_blank">#2</a>'
+  );
+});
+
+test("mappings are read from CSV and JSON files", async () => {
+  const csvPath = path.join(workDir, "mapping.csv");
+  const jsonPath = path.join(workDir, "mapping.json");
+  await fs.writeFile(csvPath, "ado_id,jira_key\n1234,PROJ-1\n!567,\"https://example.com/pr\"\n\n");
+  await fs.writeJson(jsonPath, { 1234: "PROJ-2" });
+
+  assert.deepEqual(await loadReferenceMapping(csvPath), {
+    1234: "PROJ-1",
+    "!567": "https://example.com/pr",
+  });
+  assert.deepEqual(await loadReferenceMapping(jsonPath), { 1234: "PROJ-2" });
+});
+
+test("the converter links mentions outside code blocks", async () => {
+  const mappingPath = path.join(workDir, "converter-mapping.json");
+  await fs.writeJson(mappingPath, { 42: "PROJ-42" });
+  process.env.WORK_ITEM_URL_TEMPLATE = WORK_ITEM_URL;
+  process.env.WORK_ITEM_MAPPING_FILE = mappingPath;
+
+  const html = await convertMarkdownToConfluenceHtml(
+    "Tracked in #42 and #43.\n\n```\n#44\n```\n",
+    {},
+    "/wiki/Page.md",
+    null,
+    "1000"
+  );
+
+  assert.match(html, /<ac:parameter ac:name="key">PROJ-42<\/ac:parameter>/);
+  assert.match(html, /<a href="https:\/\/dev\.azure\.com\/org\/project\/_workitems\/edit\/43" target="_blank">#43<\/a>/);
+  assert.match(html, /<!\[CDATA\[#44\]\]>/);
+});
+
+test("the converter leaves mentions in code spans, link text and words alone", async () => {
+  process.env.WORK_ITEM_URL_TEMPLATE = WORK_ITEM_URL;
+  process.env.PULL_REQUEST_URL_TEMPLATE = PULL_REQUEST_URL;
+
+  const html = await convertMarkdownToConfluenceHtml(
+    "See `#45`, [ticket #46](https://example.com/46), issue#47 and (!48).",
+    {},
+    "/wiki/Page.md",
+    null,
+    "1000"
+  );
+
+  assert.equal(
+    html,
+    '<p>See <code>#45</code>, <a href="https://example.com/46" target="_blank">ticket #46</a>, issue#47 and (<a href="https://dev.azure.com/org/project/_git/repo/pullrequest/48" target="_blank">!48</a>).</p>'
+  );
+});
+
+test("the converter leaves mentions in URLs, wiki links and HTML alone", async () => {
+  process.env.WORK_ITEM_URL_TEMPLATE = WORK_ITEM_URL;
+
+  const html = await convertMarkdownToConfluenceHtml(
+    '[see](https://example.com/#3) [[Page #4]] <img alt="figure #5" src="a.png"> [top](#6) &#8;',
+    {},
+    "/wiki/Page.md",
+    null,
+    "1000"
+  );
+
+  assert.doesNotMatch(html, /_workitems/);
+});
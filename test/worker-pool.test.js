@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createWorkerPool } = require("../src/confluence/workerPool");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build an error like the ones the Confluence client throws when throttled
+ * @returns {Error} - Rate limit error
+ */
+function rateLimitError() {
+  const error = new Error("Request failed with status code 429");
+  error.status = 429;
+  return error;
+}
+
+test("never runs more tasks than the concurrency limit", async () => {
+  const pool = createWorkerPool(3);
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, (_, i) =>
+      pool.run(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(5);
+        active--;
+        return i;
+      })
+    )
+  );
+
+  assert.equal(maxActive, 3);
+  assert.deepEqual(results, [...Array(10).keys()]);
+});
+
+test("a rate-limited task pauses every worker and is retried", async () => {
+  const pool = createWorkerPool(2, { baseDelay: 50 });
+  const started = [];
+  let throttled = false;
+
+  const throttledTask = pool.run(async () => {
+    started.push({ task: "throttled", at: Date.now() });
+    if (!throttled) {
+      throttled = true;
+      throw rateLimitError();
+    }
+    return "done";
+  });
+  await sleep(5);
+  const otherTask = pool.run(async () => {
+    started.push({ task: "other", at: Date.now() });
+  });
+
+  assert.equal(await throttledTask, "done");
+  await otherTask;
+
+  const [first, ...rest] = started;
+  assert.equal(first.task, "throttled");
+  for (const start of rest) {
+    assert.ok(start.at - first.at >= 45, `${start.task} started during backoff`);
+  }
+});
+
+test("other errors and exhausted retries are passed to the caller", async () => {
+  const pool = createWorkerPool(1, { maxRetries: 1, baseDelay: 1 });
+  let attempts = 0;
+
+  await assert.rejects(
+    pool.run(async () => {
+      throw new Error("Request failed with status code 400");
+    }),
+    /status code 400/
+  );
+  await assert.rejects(
+    pool.run(async () => {
+      attempts++;
+      throw rateLimitError();
+    }),
+    /status code 429/
+  );
+  assert.equal(attempts, 2);
+});